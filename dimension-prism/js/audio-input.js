@@ -0,0 +1,182 @@
+/**
+ * 오디오 반응 입력 (Audio-reactive Input)
+ *
+ * 마이크/라인 입력(MediaStream) 또는 테스트용 로컬 오디오 파일을 AnalyserNode로
+ * 분석해서, 매 프레임 시각 효과에 쓸 값을 만든다.
+ * - bands: 저역/중역/고역 에너지 (0~1, 최근 최댓값 기준으로 자동 정규화)
+ * - level: 전체 음량 (0~1)
+ * - onset: 이번 프레임에 새 소리(타격, 음의 시작)가 감지되었는지 (spectral flux)
+ *
+ * 값은 attack/release 엔벨로프로 부드럽게 만들어서 프레임마다 튀지 않게 한다.
+ */
+
+// 대역 경계 (Hz)
+const BANDS = {
+    low: [20, 250],
+    mid: [250, 2000],
+    high: [2000, 12000]
+};
+
+// 엔벨로프 시간 상수 (초): 빠르게 올라가고 천천히 내려감
+const ATTACK = 0.02;
+const RELEASE = 0.25;
+
+// 정규화용 최댓값은 초당 이만큼씩 줄어든다. 바닥값으로 조용한 방의 잡음이 1까지 증폭되는 것을 막음
+const PEAK_DECAY = 0.5;
+const PEAK_FLOOR = 0.15;
+
+// 온셋 감지: 최근 flux 평균 + 표준편차 * K 를 넘으면 온셋
+const FLUX_HISTORY = 45; // 약 0.75초 (60fps)
+const FLUX_K = 1.5;
+const FLUX_MIN = 0.004;
+const MIN_ONSET_INTERVAL = 0.12; // 초
+
+export class AudioReactiveInput {
+    /**
+     * @param {AudioContext} audioCtx
+     */
+    constructor(audioCtx) {
+        this.audioCtx = audioCtx;
+        this.analyser = audioCtx.createAnalyser();
+        this.analyser.fftSize = 2048;
+        this.analyser.smoothingTimeConstant = 0.5;
+        this.spectrum = new Uint8Array(this.analyser.frequencyBinCount);
+        this.previousSpectrum = new Float32Array(this.analyser.frequencyBinCount);
+
+        this.source = null;
+        this.stream = null; // 마이크일 때만: 끌 때 트랙을 멈춰야 함
+        this.audioElement = null; // 파일일 때만
+
+        this.bands = { low: 0, mid: 0, high: 0 };
+        this.peaks = { low: PEAK_FLOOR, mid: PEAK_FLOOR, high: PEAK_FLOOR };
+        this.level = 0;
+        this.fluxHistory = [];
+        this.sinceOnset = Infinity;
+    }
+
+    get active() {
+        return this.source !== null;
+    }
+
+    /**
+     * 마이크 또는 라인 입력. 브라우저가 권한을 묻는다.
+     * 음악 분석용이라 에코 제거/잡음 억제/자동 음량은 끈다.
+     */
+    async useMicrophone() {
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+        });
+        this.useStream(stream);
+    }
+
+    /**
+     * 임의의 MediaStream (마이크, 오디오 인터페이스, WebRTC 등).
+     * 스피커로는 보내지 않는다 (하울링 방지).
+     * @param {MediaStream} stream
+     */
+    useStream(stream) {
+        this.stop();
+        this.stream = stream;
+        this.source = this.audioCtx.createMediaStreamSource(stream);
+        this.source.connect(this.analyser);
+    }
+
+    /**
+     * 테스트용 로컬 오디오 파일. 반복 재생하고 스피커로도 들려준다.
+     * @param {File|Blob} file
+     */
+    async useFile(file) {
+        this.stop();
+        const audio = new Audio(URL.createObjectURL(file));
+        audio.loop = true;
+        this.audioElement = audio;
+        this.source = this.audioCtx.createMediaElementSource(audio);
+        this.source.connect(this.analyser);
+        this.source.connect(this.audioCtx.destination);
+        await audio.play();
+    }
+
+    stop() {
+        if (this.source) this.source.disconnect();
+        if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+        if (this.audioElement) {
+            this.audioElement.pause();
+            URL.revokeObjectURL(this.audioElement.src);
+        }
+        this.source = null;
+        this.stream = null;
+        this.audioElement = null;
+        this.fluxHistory = [];
+        this.previousSpectrum.fill(0);
+    }
+
+    /**
+     * 한 프레임 분석. 애니메이션 루프에서 매 프레임 호출.
+     * @param {number} delta - 지난 프레임부터의 시간 (초)
+     * @returns {{ bands: { low: number, mid: number, high: number }, level: number, onset: boolean, onsetStrength: number }}
+     */
+    update(delta) {
+        if (!this.active) {
+            // 입력이 꺼지면 값이 서서히 0으로
+            Object.keys(this.bands).forEach(band => {
+                this.bands[band] = follow(this.bands[band], 0, delta);
+            });
+            this.level = follow(this.level, 0, delta);
+            return { bands: { ...this.bands }, level: this.level, onset: false, onsetStrength: 0 };
+        }
+
+        this.analyser.getByteFrequencyData(this.spectrum);
+        const binHz = this.audioCtx.sampleRate / this.analyser.fftSize;
+
+        // 대역 에너지: 최근 최댓값으로 나눠서 입력 음량과 상관없이 0~1을 고루 쓰게 함
+        Object.entries(BANDS).forEach(([band, [from, to]]) => {
+            const raw = this.bandEnergy(Math.floor(from / binHz), Math.ceil(to / binHz));
+            this.peaks[band] = Math.max(raw, PEAK_FLOOR, this.peaks[band] - PEAK_DECAY * delta * this.peaks[band]);
+            this.bands[band] = follow(this.bands[band], raw / this.peaks[band], delta);
+        });
+        this.level = (this.bands.low + this.bands.mid + this.bands.high) / 3;
+
+        const { onset, onsetStrength } = this.detectOnset(delta);
+        return { bands: { ...this.bands }, level: this.level, onset, onsetStrength };
+    }
+
+    bandEnergy(fromBin, toBin) {
+        const end = Math.min(toBin, this.spectrum.length);
+        let sum = 0;
+        for (let i = fromBin; i < end; i++) sum += this.spectrum[i];
+        return end > fromBin ? sum / (end - fromBin) / 255 : 0;
+    }
+
+    // Spectral flux: 직전 프레임보다 커진 성분의 합. 새 소리가 시작될 때 튄다
+    detectOnset(delta) {
+        let flux = 0;
+        for (let i = 0; i < this.spectrum.length; i++) {
+            const value = this.spectrum[i] / 255;
+            flux += Math.max(0, value - this.previousSpectrum[i]);
+            this.previousSpectrum[i] = value;
+        }
+        flux /= this.spectrum.length;
+
+        const history = this.fluxHistory;
+        const mean = history.reduce((sum, value) => sum + value, 0) / (history.length || 1);
+        const variance = history.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (history.length || 1);
+        const threshold = Math.max(FLUX_MIN, mean + FLUX_K * Math.sqrt(variance));
+
+        history.push(flux);
+        if (history.length > FLUX_HISTORY) history.shift();
+
+        this.sinceOnset += delta;
+        // 기록이 충분히 쌓이기 전에는 판단하지 않음
+        if (history.length < FLUX_HISTORY / 2 || flux <= threshold || this.sinceOnset < MIN_ONSET_INTERVAL) {
+            return { onset: false, onsetStrength: 0 };
+        }
+        this.sinceOnset = 0;
+        return { onset: true, onsetStrength: Math.min(1, (flux - threshold) / threshold) };
+    }
+}
+
+// 엔벨로프 팔로워: 올라갈 때는 ATTACK, 내려갈 때는 RELEASE 시간 상수로 따라감
+function follow(current, target, delta) {
+    const time = target > current ? ATTACK : RELEASE;
+    return current + (target - current) * (1 - Math.exp(-delta / time));
+}
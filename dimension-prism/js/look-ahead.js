@@ -0,0 +1,43 @@
+/**
+ * 미리 보기 타이머 (Look-ahead Timer)
+ *
+ * setInterval은 수십 ms씩 밀리므로 그 시각에 바로 소리를 내지 않는다. 짧은 간격으로 깨어나
+ * 오디오 시계를 읽어 onTick(now)을 부르면, 받는 쪽(midi-scheduler.js, sequencer.js)이
+ * now + lookAhead 전에 시작할 것을 모두 시작 시각(when)을 붙여 미리 넘긴다.
+ * 소리는 Web Audio가 그 시각에 정확히 시작하고, 화면 효과도 같은 시각을 기다렸다가 맞춘다.
+ */
+
+export const DEFAULT_LOOK_AHEAD = 0.1; // 초
+export const MAX_LATE = 0.5; // 이보다 늦으면 밀린 것을 몰아 치지 않음 (초)
+const DEFAULT_INTERVAL = 25; // ms
+
+export class LookAheadTimer {
+    /**
+     * @param {(now: number) => void} onTick - 현재 시계 시각을 받아 다음 일을 예약
+     */
+    constructor(onTick) {
+        this.onTick = onTick;
+        this.clock = null;
+        this.timer = null;
+    }
+
+    get running() {
+        return this.timer !== null;
+    }
+
+    /**
+     * 바로 한 번, 그다음부터 DEFAULT_INTERVAL마다 onTick
+     * @param {() => number} clock - 예: () => audioCtx.currentTime
+     */
+    start(clock) {
+        this.stop();
+        this.clock = clock;
+        this.timer = setInterval(() => this.onTick(this.clock()), DEFAULT_INTERVAL);
+        this.onTick(this.clock());
+    }
+
+    stop() {
+        if (this.timer !== null) clearInterval(this.timer);
+        this.timer = null;
+    }
+}
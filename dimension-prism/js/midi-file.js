@@ -0,0 +1,242 @@
+/**
+ * Standard MIDI File(.mid) 파서
+ *
+ * 파일 바이트(Uint8Array/ArrayBuffer)만 받으므로 브라우저 밖(Node)에서도 그대로 돈다.
+ * 결과는 연주용 음 목록: 각 음의 시작 시각과 길이(초), 음높이(MIDI 번호), 세기.
+ * - format 0(트랙 하나), 1(여러 트랙 동시)을 지원. 템포 변경(FF 51)은 모든 트랙에 적용
+ * - 분해능은 4분음표당 틱, 또는 SMPTE(초당 프레임 × 프레임당 틱)
+ * - running status, 세기 0인 note-on(= note-off), sysex/메타 이벤트 건너뛰기
+ */
+
+const DEFAULT_TEMPO = 500000; // 마이크로초/4분음표 (120 BPM)
+
+/**
+ * @param {Uint8Array|ArrayBuffer} data
+ * @returns {{ format: number, trackCount: number, title: string, duration: number, notes: { time: number, duration: number, note: number, velocity: number, channel: number, track: number }[] }}
+ *          velocity는 1~127 그대로, time/duration은 초
+ * @throws {Error} MIDI 파일이 아니거나 깨졌을 때 (바이트 위치 포함)
+ */
+export function parseMidiFile(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const reader = new ByteReader(bytes);
+
+    if (reader.ascii(4) !== 'MThd') throw new Error('MIDI 파일이 아닙니다 (MThd 헤더 없음)');
+    const headerLength = reader.uint32();
+    const format = reader.uint16();
+    const trackCount = reader.uint16();
+    const division = reader.uint16();
+    if (headerLength < 6) throw new Error(`MThd 헤더 길이가 잘못되었습니다 (${headerLength})`);
+    reader.skip(headerLength - 6);
+    if (format > 1) throw new Error(`format ${format} MIDI 파일은 지원하지 않습니다 (0, 1만 가능)`);
+
+    const tracks = [];
+    while (tracks.length < trackCount && reader.remaining >= 8) {
+        const type = reader.ascii(4);
+        const length = reader.uint32();
+        if (length > reader.remaining) throw new Error(`${type} 청크가 파일 끝을 넘어갑니다 (${reader.offset - 4}바이트)`);
+        const chunk = reader.slice(length);
+        // 모르는 청크는 건너뛰라는 것이 표준
+        if (type === 'MTrk') tracks.push(readTrack(chunk, tracks.length));
+    }
+    if (tracks.length < trackCount) throw new Error(`트랙이 ${trackCount}개여야 하는데 ${tracks.length}개뿐입니다`);
+
+    const toSeconds = tickConverter(division, tracks.flatMap(track => track.tempos));
+    const notes = tracks
+        .flatMap(track => track.notes)
+        .map(({ tick, endTick, ...note }) => {
+            const time = toSeconds(tick);
+            return { time, duration: toSeconds(endTick) - time, ...note };
+        })
+        .sort((a, b) => a.time - b.time || a.note - b.note);
+
+    return {
+        format,
+        trackCount,
+        title: tracks.find(track => track.name)?.name ?? '',
+        duration: toSeconds(Math.max(0, ...tracks.map(track => track.endTick))),
+        notes
+    };
+}
+
+/**
+ * 거의 동시에 시작하는 음(코드)을 묶는다. 사람이 친 코드는 음마다 수 ms씩 어긋난다.
+ * @param {{ time: number, duration: number, note: number, velocity: number }[]} notes - 시간순
+ * @param {number} [window=0.03] - 같은 코드로 볼 간격 (초)
+ * @returns {{ time: number, duration: number, notes: number[], velocity: number }[]} velocity는 0~1 (가장 센 음)
+ */
+export function groupChords(notes, window = 0.03) {
+    const chords = [];
+    notes.forEach((note) => {
+        const last = chords[chords.length - 1];
+        if (last && note.time - last.time <= window) {
+            last.notes.push(note.note);
+            last.duration = Math.max(last.duration, note.time + note.duration - last.time);
+            last.velocity = Math.max(last.velocity, note.velocity / 127);
+        } else {
+            chords.push({ time: note.time, duration: note.duration, notes: [note.note], velocity: note.velocity / 127 });
+        }
+    });
+    return chords;
+}
+
+function readTrack(reader, trackIndex) {
+    const notes = [];
+    const tempos = [];
+    const open = new Map(); // "채널:음" → 아직 끝나지 않은 note-on들 (먼저 눌린 것부터 끝냄)
+    let name = '';
+    let tick = 0;
+    let status = 0;
+
+    const noteOff = (channel, note) => {
+        const pending = open.get(`${channel}:${note}`);
+        const started = pending?.shift();
+        if (started) started.endTick = tick;
+    };
+
+    while (reader.remaining > 0) {
+        tick += reader.varint();
+        const start = reader.offset;
+        let byte = reader.uint8();
+
+        if (byte === 0xFF) {
+            // 메타 이벤트
+            const type = reader.uint8();
+            const meta = reader.slice(reader.varint());
+            status = 0;
+            if (type === 0x2F) break; // End of Track
+            if (type === 0x51 && meta.remaining === 3) tempos.push({ tick, tempo: meta.uint24() });
+            if (type === 0x03 && !name) name = new TextDecoder().decode(meta.bytes).trim();
+            continue;
+        }
+        if (byte === 0xF0 || byte === 0xF7) {
+            reader.skip(reader.varint());
+            status = 0;
+            continue;
+        }
+
+        if (byte < 0x80) {
+            // running status: 상태 바이트를 생략하고 직전 것을 그대로 씀
+            if (!status) throw new Error(`트랙 ${trackIndex}: 상태 바이트가 없습니다 (${start}바이트)`);
+            reader.offset = start;
+            byte = status;
+        } else {
+            status = byte;
+        }
+
+        const kind = byte & 0xF0;
+        const channel = byte & 0x0F;
+        if (kind === 0xC0 || kind === 0xD0) {
+            reader.uint8();
+            continue;
+        }
+        const data1 = reader.uint8();
+        const data2 = reader.uint8();
+        if (kind === 0x90 && data2 > 0) {
+            const note = { tick, endTick: null, note: data1, velocity: data2, channel, track: trackIndex };
+            notes.push(note);
+            const key = `${channel}:${data1}`;
+            if (!open.has(key)) open.set(key, []);
+            open.get(key).push(note);
+        } else if (kind === 0x80 || kind === 0x90) {
+            noteOff(channel, data1);
+        }
+    }
+
+    // note-off 없이 끝난 음은 트랙 끝까지
+    notes.forEach((note) => {
+        if (note.endTick === null) note.endTick = tick;
+    });
+    return { notes, tempos, name, endTick: tick };
+}
+
+// 틱 → 초. 4분음표 분해능이면 템포 변경 구간마다 나눠서 계산
+function tickConverter(division, tempos) {
+    if (division & 0x8000) {
+        // SMPTE: 상위 바이트는 -24/-25/-29(29.97)/-30
+        const fps = -((division >> 8) << 24 >> 24);
+        const ticksPerFrame = division & 0xFF;
+        const secondsPerTick = 1 / ((fps === 29 ? 29.97 : fps) * ticksPerFrame);
+        return tick => tick * secondsPerTick;
+    }
+    if (division === 0) throw new Error('분해능(division)이 0입니다');
+
+    const changes = [...tempos].sort((a, b) => a.tick - b.tick);
+    const segments = [{ tick: 0, seconds: 0, tempo: DEFAULT_TEMPO }];
+    changes.forEach(({ tick, tempo }) => {
+        const last = segments[segments.length - 1];
+        const seconds = last.seconds + (tick - last.tick) * last.tempo / 1e6 / division;
+        if (tick === last.tick) segments.pop();
+        segments.push({ tick, seconds, tempo });
+    });
+
+    return (tick) => {
+        let segment = segments[0];
+        for (const candidate of segments) {
+            if (candidate.tick > tick) break;
+            segment = candidate;
+        }
+        return segment.seconds + (tick - segment.tick) * segment.tempo / 1e6 / division;
+    };
+}
+
+class ByteReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.offset = 0;
+    }
+
+    get remaining() {
+        return this.bytes.length - this.offset;
+    }
+
+    need(count) {
+        if (count > this.remaining) throw new Error(`파일이 중간에 끝났습니다 (${this.offset}바이트)`);
+    }
+
+    uint8() {
+        this.need(1);
+        return this.bytes[this.offset++];
+    }
+
+    uint16() {
+        return (this.uint8() << 8) | this.uint8();
+    }
+
+    uint24() {
+        return (this.uint8() << 16) | (this.uint8() << 8) | this.uint8();
+    }
+
+    uint32() {
+        return this.uint16() * 0x10000 + this.uint16();
+    }
+
+    // 가변 길이 정수: 7비트씩, 최상위 비트가 1이면 다음 바이트가 이어짐 (최대 4바이트)
+    varint() {
+        let value = 0;
+        for (let i = 0; i < 4; i++) {
+            const byte = this.uint8();
+            value = (value << 7) | (byte & 0x7F);
+            if (!(byte & 0x80)) return value;
+        }
+        throw new Error(`가변 길이 값이 4바이트를 넘습니다 (${this.offset}바이트)`);
+    }
+
+    ascii(length) {
+        this.need(length);
+        const text = String.fromCharCode(...this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return text;
+    }
+
+    skip(length) {
+        this.need(length);
+        this.offset += length;
+    }
+
+    slice(length) {
+        this.need(length);
+        const reader = new ByteReader(this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return reader;
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * MIDI 건반 입력 (Web MIDI)
+ *
+ * 연결된 모든 MIDI 입력 장치의 note-on을 받아, 거의 동시에 누른 음을 코드 하나로 묶어서
+ * onChord로 넘긴다. 나중에 꽂은 장치도 자동으로 받는다.
+ * note-off는 쓰지 않는다: 코드는 피아노처럼 스스로 사라진다.
+ */
+
+const CHORD_WINDOW = 0.03; // 초: 이 안에 눌린 음은 같은 코드
+
+export class MidiKeyboardInput {
+    /**
+     * @param {Object} options
+     * @param {(chord: { notes: number[], velocity: number }) => void} options.onChord - velocity는 0~1 (가장 센 음)
+     * @param {number} [options.chordWindow=0.03]
+     */
+    constructor({ onChord, chordWindow = CHORD_WINDOW }) {
+        this.onChord = onChord;
+        this.chordWindow = chordWindow;
+        this.access = null;
+        this.pending = null; // 묶는 중인 코드
+        this.timer = null;
+        this.handleMIDIMessage = event => this.handleMessage(event.data);
+        this.handleStateChange = () => this.listen();
+    }
+
+    get connected() {
+        return this.access !== null;
+    }
+
+    /**
+     * 브라우저가 MIDI 장치 사용 권한을 묻는다.
+     * @throws {Error} Web MIDI를 지원하지 않거나 권한을 거부했을 때
+     */
+    async connect() {
+        if (!navigator.requestMIDIAccess) throw new Error('이 브라우저는 Web MIDI를 지원하지 않습니다');
+        this.disconnect();
+        this.access = await navigator.requestMIDIAccess();
+        this.access.addEventListener('statechange', this.handleStateChange);
+        this.listen();
+    }
+
+    disconnect() {
+        if (this.access) {
+            this.access.removeEventListener('statechange', this.handleStateChange);
+            this.access.inputs.forEach(input => input.removeEventListener('midimessage', this.handleMIDIMessage));
+        }
+        this.access = null;
+        clearTimeout(this.timer);
+        this.pending = null;
+    }
+
+    listen() {
+        // 같은 리스너는 한 번만 붙으므로 장치가 바뀔 때마다 다시 불러도 된다
+        this.access.inputs.forEach(input => input.addEventListener('midimessage', this.handleMIDIMessage));
+    }
+
+    /**
+     * MIDI 메시지 한 개 (상태 바이트 + 데이터 바이트). 장치 없이 바이트로 직접 넣어도 된다.
+     * @param {Uint8Array|number[]} data
+     */
+    handleMessage(data) {
+        const [status, note, velocity] = data;
+        // 채널 상관없이 note-on만. 세기 0인 note-on은 note-off
+        if ((status & 0xF0) !== 0x90 || !velocity) return;
+
+        if (!this.pending) {
+            this.pending = { notes: [], velocity: 0 };
+            this.timer = setTimeout(() => this.flush(), this.chordWindow * 1000);
+        }
+        if (!this.pending.notes.includes(note)) this.pending.notes.push(note);
+        this.pending.velocity = Math.max(this.pending.velocity, velocity / 127);
+    }
+
+    flush() {
+        const chord = this.pending;
+        this.pending = null;
+        if (chord) this.onChord(chord);
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * MIDI 파일 재생 스케줄러
+ *
+ * look-ahead.js의 타이머로 조금 앞(lookAhead)을 내다보며 AudioContext 시계 기준
+ * 시각(when)을 붙여 코드를 onChord로 넘긴다.
+ *
+ * 시계는 함수로 받으므로 pump(now)를 직접 부르면 AudioContext 없이도(Node 등) 돌려 볼 수 있다.
+ */
+
+import { DEFAULT_LOOK_AHEAD, MAX_LATE, LookAheadTimer } from './look-ahead.js';
+
+export class MidiScheduler {
+    /**
+     * @param {{ time: number }[]} chords - 시간순 (midi-file.js의 groupChords 결과 등)
+     * @param {Object} options
+     * @param {(chord: Object, when: number) => void} options.onChord
+     * @param {number} [options.duration] - 곡 길이 (초). 반복할 때 다음 회차 시작점
+     * @param {boolean} [options.loop=false]
+     * @param {number} [options.lookAhead=0.1]
+     */
+    constructor(chords, { onChord, duration, loop = false, lookAhead = DEFAULT_LOOK_AHEAD }) {
+        this.chords = chords;
+        this.onChord = onChord;
+        this.duration = Math.max(duration ?? 0, chords.length > 0 ? chords[chords.length - 1].time : 0);
+        this.loop = loop && this.duration > 0 && chords.length > 0;
+        this.lookAhead = lookAhead;
+        this.startTime = 0;
+        this.index = 0;
+        this.onEnd = null;
+        this.timer = new LookAheadTimer((now) => {
+            this.pump(now);
+            if (this.finished) {
+                this.stop();
+                if (this.onEnd) this.onEnd();
+            }
+        });
+    }
+
+    get finished() {
+        return !this.loop && this.index >= this.chords.length;
+    }
+
+    /**
+     * @param {number} startTime - 곡의 0초에 해당하는 시계 시각
+     */
+    start(startTime) {
+        this.startTime = startTime;
+        this.index = 0;
+    }
+
+    /**
+     * now + lookAhead 전에 시작할 코드를 모두 넘긴다. 타이머가 조금 늦어 이미 지난 코드는
+     * now로 당겨서 연주하고, 탭이 백그라운드라 MAX_LATE보다 늦었으면 몰아서 울리지 않고 건너뛴다.
+     * @param {number} now - 현재 시계 시각
+     */
+    pump(now) {
+        while (!this.finished) {
+            if (this.index >= this.chords.length) {
+                // 반복: 다음 회차
+                this.startTime += this.duration;
+                this.index = 0;
+            }
+            const chord = this.chords[this.index];
+            const when = this.startTime + chord.time;
+            if (when >= now + this.lookAhead) break;
+            this.index++;
+            if (when >= now - MAX_LATE) this.onChord(chord, Math.max(when, now));
+        }
+    }
+
+    /**
+     * 실제 재생: 타이머로 pump를 계속 부름. 끝나면 onEnd.
+     * @param {() => number} clock - 예: () => audioCtx.currentTime
+     * @param {Object} [options]
+     * @param {number} [options.delay=0.1] - 첫 음까지 여유 (초)
+     * @param {() => void} [options.onEnd]
+     */
+    play(clock, { delay = DEFAULT_LOOK_AHEAD, onEnd } = {}) {
+        this.stop();
+        this.start(clock() + delay);
+        this.onEnd = onEnd;
+        this.timer.start(clock);
+    }
+
+    stop() {
+        this.timer.stop();
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * 자동 연주 시퀀서 (Autoplay Sequencer)
+ *
+ * 클릭 없이 곡을 스스로 진행시킨다 (무인 설치용). midi-scheduler.js와 같은 look-ahead.js
+ * 타이머로 오디오 시계를 lookAhead만큼 내다보며 각 스텝(코드 하나)의 시작 시각(when)을
+ * 미리 정해 onStep으로 넘긴다. 소리도 화면 펄스도 이 시각에 맞춘다.
+ *
+ * - bpm: 스텝 길이 = beats(스텝) × 60 / bpm
+ * - swing (0~1): 홀수 번째 스텝을 늦춤. 1이면 스텝 길이의 1/3 (셋잇단 느낌)
+ * - humanize (0~1): 시작 시각을 최대 ±30ms, 세기를 최대 20% 흔듦
+ * 박자 격자(grid)는 swing/humanize와 따로 흘러가므로 오래 돌아도 템포가 밀리지 않는다.
+ */
+
+import { DEFAULT_LOOK_AHEAD, MAX_LATE, LookAheadTimer } from './look-ahead.js';
+
+const HUMANIZE_TIME = 0.03; // 초
+const HUMANIZE_VELOCITY = 0.2;
+const DEFAULT_BEATS = 4;
+
+export class Sequencer {
+    /**
+     * @param {Object} options
+     * @param {(step: { index: number, when: number, duration: number, velocity: number }) => void} options.onStep
+     * @param {(index: number) => number} [options.beats] - 다음 스텝의 박 수 (기본 4)
+     * @param {number} [options.bpm=60]
+     * @param {number} [options.swing=0]
+     * @param {number} [options.humanize=0]
+     * @param {number} [options.lookAhead=0.1]
+     * @param {() => number} [options.random=Math.random] - 확인할 때 고정값을 넣을 수 있게
+     */
+    constructor({ onStep, beats = () => DEFAULT_BEATS, bpm = 60, swing = 0, humanize = 0, lookAhead = DEFAULT_LOOK_AHEAD, random = Math.random }) {
+        this.onStep = onStep;
+        this.beats = beats;
+        this.lookAhead = lookAhead;
+        this.random = random;
+        this.setBpm(bpm);
+        this.setSwing(swing);
+        this.setHumanize(humanize);
+
+        this.clock = null;
+        this.timer = new LookAheadTimer(now => this.pump(now));
+        this.index = 0;
+        this.nextGridTime = 0;
+        this.pausedOffset = null; // 일시정지 중: 다음 스텝까지 남은 시간
+    }
+
+    get playing() {
+        return this.timer.running;
+    }
+
+    get paused() {
+        return this.pausedOffset !== null;
+    }
+
+    /**
+     * 재생 중에 바꾸면 다음 스텝부터 적용
+     * @param {number} bpm - 0 초과 400 이하
+     */
+    setBpm(bpm) {
+        if (!(typeof bpm === 'number' && bpm > 0 && bpm <= 400)) throw new Error(`BPM은 0보다 크고 400 이하여야 합니다: ${bpm}`);
+        this.bpm = bpm;
+    }
+
+    setSwing(swing) {
+        this.swing = clamp01(swing, 'swing');
+    }
+
+    setHumanize(humanize) {
+        this.humanize = clamp01(humanize, 'humanize');
+    }
+
+    /**
+     * 처음부터 (스텝 번호 0) 재생
+     * @param {() => number} clock - 예: () => audioCtx.currentTime
+     * @param {Object} [options]
+     * @param {number} [options.delay=0.1] - 첫 스텝까지 여유 (초)
+     */
+    play(clock, { delay = DEFAULT_LOOK_AHEAD } = {}) {
+        this.stop();
+        this.clock = clock;
+        this.index = 0;
+        this.nextGridTime = clock() + delay;
+        this.run();
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.pausedOffset = Math.max(0, this.nextGridTime - this.clock());
+        this.timer.stop();
+    }
+
+    // 멈췄던 자리(다음 스텝까지 남은 시간)부터 이어서
+    resume() {
+        if (!this.paused) return;
+        this.nextGridTime = this.clock() + this.pausedOffset;
+        this.run();
+    }
+
+    stop() {
+        this.timer.stop();
+        this.pausedOffset = null;
+    }
+
+    run() {
+        this.pausedOffset = null;
+        this.timer.start(this.clock);
+    }
+
+    /**
+     * now + lookAhead 전에 시작할 스텝을 모두 넘긴다. 시계를 직접 넣어서 부를 수도 있다.
+     * MAX_LATE보다 늦었으면 밀린 스텝을 몰아 치지 않고 지금부터 다시 잡는다.
+     * @param {number} now - 현재 시계 시각
+     */
+    pump(now) {
+        if (this.nextGridTime < now - MAX_LATE) this.nextGridTime = now;
+
+        while (this.nextGridTime < now + this.lookAhead) {
+            const beats = this.beats(this.index);
+            const duration = (beats > 0 ? beats : DEFAULT_BEATS) * 60 / this.bpm;
+            const swingOffset = this.index % 2 === 1 ? this.swing * duration / 3 : 0;
+            const jitter = (this.random() * 2 - 1) * this.humanize * HUMANIZE_TIME;
+            const velocity = 1 - this.random() * this.humanize * HUMANIZE_VELOCITY;
+            const when = Math.max(now, this.nextGridTime + swingOffset + jitter);
+
+            this.onStep({ index: this.index, when, duration, velocity });
+            this.nextGridTime += duration;
+            this.index++;
+        }
+    }
+}
+
+function clamp01(value, name) {
+    if (!(typeof value === 'number' && Number.isFinite(value))) throw new Error(`${name} 값은 0~1 사이 숫자여야 합니다: ${value}`);
+    return Math.min(1, Math.max(0, value));
+}
@@ -0,0 +1,204 @@
+/**
+ * 곡 포맷 (Song Format)
+ *
+ * 코드 진행을 주파수 배열 대신 JSON으로 적는다. songs/*.json 참고.
+ *
+ *     {
+ *         "title": "Mystic Diamond",
+ *         "tempo": 60,                    // BPM (4분음표 기준)
+ *         "beatsPerChord": 4,             // 코드마다 길이를 안 적으면 이 값
+ *         "sections": {
+ *             "verse": [
+ *                 "C2 Eb3 G3 C4",                              // 음이름 (옥타브 포함)
+ *                 { "name": "Fm", "notes": [41, 56, 60, 65] }, // MIDI 번호도 가능
+ *                 { "notes": "Bb1 D3 F3 Bb3", "beats": 2 }     // 이 코드만 2박
+ *             ],
+ *             "chorus": [ ... ]
+ *         },
+ *         "form": ["verse", { "section": "chorus", "repeat": 2 }]
+ *     }
+ *
+ * 음이름은 C4 = 가온 도 = MIDI 60. 샵은 #, 플랫은 b (Eb3, F#2, Bbb1...).
+ * validateSong()은 잘못된 곳을 모두 경로와 함께 알려 주고, parseSong()은
+ * 연주할 수 있는 코드 목록으로 펼친다.
+ */
+
+const NOTE_PATTERN = /^([A-Ga-g])(##|bb|#|b)?(-?\d)$/;
+const PITCH_CLASS = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 };
+const ACCIDENTAL = { '': 0, '#': 1, '##': 2, 'b': -1, 'bb': -2 };
+const SECTION_NAME = /^[A-Za-z0-9_-]+$/;
+
+const DEFAULT_TEMPO = 60;
+const DEFAULT_BEATS = 4;
+const MAX_REPEAT = 64;
+
+/**
+ * 음이름 또는 MIDI 번호 → MIDI 번호. 잘못된 값이면 null.
+ * @param {string|number} note - "Eb3", "C#4" 또는 0~127
+ * @returns {number|null}
+ */
+export function parseNote(note) {
+    if (typeof note === 'number') {
+        return Number.isInteger(note) && note >= 0 && note <= 127 ? note : null;
+    }
+    const match = NOTE_PATTERN.exec(String(note).trim());
+    if (!match) return null;
+    const [, letter, accidental = '', octave] = match;
+    const midi = (Number(octave) + 1) * 12 + PITCH_CLASS[letter.toLowerCase()] + ACCIDENTAL[accidental];
+    return midi >= 0 && midi <= 127 ? midi : null;
+}
+
+/**
+ * 평균율, A4 = 440Hz
+ * @param {number} midi
+ */
+export function midiToFrequency(midi) {
+    return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * 곡 데이터 검사. 문제가 없으면 빈 배열.
+ * @param {*} data - 파싱된 JSON
+ * @returns {{ path: string, message: string }[]}
+ */
+export function validateSong(data) {
+    const errors = [];
+    const fail = (path, message) => errors.push({ path, message });
+
+    if (!isPlainObject(data)) {
+        fail('', '곡은 JSON 객체여야 합니다');
+        return errors;
+    }
+    if (data.title !== undefined && typeof data.title !== 'string') fail('title', '문자열이어야 합니다');
+    if (data.tempo !== undefined && !(isPositiveNumber(data.tempo) && data.tempo <= 400)) {
+        fail('tempo', '0보다 크고 400 이하인 BPM이어야 합니다');
+    }
+    if (data.beatsPerChord !== undefined && !isPositiveNumber(data.beatsPerChord)) {
+        fail('beatsPerChord', '0보다 큰 숫자여야 합니다');
+    }
+
+    if (!isPlainObject(data.sections) || Object.keys(data.sections).length === 0) {
+        fail('sections', '섹션이 하나 이상 있어야 합니다');
+    } else {
+        Object.entries(data.sections).forEach(([name, chords]) => {
+            const path = `sections.${name}`;
+            if (!SECTION_NAME.test(name)) fail(path, '섹션 이름은 영문, 숫자, -, _ 만 쓸 수 있습니다');
+            if (!Array.isArray(chords) || chords.length === 0) {
+                fail(path, '코드가 하나 이상 든 배열이어야 합니다');
+                return;
+            }
+            chords.forEach((chord, i) => validateChord(chord, `${path}[${i}]`, fail));
+        });
+    }
+
+    // form을 생략하면 섹션을 적힌 순서대로 한 번씩
+    if (data.form !== undefined) {
+        if (!Array.isArray(data.form) || data.form.length === 0) {
+            fail('form', '섹션 이름이 하나 이상 든 배열이어야 합니다');
+        } else {
+            data.form.forEach((item, i) => validateFormItem(item, `form[${i}]`, data.sections, fail));
+        }
+    }
+    return errors;
+}
+
+function validateChord(chord, path, fail) {
+    const entry = typeof chord === 'string' || Array.isArray(chord) ? { notes: chord } : chord;
+    if (!isPlainObject(entry)) {
+        fail(path, '음 목록(문자열/배열) 또는 { notes, beats, name } 객체여야 합니다');
+        return;
+    }
+    Object.keys(entry).forEach(key => {
+        if (!['notes', 'beats', 'name'].includes(key)) fail(`${path}.${key}`, '알 수 없는 항목입니다');
+    });
+    if (entry.name !== undefined && typeof entry.name !== 'string') fail(`${path}.name`, '문자열이어야 합니다');
+    if (entry.beats !== undefined && !isPositiveNumber(entry.beats)) fail(`${path}.beats`, '0보다 큰 숫자여야 합니다');
+
+    const notes = splitNotes(entry.notes);
+    if (!notes || notes.length === 0) {
+        fail(entry === chord ? `${path}.notes` : path, '음이 하나 이상 있어야 합니다');
+        return;
+    }
+    notes.forEach((note, i) => {
+        if (parseNote(note) !== null) return;
+        const where = entry === chord ? `${path}.notes[${i}]` : `${path}[${i}]`;
+        fail(where, typeof note === 'number'
+            ? `${note}은(는) MIDI 번호(0~127 정수)가 아닙니다`
+            : `${JSON.stringify(note)}은(는) 음이름이 아닙니다 (예: C4, Eb3, F#2)`);
+    });
+}
+
+function validateFormItem(item, path, sections, fail) {
+    const entry = typeof item === 'string' ? { section: item } : item;
+    if (!isPlainObject(entry) || typeof entry.section !== 'string') {
+        fail(path, '섹션 이름 또는 { section, repeat } 객체여야 합니다');
+        return;
+    }
+    if (isPlainObject(sections) && !(entry.section in sections)) {
+        fail(path, `"${entry.section}" 섹션이 없습니다`);
+    }
+    if (entry.repeat !== undefined && !(Number.isInteger(entry.repeat) && entry.repeat >= 1 && entry.repeat <= MAX_REPEAT)) {
+        fail(`${path}.repeat`, `1~${MAX_REPEAT} 사이의 정수여야 합니다`);
+    }
+}
+
+/**
+ * 곡 데이터를 연주 순서대로 펼친 코드 목록으로 변환.
+ * @param {*} data - 파싱된 JSON
+ * @returns {{ title: string, tempo: number, chords: { name: string, section: string, notes: number[], frequencies: number[], beats: number, seconds: number }[] }}
+ * @throws {Error} 검사에 실패하면 모든 오류를 담은 메시지와 `errors` 배열
+ */
+export function parseSong(data) {
+    const errors = validateSong(data);
+    if (errors.length > 0) {
+        const error = new Error(`곡 형식 오류:\n${formatSongErrors(errors)}`);
+        error.errors = errors;
+        throw error;
+    }
+
+    const tempo = data.tempo ?? DEFAULT_TEMPO;
+    const defaultBeats = data.beatsPerChord ?? DEFAULT_BEATS;
+    const form = data.form ?? Object.keys(data.sections);
+
+    const chords = form.flatMap((item) => {
+        const { section, repeat = 1 } = typeof item === 'string' ? { section: item } : item;
+        const sectionChords = data.sections[section].map((chord) => {
+            const entry = typeof chord === 'string' || Array.isArray(chord) ? { notes: chord } : chord;
+            const notes = splitNotes(entry.notes).map(parseNote);
+            const beats = entry.beats ?? defaultBeats;
+            return {
+                name: entry.name ?? '',
+                section,
+                notes,
+                frequencies: notes.map(midiToFrequency),
+                beats,
+                seconds: beats * 60 / tempo
+            };
+        });
+        return Array.from({ length: repeat }, () => sectionChords).flat();
+    });
+
+    return { title: data.title ?? '', tempo, chords };
+}
+
+/**
+ * @param {{ path: string, message: string }[]} errors
+ */
+export function formatSongErrors(errors) {
+    return errors.map(({ path, message }) => `  ${path || '(곡)'}: ${message}`).join('\n');
+}
+
+// "C2 Eb3 G3" 또는 ["C2", 51, "G3"]
+function splitNotes(notes) {
+    if (typeof notes === 'string') return notes.trim().split(/\s+/).filter(Boolean);
+    if (Array.isArray(notes)) return notes;
+    return null;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
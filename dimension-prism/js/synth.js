@@ -0,0 +1,243 @@
+/**
+ * 신스 엔진 (Synth)
+ *
+ * 음(voice)마다: 오실레이터 몇 개 → 필터 → ADSR 게인
+ * 전체:        voices → dry ┬→ 컴프레서 → 마스터 → destination
+ *                     → 리버브(Convolver) ┘
+ *
+ * - 동시에 울리는 음 수를 maxVoices로 제한하고, 넘치면 이미 release 중인 음, 그다음 가장
+ *   오래된 음을 빠르게 줄여 자리를 내준다 (voice stealing).
+ * - 리버브 임펄스 응답은 파일 없이 감쇠하는 잡음으로 만든다.
+ * - AudioContext 대신 OfflineAudioContext를 넘기면 화면/스피커 없이 렌더링해서 확인할 수 있다.
+ */
+
+// ratio: 기본 주파수 배수, detune: 센트, gain: 오실레이터끼리의 비율
+export const PRESETS = {
+    // 부드럽고 어두운 피아노. 누르고 있어도 서서히 사라짐
+    'felt-piano': {
+        oscillators: [
+            { type: 'triangle', ratio: 1, gain: 1 },
+            { type: 'sine', ratio: 2, gain: 0.25 }
+        ],
+        filter: { type: 'lowpass', frequency: 600, Q: 1 },
+        envelope: { attack: 0.02, decay: 2.5, sustain: 0, release: 0.8 },
+        reverb: { seconds: 2.5, decay: 3, mix: 0.3 },
+        gain: 0.18
+    },
+    // 천천히 차오르고 길게 남는 패드
+    'pad': {
+        oscillators: [
+            { type: 'sawtooth', ratio: 1, detune: -7, gain: 0.5 },
+            { type: 'sawtooth', ratio: 1, detune: 7, gain: 0.5 },
+            { type: 'triangle', ratio: 0.5, gain: 0.4 }
+        ],
+        filter: { type: 'lowpass', frequency: 900, Q: 0.8 },
+        envelope: { attack: 1.2, decay: 1, sustain: 0.7, release: 2.5 },
+        reverb: { seconds: 4, decay: 2.5, mix: 0.45 },
+        gain: 0.07
+    },
+    // 배음이 정수배가 아닌 금속성 종소리
+    'bell': {
+        oscillators: [
+            { type: 'sine', ratio: 1, gain: 1 },
+            { type: 'sine', ratio: 2.76, gain: 0.4 },
+            { type: 'sine', ratio: 5.4, gain: 0.2 }
+        ],
+        filter: { type: 'lowpass', frequency: 6000, Q: 0.5 },
+        envelope: { attack: 0.002, decay: 3, sustain: 0, release: 1.5 },
+        reverb: { seconds: 3, decay: 2, mix: 0.35 },
+        gain: 0.12
+    }
+};
+
+export const DEFAULT_PRESET = 'felt-piano';
+const DEFAULT_MAX_VOICES = 24;
+const STEAL_FADE = 0.01; // 빼앗긴 음이 사라지는 시간 상수 (초)
+
+export class Synth {
+    /**
+     * @param {BaseAudioContext} audioCtx - AudioContext 또는 OfflineAudioContext
+     * @param {Object} [options]
+     * @param {string} [options.preset='felt-piano'] - PRESETS의 이름
+     * @param {Object} [options.envelope] - 프리셋 ADSR 중 바꿀 값 { attack, decay, sustain, release }
+     * @param {number} [options.maxVoices=24]
+     * @param {AudioNode} [options.destination=audioCtx.destination]
+     */
+    constructor(audioCtx, { preset = DEFAULT_PRESET, envelope, maxVoices = DEFAULT_MAX_VOICES, destination = audioCtx.destination } = {}) {
+        this.audioCtx = audioCtx;
+        this.maxVoices = Math.max(1, maxVoices);
+        this.voices = [];
+
+        this.voiceBus = audioCtx.createGain();
+        this.dry = audioCtx.createGain();
+        this.wet = audioCtx.createGain();
+        this.reverb = audioCtx.createConvolver();
+        this.compressor = audioCtx.createDynamicsCompressor();
+        this.output = audioCtx.createGain();
+
+        // 여러 음이 겹쳐도 찢어지지 않도록 부드럽게 누름
+        this.compressor.threshold.value = -18;
+        this.compressor.knee.value = 12;
+        this.compressor.ratio.value = 4;
+        this.compressor.attack.value = 0.005;
+        this.compressor.release.value = 0.25;
+
+        this.voiceBus.connect(this.dry);
+        this.voiceBus.connect(this.reverb);
+        this.reverb.connect(this.wet);
+        this.dry.connect(this.compressor);
+        this.wet.connect(this.compressor);
+        this.compressor.connect(this.output);
+        this.output.connect(destination);
+
+        this.setPreset(preset, envelope);
+    }
+
+    /**
+     * @param {string} name - PRESETS의 이름
+     * @param {Object} [envelope] - 프리셋 ADSR 중 바꿀 값
+     * @throws {Error} 없는 프리셋
+     */
+    setPreset(name, envelope) {
+        const preset = PRESETS[name];
+        if (!preset) throw new Error(`알 수 없는 프리셋입니다: ${name} (${Object.keys(PRESETS).join(', ')})`);
+        const reverbChanged = !this.preset || this.preset.reverb.seconds !== preset.reverb.seconds || this.preset.reverb.decay !== preset.reverb.decay;
+
+        this.presetName = name;
+        this.preset = preset;
+        this.envelope = { ...preset.envelope };
+        if (envelope) this.setEnvelope(envelope);
+
+        if (reverbChanged) this.reverb.buffer = createImpulseResponse(this.audioCtx, preset.reverb.seconds, preset.reverb.decay);
+        this.dry.gain.value = 1 - preset.reverb.mix;
+        this.wet.gain.value = preset.reverb.mix;
+    }
+
+    /**
+     * 이후에 치는 음부터 적용. 시간은 초, sustain은 0~1
+     * @param {{ attack?: number, decay?: number, sustain?: number, release?: number }} envelope
+     */
+    setEnvelope(envelope) {
+        Object.entries(envelope).forEach(([key, value]) => {
+            if (!(key in this.envelope)) throw new Error(`알 수 없는 엔벨로프 값입니다: ${key}`);
+            if (!(typeof value === 'number' && value >= 0) || (key === 'sustain' && value > 1)) {
+                throw new Error(`엔벨로프 ${key} 값이 잘못되었습니다: ${value}`);
+            }
+            this.envelope[key] = value;
+        });
+    }
+
+    /**
+     * @param {number[]} frequencies - Hz
+     * @param {Object} [options]
+     * @param {number} [options.when=audioCtx.currentTime] - 시작 시각
+     * @param {number} [options.duration=1] - 누르고 있는 시간 (이후 release)
+     * @param {number} [options.velocity=1] - 0~1
+     */
+    playChord(frequencies, { when, duration = 1, velocity = 1 } = {}) {
+        frequencies.forEach(frequency => this.playNote(frequency, { when, duration, velocity }));
+    }
+
+    /**
+     * @param {number} frequency - Hz
+     * @param {Object} [options] - playChord와 같음
+     */
+    playNote(frequency, { when, duration = 1, velocity = 1 } = {}) {
+        const ctx = this.audioCtx;
+        const start = Math.max(when ?? ctx.currentTime, ctx.currentTime);
+        const { attack, decay, sustain, release } = this.envelope;
+        const peak = this.preset.gain * velocity;
+        const releaseStart = start + Math.max(duration, attack);
+        const end = releaseStart + release;
+
+        this.makeRoom(start);
+
+        const amp = ctx.createGain();
+        amp.gain.setValueAtTime(0, start);
+        amp.gain.linearRampToValueAtTime(peak, start + attack);
+        if (decay > 0) amp.gain.setTargetAtTime(peak * sustain, start + attack, decay / 3);
+        // setTargetAtTime은 시간 상수의 5배면 99% 도달: release가 끝나면 거의 무음
+        amp.gain.setTargetAtTime(0, releaseStart, Math.max(release, 0.005) / 5);
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = this.preset.filter.type;
+        filter.frequency.value = this.preset.filter.frequency;
+        filter.Q.value = this.preset.filter.Q;
+        filter.connect(amp);
+        amp.connect(this.voiceBus);
+
+        const oscillators = this.preset.oscillators.map(({ type, ratio = 1, detune = 0, gain = 1 }) => {
+            const osc = ctx.createOscillator();
+            const level = ctx.createGain();
+            osc.type = type;
+            osc.frequency.value = frequency * ratio;
+            osc.detune.value = detune;
+            level.gain.value = gain;
+            osc.connect(level);
+            level.connect(filter);
+            osc.start(start);
+            osc.stop(end + STEAL_FADE * 5);
+            return osc;
+        });
+
+        const voice = { start, releaseStart, end, amp, oscillators };
+        oscillators[0].onended = () => this.removeVoice(voice);
+        this.voices.push(voice);
+        return voice;
+    }
+
+    // 새 음이 시작될 때 이미 끝났을 음은 빼고, 그래도 가득 차 있으면 하나를 빼앗음
+    makeRoom(when) {
+        this.voices = this.voices.filter(voice => voice.end > when);
+        while (this.voices.length >= this.maxVoices) {
+            const releasing = this.voices.filter(voice => voice.releaseStart <= when);
+            const candidates = releasing.length > 0 ? releasing : this.voices;
+            const victim = candidates.reduce((oldest, voice) => (voice.start < oldest.start ? voice : oldest));
+            this.steal(victim, when);
+        }
+    }
+
+    steal(voice, when) {
+        const gain = voice.amp.gain;
+        if (gain.cancelAndHoldAtTime) {
+            gain.cancelAndHoldAtTime(when);
+        } else {
+            gain.cancelScheduledValues(when);
+        }
+        gain.setTargetAtTime(0, when, STEAL_FADE);
+        voice.oscillators.forEach(osc => osc.stop(when + STEAL_FADE * 5));
+        voice.end = when;
+        this.removeVoice(voice);
+    }
+
+    removeVoice(voice) {
+        this.voices = this.voices.filter(other => other !== voice);
+    }
+
+    /**
+     * 울리고 있는 모든 음을 빠르게 끔
+     */
+    stopAll() {
+        const now = this.audioCtx.currentTime;
+        [...this.voices].forEach(voice => this.steal(voice, now));
+    }
+}
+
+/**
+ * 잔향용 임펄스 응답: 좌우가 다른 잡음이 (1 - t)^decay 모양으로 줄어든다.
+ * @param {BaseAudioContext} audioCtx
+ * @param {number} seconds - 길이
+ * @param {number} decay - 클수록 빨리 사라짐
+ * @returns {AudioBuffer}
+ */
+export function createImpulseResponse(audioCtx, seconds, decay) {
+    const length = Math.max(1, Math.round(seconds * audioCtx.sampleRate));
+    const buffer = audioCtx.createBuffer(2, length, audioCtx.sampleRate);
+    for (let channel = 0; channel < 2; channel++) {
+        const data = buffer.getChannelData(channel);
+        for (let i = 0; i < length; i++) {
+            data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+        }
+    }
+    return buffer;
+}
@@ -6,6 +6,8 @@ import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js'
 import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
 import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { warmLoadingManager } from '/shared/prefetch.js';
+import { LoadingOverlay } from '/shared/loading-overlay.js';
 
 // --- CONFIGURATION ---
 const CONFIG = {
@@ -34,22 +36,12 @@ const HDRI_PATH = './assets/studio.hdr';
 
 // --- LOADING MANAGER ---
 const loadingManager = new THREE.LoadingManager();
-const progressBar = document.getElementById('loading-progress-container');
-const loadingOverlay = document.getElementById('loading-overlay');
+const loadingOverlay = new LoadingOverlay();
+loadingOverlay.show('just vibe');
+loadingOverlay.trackLoadingManager(loadingManager);
 
-loadingManager.onProgress = (url, itemsLoaded, itemsTotal) => {
-    const progress = (itemsLoaded / itemsTotal) * 100;
-    if (progressBar) progressBar.style.width = progress + '%';
-};
-
-loadingManager.onLoad = () => {
-    if (loadingOverlay) {
-        loadingOverlay.style.opacity = '0';
-        setTimeout(() => {
-            loadingOverlay.style.display = 'none';
-        }, 500);
-    }
-};
+// Files the gallery prefetched load from the cache instead of the network
+await warmLoadingManager(loadingManager, 'just-vibe');
 
 // --- SCENE SETUP ---
 const scene = new THREE.Scene();
@@ -113,17 +105,45 @@ const hologramMaterial = new THREE.MeshPhysicalMaterial({
     sheen: 0.6,
     sheenRoughness: 0.4
 });
-const microNormalMap = new THREE.TextureLoader(loadingManager).load(
-    'https://threejs.org/examples/textures/water/Water_1_M_Normal.jpg',
-    (texture) => {
-        texture.wrapS = THREE.RepeatWrapping;
-        texture.wrapT = THREE.RepeatWrapping;
-        texture.repeat.set(4, 6);
-        hologramMaterial.normalMap = texture;
-        hologramMaterial.normalScale = new THREE.Vector2(0.08, 0.08);
-        hologramMaterial.needsUpdate = true;
+// Fine ripples on the foil, generated here so the card needs no download
+const microNormalMap = createRippleNormalMap(256);
+microNormalMap.wrapS = THREE.RepeatWrapping;
+microNormalMap.wrapT = THREE.RepeatWrapping;
+microNormalMap.repeat.set(4, 6);
+hologramMaterial.normalMap = microNormalMap;
+hologramMaterial.normalScale = new THREE.Vector2(0.08, 0.08);
+
+// Tileable normal map from a few crossing sine waves (whole periods per tile)
+function createRippleNormalMap(size) {
+    const waves = [[3, 1, 0.0], [-2, 5, 1.3], [7, -4, 2.1], [1, 9, 4.0]];
+    const data = new Uint8Array(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            let dx = 0;
+            let dy = 0;
+            waves.forEach(([kx, ky, phase]) => {
+                const slope = Math.cos(2 * Math.PI * (kx * x + ky * y) / size + phase) / waves.length;
+                dx += kx * slope;
+                dy += ky * slope;
+            });
+            const nx = -dx * 0.1;
+            const ny = -dy * 0.1;
+            const length = Math.hypot(nx, ny, 1);
+            const i = (y * size + x) * 4;
+            data[i] = Math.round((nx / length * 0.5 + 0.5) * 255);
+            data[i + 1] = Math.round((ny / length * 0.5 + 0.5) * 255);
+            data[i + 2] = Math.round((1 / length * 0.5 + 0.5) * 255);
+            data[i + 3] = 255;
+        }
     }
-);
+    const texture = new THREE.DataTexture(data, size, size);
+    // DataTexture defaults to nearest sampling, which shimmers once repeated
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.generateMipmaps = true;
+    texture.needsUpdate = true;
+    return texture;
+}
 
 // --- INITIALIZE INTERACTIVE OBJECTS ---
 const interactiveObjects = [];
@@ -0,0 +1,630 @@
+// Generated by scripts/build-precache.mjs. Do not edit.
+self.PRECACHE_MANIFEST = {
+    "version": "b778bab5e399",
+    "entries": [
+        {
+            "url": "/data/artworks.json",
+            "hash": "40186fd66c06667c"
+        },
+        {
+            "url": "/data/artworks.schema.json",
+            "hash": "5ccfdbce07af92d3"
+        },
+        {
+            "url": "/data/asset-manifest.json",
+            "hash": "9401e8f6ffdeb54b"
+        },
+        {
+            "url": "/dimension-prism/assets/poster/dimensionPrism_asset.png",
+            "hash": "f5a3b5961f1fade0"
+        },
+        {
+            "url": "/dimension-prism/",
+            "hash": "f97353078de2772f"
+        },
+        {
+            "url": "/dimension-prism/js/audio-input.js",
+            "hash": "cd5ef7b932a3b417"
+        },
+        {
+            "url": "/dimension-prism/js/look-ahead.js",
+            "hash": "47b45f62f38c1ab6"
+        },
+        {
+            "url": "/dimension-prism/js/midi-file.js",
+            "hash": "29b3706c41889496"
+        },
+        {
+            "url": "/dimension-prism/js/midi-input.js",
+            "hash": "23f378337a559bf7"
+        },
+        {
+            "url": "/dimension-prism/js/midi-scheduler.js",
+            "hash": "b2f7abdadcc76c43"
+        },
+        {
+            "url": "/dimension-prism/js/sequencer.js",
+            "hash": "b8949a8d9076deba"
+        },
+        {
+            "url": "/dimension-prism/js/song.js",
+            "hash": "7b98051c3a9d619e"
+        },
+        {
+            "url": "/dimension-prism/js/synth.js",
+            "hash": "f0338b9bc922e680"
+        },
+        {
+            "url": "/dimension-prism/songs/canon.json",
+            "hash": "ef0e83f6e32c306a"
+        },
+        {
+            "url": "/dimension-prism/songs/mystic-diamond.json",
+            "hash": "bcf933f60e850745"
+        },
+        {
+            "url": "/",
+            "hash": "ec8959d8587d1779"
+        },
+        {
+            "url": "/just-vibe/assets/poster/justVibe_asset.png",
+            "hash": "0afa20acbadf058e"
+        },
+        {
+            "url": "/just-vibe/",
+            "hash": "a735a3d45d0abece"
+        },
+        {
+            "url": "/just-vibe/main.js",
+            "hash": "f44567bfce00e589"
+        },
+        {
+            "url": "/just-vibe/style.css",
+            "hash": "f5611163088ba8aa"
+        },
+        {
+            "url": "/manifest.webmanifest",
+            "hash": "fdffc8dc55e3daa4"
+        },
+        {
+            "url": "/public/icons/icon-180.png",
+            "hash": "b18a8327cfc27b39"
+        },
+        {
+            "url": "/public/icons/icon-192.png",
+            "hash": "ab600b4270583472"
+        },
+        {
+            "url": "/public/icons/icon-512.png",
+            "hash": "05def4b95ca16abb"
+        },
+        {
+            "url": "/shared/importmap.js",
+            "hash": "6f177df7bcce69b7"
+        },
+        {
+            "url": "/shared/loading-overlay.css",
+            "hash": "66f14452db3ed9ef"
+        },
+        {
+            "url": "/shared/loading-overlay.js",
+            "hash": "a795d9a0ab744d10"
+        },
+        {
+            "url": "/shared/prefetch.js",
+            "hash": "1fe11b4ee65df8bd"
+        },
+        {
+            "url": "/shared/register-sw.js",
+            "hash": "462eee51053fc88c"
+        },
+        {
+            "url": "/ticket/data/layouts.json",
+            "hash": "79aab69b79260c2b"
+        },
+        {
+            "url": "/ticket/",
+            "hash": "a46997d694cf29de"
+        },
+        {
+            "url": "/ticket/js/batch.js",
+            "hash": "8facde480704c122"
+        },
+        {
+            "url": "/ticket/js/catalog.js",
+            "hash": "70295194b9ba0052"
+        },
+        {
+            "url": "/ticket/js/export.js",
+            "hash": "f84952ded6c4b600"
+        },
+        {
+            "url": "/ticket/js/flip-view.js",
+            "hash": "74303a7ed57c3f54"
+        },
+        {
+            "url": "/ticket/js/format.js",
+            "hash": "6bb3d2b2d330fdd3"
+        },
+        {
+            "url": "/ticket/js/gif.js",
+            "hash": "5f806e72668dc8e0"
+        },
+        {
+            "url": "/ticket/js/guest-list.js",
+            "hash": "3d92976ce1d0ec2e"
+        },
+        {
+            "url": "/ticket/js/keyboard-view.js",
+            "hash": "083c129ae37f8ae8"
+        },
+        {
+            "url": "/ticket/js/layout-editor.js",
+            "hash": "22b14ff6f515906f"
+        },
+        {
+            "url": "/ticket/js/layouts.js",
+            "hash": "0b0b15ad62eb8359"
+        },
+        {
+            "url": "/ticket/js/pdf.js",
+            "hash": "c8e6d94b7a80f991"
+        },
+        {
+            "url": "/ticket/js/poster-crop.js",
+            "hash": "82914a7bff13de1c"
+        },
+        {
+            "url": "/ticket/js/qr.js",
+            "hash": "49f12570aca23853"
+        },
+        {
+            "url": "/ticket/js/relief.js",
+            "hash": "d4b8f7a8112f8984"
+        },
+        {
+            "url": "/ticket/js/render.js",
+            "hash": "d2688c211396f21a"
+        },
+        {
+            "url": "/ticket/js/serial.js",
+            "hash": "c125f6b580896941"
+        },
+        {
+            "url": "/ticket/js/stub.js",
+            "hash": "0c3f58a8e66eafd0"
+        },
+        {
+            "url": "/ticket/js/svg-context.js",
+            "hash": "0a9a6d445a2e4a95"
+        },
+        {
+            "url": "/ticket/js/text-fit.js",
+            "hash": "09334e36fb1250bf"
+        },
+        {
+            "url": "/ticket/js/theme.js",
+            "hash": "ff3916653999ce05"
+        },
+        {
+            "url": "/ticket/js/turntable.js",
+            "hash": "0d0cb92652b379f5"
+        },
+        {
+            "url": "/ticket/js/wallet.js",
+            "hash": "143ca8a5572a0ec6"
+        },
+        {
+            "url": "/ticket/js/webm.js",
+            "hash": "8a9a6e141b1f1686"
+        },
+        {
+            "url": "/ticket/js/zip.js",
+            "hash": "c237672efdc5b72c"
+        },
+        {
+            "url": "/ticket/main.js",
+            "hash": "8df613a8e2316063"
+        },
+        {
+            "url": "/ticket/style.css",
+            "hash": "404f186493296b1a"
+        },
+        {
+            "url": "/ticket/verify/",
+            "hash": "247b4fdc262208e0"
+        },
+        {
+            "url": "/ticket/verify/main.js",
+            "hash": "237d4fcb28c6cea5"
+        },
+        {
+            "url": "/ticket/verify/style.css",
+            "hash": "82a02518fbe113cc"
+        },
+        {
+            "url": "/ticket/wallet/",
+            "hash": "bc0c8980146047ae"
+        },
+        {
+            "url": "/ticket/wallet/main.js",
+            "hash": "a46f09afbb4ddf8f"
+        },
+        {
+            "url": "/ticket/wallet/style.css",
+            "hash": "558a1d463ae0a090"
+        },
+        {
+            "url": "/to-do/assets/poster/toDo_asset.png",
+            "hash": "f9466f4b3a6dab34"
+        },
+        {
+            "url": "/to-do/assets/sfx/click-1.wav",
+            "hash": "dc8fac969300609f"
+        },
+        {
+            "url": "/to-do/assets/sfx/click-2.wav",
+            "hash": "0896b388d027ef9b"
+        },
+        {
+            "url": "/to-do/assets/sfx/click-3.wav",
+            "hash": "e89e3f4b9701d0a5"
+        },
+        {
+            "url": "/to-do/assets/sfx/tick-fast.mp3",
+            "hash": "407f04ef75f034fc"
+        },
+        {
+            "url": "/to-do/assets/sfx/tick-slow.mp3",
+            "hash": "6bbf354a015a67d8"
+        },
+        {
+            "url": "/to-do/",
+            "hash": "8c6efbbfaf08257d"
+        },
+        {
+            "url": "/to-do/main.js",
+            "hash": "7517f6bb180efff6"
+        },
+        {
+            "url": "/to-do/style.css",
+            "hash": "84594e856529d44c"
+        },
+        {
+            "url": "/vendor/fonts/manufacturing-consent/font.css",
+            "hash": "43330f5917f9573d"
+        },
+        {
+            "url": "/vendor/fonts/manufacturing-consent/manufacturing-consent-latin-400-normal.woff2",
+            "hash": "4dad22691c490f69"
+        },
+        {
+            "url": "/vendor/fonts/noto-sans-kr/font.css",
+            "hash": "6b17c8b3d5bd52fd"
+        },
+        {
+            "url": "/vendor/fonts/noto-sans-kr/noto-sans-kr-korean-400-normal.woff2",
+            "hash": "3aa0d1d63f3b5b2a"
+        },
+        {
+            "url": "/vendor/fonts/noto-sans-kr/noto-sans-kr-korean-700-normal.woff2",
+            "hash": "dab3d492daa68738"
+        },
+        {
+            "url": "/vendor/fonts/pirata-one/font.css",
+            "hash": "8ad62494c9c6cca9"
+        },
+        {
+            "url": "/vendor/fonts/pirata-one/pirata-one-latin-400-normal.woff2",
+            "hash": "44b3b2295b8458ef"
+        },
+        {
+            "url": "/vendor/fonts/share-tech-mono/font.css",
+            "hash": "760af4e6b3c9622a"
+        },
+        {
+            "url": "/vendor/fonts/share-tech-mono/share-tech-mono-latin-400-normal.woff2",
+            "hash": "41e6b9f297f7d9a2"
+        },
+        {
+            "url": "/vendor/fonts/space-mono/font.css",
+            "hash": "f914773c3580cf1b"
+        },
+        {
+            "url": "/vendor/fonts/space-mono/space-mono-latin-400-normal.woff2",
+            "hash": "fb4a81a2d0a893e5"
+        },
+        {
+            "url": "/vendor/fonts/space-mono/space-mono-latin-700-normal.woff2",
+            "hash": "2d46bd159b53f55c"
+        },
+        {
+            "url": "/vendor/three/build/three.module.js",
+            "hash": "76dea8151bc9352a"
+        },
+        {
+            "url": "/vendor/three/examples/fonts/helvetiker_bold.typeface.json",
+            "hash": "bd68159ee0b8d10f"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/controls/OrbitControls.js",
+            "hash": "5a44a9e86a2a0fb1"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/environments/RoomEnvironment.js",
+            "hash": "e21f41b7ef2016f2"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/geometries/TextGeometry.js",
+            "hash": "9ba3fece635cc8c0"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/lines/LineMaterial.js",
+            "hash": "eed69bd471547ca0"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/lines/LineSegments2.js",
+            "hash": "5009e85ffbd09e86"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/lines/LineSegmentsGeometry.js",
+            "hash": "59419cee5eccbaac"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/loaders/FontLoader.js",
+            "hash": "1f0da5a44cf7051a"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/loaders/GLTFLoader.js",
+            "hash": "d073b438e6a07e13"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/loaders/RGBELoader.js",
+            "hash": "f0e87d0008d9484d"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/postprocessing/EffectComposer.js",
+            "hash": "d234e578618fa816"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/postprocessing/MaskPass.js",
+            "hash": "328cf7db0da5d9be"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/postprocessing/OutputPass.js",
+            "hash": "13817fc7a87f662d"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/postprocessing/Pass.js",
+            "hash": "b3c6128340eaa37e"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/postprocessing/RenderPass.js",
+            "hash": "1c90c085312871c4"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/postprocessing/ShaderPass.js",
+            "hash": "3b28a1ee27e0eb96"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/postprocessing/UnrealBloomPass.js",
+            "hash": "8f09315c0cec117a"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/shaders/CopyShader.js",
+            "hash": "4e3346db194db56a"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/shaders/LuminosityHighPassShader.js",
+            "hash": "3d841cc594a0c176"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/shaders/OutputShader.js",
+            "hash": "53a52e430c27bc36"
+        },
+        {
+            "url": "/vendor/three/examples/jsm/utils/BufferGeometryUtils.js",
+            "hash": "9be041e96308775d"
+        },
+        {
+            "url": "/zero-latency/asset/ES_Hit%2C%20Put%20Down%20Card%2C%20Deck%20Of%20Cards%20-%20Epidemic%20Sound.mp3",
+            "hash": "c2d7780c97b54a17"
+        },
+        {
+            "url": "/zero-latency/asset/ES_Paper%20On%20Paper%2C%20Movement%2C%20Various%20-%20Epidemic%20Sound.mp3",
+            "hash": "76d707b0facd7de6"
+        },
+        {
+            "url": "/zero-latency/asset/ES_Playing%20Card%2C%20Single%2C%20Turn%20Over%20On%20Table%2C%20Flip%20-%20Epidemic%20Sound.mp3",
+            "hash": "f9dbef54c14b2453"
+        },
+        {
+            "url": "/zero-latency/asset/ES_Playing%20Cards%2C%20Card%20Deck%2C%20Dealing%20Cards%20On%20Wooden%20Board%2C%20Slow%2002%20-%20Epidemic%20Sound.mp3",
+            "hash": "8cf3782958e128be"
+        },
+        {
+            "url": "/zero-latency/asset/ES_Playing%20Cards%2C%20Card%20Deck%2C%20Dealing%20Cards%20On%20Wooden%20Board%2C%20Slow%2003%20-%20Epidemic%20Sound.mp3",
+            "hash": "6b74ab51f9cdc7ba"
+        },
+        {
+            "url": "/zero-latency/asset/ES_Shop%2C%20Door%2C%20Ring%20-%20Epidemic%20Sound.mp3",
+            "hash": "600ee7ca31c2943e"
+        },
+        {
+            "url": "/zero-latency/assets/poster/zeroLatency_asset.png",
+            "hash": "d0c89b064abbc6f4"
+        },
+        {
+            "url": "/zero-latency/images/back.png",
+            "hash": "1538fb19b966afc0"
+        },
+        {
+            "url": "/zero-latency/images/execution-1.png",
+            "hash": "b5bc3bea119c8aeb"
+        },
+        {
+            "url": "/zero-latency/images/execution-2.png",
+            "hash": "61b56ef152b90bd5"
+        },
+        {
+            "url": "/zero-latency/images/execution-3.png",
+            "hash": "630bc4d58b1bda5c"
+        },
+        {
+            "url": "/zero-latency/images/execution-4.png",
+            "hash": "92df875020d550b7"
+        },
+        {
+            "url": "/zero-latency/images/execution-5.png",
+            "hash": "b03e2f7be4c4c903"
+        },
+        {
+            "url": "/zero-latency/images/execution-6.png",
+            "hash": "049cffb66ed8e564"
+        },
+        {
+            "url": "/zero-latency/images/idea-1.png",
+            "hash": "8f530c5f1beb6d19"
+        },
+        {
+            "url": "/zero-latency/images/idea-2.png",
+            "hash": "1d4b00b3da596a69"
+        },
+        {
+            "url": "/zero-latency/images/idea-3.png",
+            "hash": "c8eab6eefb84a083"
+        },
+        {
+            "url": "/zero-latency/images/idea-4.png",
+            "hash": "de66425c03c59b69"
+        },
+        {
+            "url": "/zero-latency/images/idea-5.png",
+            "hash": "2cc9a9d540ee7565"
+        },
+        {
+            "url": "/zero-latency/images/idea-6.png",
+            "hash": "4431257c62187edd"
+        },
+        {
+            "url": "/zero-latency/images/intro.png",
+            "hash": "8a4ee826a1e51b4d"
+        },
+        {
+            "url": "/zero-latency/images/roughness/back-roughness.png",
+            "hash": "4855a1c7cbfb9f3b"
+        },
+        {
+            "url": "/zero-latency/images/roughness/back.png",
+            "hash": "4855a1c7cbfb9f3b"
+        },
+        {
+            "url": "/zero-latency/images/roughness/card-roughness.png",
+            "hash": "a197a7fa751fac27"
+        },
+        {
+            "url": "/zero-latency/images/roughness/execution-2-roughness.png",
+            "hash": "55f847f4de3116db"
+        },
+        {
+            "url": "/zero-latency/images/roughness/execution-3-roughness.png",
+            "hash": "7e1d1696ccf1ecba"
+        },
+        {
+            "url": "/zero-latency/images/roughness/execution-4-roughness.png",
+            "hash": "9d789c5afb114be7"
+        },
+        {
+            "url": "/zero-latency/images/roughness/execution-6-roughness.png",
+            "hash": "99e05bd528bce6e8"
+        },
+        {
+            "url": "/zero-latency/images/roughness/intro-roughness.png",
+            "hash": "5d161ce049cb8b7e"
+        },
+        {
+            "url": "/zero-latency/",
+            "hash": "118a337558d1f1e4"
+        },
+        {
+            "url": "/zero-latency/script.js",
+            "hash": "a786d260af68eb8c"
+        },
+        {
+            "url": "/zero-latency/sfx/ding-1.wav",
+            "hash": "7c388dc110b5557b"
+        },
+        {
+            "url": "/zero-latency/sfx/hover-1.wav",
+            "hash": "383ad167da11bf24"
+        },
+        {
+            "url": "/zero-latency/sfx/hover-2.wav",
+            "hash": "8a163ab0114d2a59"
+        },
+        {
+            "url": "/zero-latency/sfx/place-1.wav",
+            "hash": "342e6b7e8cf9f3b8"
+        },
+        {
+            "url": "/zero-latency/sfx/place-10.wav",
+            "hash": "fe753088207e658e"
+        },
+        {
+            "url": "/zero-latency/sfx/place-2.wav",
+            "hash": "1488b3d6bfa4024d"
+        },
+        {
+            "url": "/zero-latency/sfx/place-3.wav",
+            "hash": "109b2534950e8970"
+        },
+        {
+            "url": "/zero-latency/sfx/place-4.wav",
+            "hash": "c3385b854350b3d8"
+        },
+        {
+            "url": "/zero-latency/sfx/place-5.wav",
+            "hash": "e8b35a1aae156b3e"
+        },
+        {
+            "url": "/zero-latency/sfx/place-6.wav",
+            "hash": "643f069a4d50af11"
+        },
+        {
+            "url": "/zero-latency/sfx/place-7.wav",
+            "hash": "e4c10b96d162b00e"
+        },
+        {
+            "url": "/zero-latency/sfx/place-8.wav",
+            "hash": "b02666b58391e026"
+        },
+        {
+            "url": "/zero-latency/sfx/place-9.wav",
+            "hash": "eb7c974f027075d5"
+        },
+        {
+            "url": "/zero-latency/sfx/slide-1.wav",
+            "hash": "20bb9df30613fba6"
+        },
+        {
+            "url": "/zero-latency/sfx/turnOver-1.wav",
+            "hash": "4538e031ba903602"
+        },
+        {
+            "url": "/zero-latency/sfx/turnOver-2.wav",
+            "hash": "88915f2b89b36633"
+        },
+        {
+            "url": "/zero-latency/sfx/turnOver-3.wav",
+            "hash": "f58e45278a7dbbfd"
+        },
+        {
+            "url": "/zero-latency/sfx/turnOver-4.wav",
+            "hash": "0f19a80aad37729d"
+        },
+        {
+            "url": "/zero-latency/styles.css",
+            "hash": "0ff56fbf6ddb55ad"
+        }
+    ]
+};
@@ -0,0 +1,76 @@
+/**
+ * Generates data/asset-manifest.json, the per-artwork file list that
+ * shared/prefetch.js downloads while the gallery's loading overlay is up.
+ *
+ * Each artwork's `assets` in data/artworks.json lists what to prefetch,
+ * relative to its folder: a file, a directory ending in "/" (its files, not
+ * subdirectories), a site path starting with "/", or an absolute https URL
+ * for CDN assets. Local files get their size and a content hash; CDN ones are
+ * sized at download time. A local file or directory that doesn't exist is an
+ * error and nothing is written: the gallery would otherwise prefetch a 404
+ * and the artwork would break offline.
+ *
+ * Run from the repository root after adding or changing assets:
+ *     node scripts/build-asset-manifest.mjs
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync, readdirSync, statSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const CATALOG_PATH = join(ROOT, 'data/artworks.json');
+const MANIFEST_PATH = join(ROOT, 'data/asset-manifest.json');
+
+const catalog = JSON.parse(readFileSync(CATALOG_PATH, 'utf8'));
+const manifest = {};
+const missing = [];
+
+for (const [id, artwork] of Object.entries(catalog)) {
+    if (!artwork.assets) continue;
+    manifest[id] = artwork.assets.flatMap((asset) => {
+        if (/^https:\/\//.test(asset)) return [{ url: asset, bytes: null, hash: null }];
+
+        // Site paths are relative to the root, everything else to the artwork's folder
+        const base = asset.startsWith('/') ? '' : id;
+        const relative = asset.replace(/^\//, '');
+        const files = relative.endsWith('/') ? listFiles(id, base, relative) : [relative];
+        return files.flatMap((file) => {
+            const path = join(ROOT, base, file);
+            let data;
+            try {
+                data = readFileSync(path);
+            } catch (error) {
+                missing.push(`${id}: ${join(base, file)} not found`);
+                return [];
+            }
+            return [{
+                url: `/${join(base, file).split('/').map(encodeURIComponent).join('/')}`,
+                bytes: statSync(path).size,
+                hash: createHash('sha256').update(data).digest('hex').slice(0, 16)
+            }];
+        });
+    });
+}
+
+if (missing.length > 0) {
+    console.error(`${missing.join('\n')}\nFix the assets in data/artworks.json; data/asset-manifest.json was not changed.`);
+    process.exit(1);
+}
+
+writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 4) + '\n');
+const count = Object.values(manifest).reduce((total, entries) => total + entries.length, 0);
+console.log(`Wrote ${count} assets for ${Object.keys(manifest).length} artworks to data/asset-manifest.json`);
+
+function listFiles(id, base, directory) {
+    try {
+        return readdirSync(join(ROOT, base, directory), { withFileTypes: true })
+            .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+            .map(entry => directory + entry.name)
+            .sort();
+    } catch (error) {
+        missing.push(`${id}: ${join(base, directory)} not found`);
+        return [];
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * Generates precache-manifest.js, the list of everything sw.js stores at
+ * install so the collection runs with no connection at all (kiosk mode).
+ *
+ * - Every file git tracks, minus repo-only ones (scripts, tests, docs,
+ *   config), which includes Three.js in vendor/three/. Untracked files in the
+ *   working tree (notes, patches, exports) are never listed, so `git add` a
+ *   new site file before running this. Pages are listed by the URL Vercel
+ *   serves them at (cleanUrls + trailingSlash), e.g. ticket/wallet/index.html
+ *   as /ticket/wallet/.
+ * - CDN files the code names literally. What those load in turn is cached
+ *   by sw.js the first time it's fetched online. Web fonts don't come from a
+ *   CDN: scripts/vendor-fonts.mjs copies them into vendor/fonts/.
+ *
+ * Each local entry carries a content hash, so a new deploy only downloads
+ * files that changed. Run from the repository root before deploying:
+ *     node scripts/build-precache.mjs
+ */
+
+import { execFileSync } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const OUTPUT = 'precache-manifest.js';
+const SKIP_DIRS = new Set(['.vscode', 'scripts', 'test']);
+const SKIP_FILES = new Set(['LICENSE', 'vercel.json', '.gitignore', 'sw.js', OUTPUT]);
+const SKIP_EXTENSIONS = ['.psd', '.md'];
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com'];
+const SOURCE_EXTENSIONS = ['.html', '.js', '.css'];
+
+const files = trackedFiles();
+const entries = files.map((file) => ({
+    url: siteURL(file),
+    hash: createHash('sha256').update(readFileSync(join(ROOT, file))).digest('hex').slice(0, 16)
+}));
+
+const cdnURLs = new Set();
+files.filter(file => SOURCE_EXTENSIONS.some(ext => file.endsWith(ext))).forEach((file) => {
+    const source = readFileSync(join(ROOT, file), 'utf8');
+    for (const [url] of source.matchAll(/https:\/\/[^\s"'`()<>]+/g)) {
+        const { hostname, pathname } = new URL(url);
+        // Preconnect origins and directory URLs aren't files
+        if (CDN_HOSTS.includes(hostname) && pathname !== '/' && !url.endsWith('/')) cdnURLs.add(url.replace(/&amp;/g, '&'));
+    }
+});
+
+entries.push(...[...cdnURLs].sort().map(url => ({ url, hash: null })));
+
+const version = createHash('sha256').update(JSON.stringify(entries)).digest('hex').slice(0, 12);
+writeFileSync(join(ROOT, OUTPUT),
+    '// Generated by scripts/build-precache.mjs. Do not edit.\n' +
+    `self.PRECACHE_MANIFEST = ${JSON.stringify({ version, entries }, null, 4)};\n`);
+console.log(`Wrote ${entries.length} entries (${cdnURLs.size} from CDNs) to ${OUTPUT}, version ${version}`);
+
+// Paths relative to ROOT, sorted; files deleted but not yet committed are left out
+function trackedFiles() {
+    const output = execFileSync('git', ['ls-files', '-z'], { cwd: ROOT, encoding: 'utf8' });
+    return output.split('\0')
+        .filter(Boolean)
+        .filter((file) => {
+            const parts = file.split('/');
+            const name = parts[parts.length - 1];
+            if (parts.slice(0, -1).some(dir => SKIP_DIRS.has(dir))) return false;
+            if (SKIP_FILES.has(name) || SKIP_EXTENSIONS.some(ext => name.endsWith(ext))) return false;
+            return existsSync(join(ROOT, file));
+        })
+        .sort((a, b) => a.localeCompare(b));
+}
+
+// ticket/index.html -> /ticket/, ticket/about.html -> /ticket/about/
+function siteURL(path) {
+    const clean = path.replace(/(^|\/)index\.html$/, '$1').replace(/\.html$/, '/');
+    return '/' + clean.split('/').map(encodeURIComponent).join('/');
+}
@@ -0,0 +1,44 @@
+/**
+ * Reads a package straight from the npm registry, without npm or a
+ * node_modules folder. Used by the vendor-*.mjs scripts.
+ */
+
+import { gunzipSync } from 'node:zlib';
+
+/**
+ * @param {string} name - Package name, scoped or not (e.g. "@fontsource/noto-sans-kr").
+ * @param {string} version - Exact version.
+ * @returns {Promise<Map<string, Buffer>>} File contents by path inside the package.
+ */
+export async function fetchPackage(name, version) {
+    const tarball = `https://registry.npmjs.org/${name}/-/${name.split('/').pop()}-${version}.tgz`;
+    const response = await fetch(tarball);
+    if (!response.ok) throw new Error(`${tarball}: HTTP ${response.status}`);
+    return untar(gunzipSync(Buffer.from(await response.arrayBuffer())));
+}
+
+// Minimal ustar reader: regular files only, names relative to "package/"
+function untar(buffer) {
+    const entries = new Map();
+    let offset = 0;
+    let longName = null;
+    while (offset + 512 <= buffer.length) {
+        const header = buffer.subarray(offset, offset + 512);
+        if (header.every(byte => byte === 0)) break;
+        const field = (start, length) => header.subarray(start, start + length).toString('utf8').replace(/\0.*$/s, '');
+        const size = parseInt(field(124, 12).trim() || '0', 8);
+        const type = field(156, 1);
+        const prefix = field(345, 155);
+        let name = longName || (prefix ? `${prefix}/${field(0, 100)}` : field(0, 100));
+        longName = null;
+        const body = buffer.subarray(offset + 512, offset + 512 + size);
+        if (type === 'L') {
+            longName = body.toString('utf8').replace(/\0.*$/s, '');
+        } else if (type === '0' || type === '') {
+            name = name.replace(/^package\//, '');
+            entries.set(name, Buffer.from(body));
+        }
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return entries;
+}
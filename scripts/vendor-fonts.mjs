@@ -0,0 +1,58 @@
+/**
+ * Copies the pages' web fonts into vendor/fonts/ from the npm registry
+ * (Fontsource packages of the Google Fonts families), so text keeps its face
+ * offline, Korean names on the ticket included: the files are tracked, and so
+ * precached like the rest of the site. Each family gets a folder with its
+ * woff2 files, its licence and a font.css of @font-face rules that the pages
+ * link:
+ *     <link rel="stylesheet" href="/vendor/fonts/noto-sans-kr/font.css">
+ *
+ * Run from the repository root after changing FONTS:
+ *     node scripts/vendor-fonts.mjs
+ */
+
+import { mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { fetchPackage } from './npm-package.mjs';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const VENDOR_DIR = join(ROOT, 'vendor/fonts');
+
+// subset: a Fontsource subset. "korean" is one file per weight holding every
+// Hangul syllable plus ASCII, so no unicode-range split is needed.
+const FONTS = [
+    { family: 'Noto Sans KR', package: '@fontsource/noto-sans-kr', version: '5.3.0', subset: 'korean', weights: [400, 700] },
+    { family: 'Share Tech Mono', package: '@fontsource/share-tech-mono', version: '5.3.0', subset: 'latin', weights: [400] },
+    { family: 'Pirata One', package: '@fontsource/pirata-one', version: '5.3.0', subset: 'latin', weights: [400] },
+    { family: 'Space Mono', package: '@fontsource/space-mono', version: '5.3.0', subset: 'latin', weights: [400, 700] },
+    { family: 'Manufacturing Consent', package: '@fontsource/manufacturing-consent', version: '5.3.0', subset: 'latin', weights: [400] }
+];
+
+rmSync(VENDOR_DIR, { recursive: true, force: true });
+for (const font of FONTS) {
+    const files = await fetchPackage(font.package, font.version);
+    const slug = font.package.split('/').pop();
+    const dir = join(VENDOR_DIR, slug);
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(join(dir, 'LICENSE'), files.get('LICENSE'));
+
+    const rules = font.weights.map((weight) => {
+        const name = `${slug}-${font.subset}-${weight}-normal.woff2`;
+        const data = files.get(`files/${name}`);
+        if (!data) throw new Error(`${font.package}@${font.version} has no files/${name}`);
+        writeFileSync(join(dir, name), data);
+        return `@font-face {\n` +
+            `    font-family: '${font.family}';\n` +
+            `    font-style: normal;\n` +
+            `    font-display: swap;\n` +
+            `    font-weight: ${weight};\n` +
+            `    src: url(./${name}) format('woff2');\n` +
+            `}\n`;
+    });
+    writeFileSync(join(dir, 'font.css'),
+        `/* Generated by scripts/vendor-fonts.mjs from ${font.package}@${font.version} (OFL-1.1). Do not edit. */\n` +
+        rules.join('\n'));
+    console.log(`Vendored ${font.family}: vendor/fonts/${slug}/`);
+}
@@ -0,0 +1,72 @@
+/**
+ * Copies Three.js into vendor/three/ from the npm registry: the core build,
+ * every `three/addons/...` module imported anywhere in the site, and the
+ * files those import in turn. shared/importmap.js points the pages at it.
+ * Data files the pages load by URL (e.g. "/vendor/three/examples/fonts/...")
+ * are copied too, so nothing is fetched from threejs.org.
+ *
+ * Keeps the package's own layout (build/, examples/jsm/) so the addons'
+ * relative imports resolve unchanged. Run from the repository root after
+ * importing a new addon or changing THREE_VERSION (also in
+ * shared/importmap.js):
+ *     node scripts/vendor-three.mjs
+ */
+
+import { mkdirSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { dirname, join, posix } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { fetchPackage } from './npm-package.mjs';
+
+const THREE_VERSION = '0.160.0';
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const VENDOR_DIR = join(ROOT, 'vendor/three');
+const SKIP_DIRS = new Set(['.git', 'node_modules', 'vendor', 'scripts']);
+
+const files = await fetchPackage('three', THREE_VERSION);
+
+// Data files and addons the site references, then whatever the addons import relative to themselves
+const { addons, dataFiles } = findReferences(ROOT);
+const wanted = new Set(['LICENSE', 'build/three.module.js']);
+dataFiles.forEach((path) => {
+    if (!files.has(path)) throw new Error(`three@${THREE_VERSION} has no ${path}`);
+    wanted.add(path);
+});
+const queue = addons.map(path => `examples/jsm/${path}`);
+while (queue.length > 0) {
+    const path = queue.shift();
+    if (wanted.has(path)) continue;
+    const source = files.get(path);
+    if (!source) throw new Error(`three@${THREE_VERSION} has no ${path}`);
+    wanted.add(path);
+    for (const [, specifier] of source.toString('utf8').matchAll(/\bfrom\s+['"](\.{1,2}\/[^'"]+)['"]/g)) {
+        queue.push(posix.normalize(posix.join(posix.dirname(path), specifier)));
+    }
+}
+
+rmSync(VENDOR_DIR, { recursive: true, force: true });
+[...wanted].sort().forEach((path) => {
+    const target = join(VENDOR_DIR, path);
+    mkdirSync(dirname(target), { recursive: true });
+    writeFileSync(target, files.get(path));
+});
+console.log(`Vendored three@${THREE_VERSION}: ${wanted.size} files in vendor/three/`);
+
+function findReferences(directory) {
+    const addons = new Set();
+    const dataFiles = new Set();
+    const visit = (dir) => {
+        readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+            const path = join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (!SKIP_DIRS.has(entry.name)) visit(path);
+            } else if (/\.(js|mjs|html)$/.test(entry.name)) {
+                const source = readFileSync(path, 'utf8');
+                for (const [, addon] of source.matchAll(/['"]three\/addons\/([^'"]+)['"]/g)) addons.add(addon);
+                for (const [, file] of source.matchAll(/['"]\/vendor\/three\/(examples\/(?!jsm\/)[^'"]+)['"]/g)) dataFiles.add(file);
+            }
+        });
+    };
+    visit(directory);
+    return { addons: [...addons].sort(), dataFiles: [...dataFiles].sort() };
+}
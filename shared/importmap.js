@@ -0,0 +1,23 @@
+/**
+ * The one import map for every page that uses Three.js, pointing at the
+ * local copy in /vendor/three/ (see scripts/vendor-three.mjs), so all pieces
+ * run the same version with no CDN.
+ *
+ * Import maps can't be loaded with src, so this classic script writes it in.
+ * Include it without defer or async, before the first module script:
+ *     <script src="/shared/importmap.js"></script>
+ */
+
+(() => {
+    const THREE_VERSION = '0.160.0';
+    const importMap = document.createElement('script');
+    importMap.type = 'importmap';
+    importMap.textContent = JSON.stringify({
+        imports: {
+            'three': '/vendor/three/build/three.module.js',
+            'three/addons/': '/vendor/three/examples/jsm/'
+        }
+    });
+    importMap.dataset.threeVersion = THREE_VERSION;
+    document.currentScript.after(importMap);
+})();
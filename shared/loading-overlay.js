@@ -0,0 +1,162 @@
+/**
+ * Loading overlay shared by the gallery and the artwork pages.
+ *
+ * The title is drawn twice: grey underneath, black on top inside the green
+ * bar, so the bar fills the title in as it grows. Styles are in
+ * /shared/loading-overlay.css, which the page links itself so the overlay is
+ * styled from its first frame.
+ *
+ *     const overlay = new LoadingOverlay();
+ *     overlay.show('just vibe');
+ *     overlay.trackLoadingManager(loadingManager);
+ *
+ * Artwork pages put the overlay in their static HTML (id "loading-overlay",
+ * the same markup as OVERLAY_HTML below, shown with `style="display: flex"`)
+ * so it covers the page while three.js and the module graph download; the
+ * constructor adopts that element. Pages without one (the gallery) get it
+ * created here.
+ *
+ * A page restored from the back/forward cache comes back with the overlay
+ * hidden, whatever state it was left in.
+ */
+
+const FADE_MS = 500;
+const OVERLAY_HTML = `
+    <div class="loading-container" role="progressbar" aria-valuemin="0" aria-valuemax="100">
+        <div class="loading-text-base"></div>
+        <div class="loading-progress-container">
+            <div class="loading-text-overlay" aria-hidden="true"></div>
+        </div>
+    </div>
+    <div class="loading-error" role="alert" hidden>
+        <p class="loading-error-message"></p>
+        <button type="button" data-action="retry">retry</button>
+        <button type="button" data-action="continue">continue anyway</button>
+    </div>`;
+
+export class LoadingOverlay {
+    /**
+     * @param {object} [params]
+     * @param {HTMLElement|null} [params.element] - Static overlay to adopt; defaults to #loading-overlay.
+     * @param {HTMLElement} [params.parent=document.body] - Where a new overlay goes when there is none.
+     */
+    constructor({ element = document.getElementById('loading-overlay'), parent = document.body } = {}) {
+        this.fadeTimer = null;
+
+        if (element) {
+            this.element = element;
+        } else {
+            this.element = document.createElement('div');
+            this.element.id = 'loading-overlay';
+            this.element.className = 'loading-overlay';
+            this.element.innerHTML = OVERLAY_HTML;
+            parent.appendChild(this.element);
+        }
+        this.container = this.element.querySelector('.loading-container');
+        this.titles = this.element.querySelectorAll('.loading-text-base, .loading-text-overlay');
+        this.bar = this.element.querySelector('.loading-progress-container');
+        this.error = this.element.querySelector('.loading-error');
+        this.errorMessage = this.element.querySelector('.loading-error-message');
+
+        this.error.addEventListener('click', (event) => {
+            const action = event.target.closest('button')?.dataset.action;
+            if (action === 'retry') window.location.reload();
+            else if (action === 'continue') this.hide();
+        });
+
+        // BFCache restore: the page comes back as it was left, overlay and all
+        window.addEventListener('pageshow', (event) => {
+            if (event.persisted) this.hide({ immediate: true });
+        });
+    }
+
+    /**
+     * Show the overlay with an empty bar.
+     * @param {string} title - Artwork title, shown in capitals.
+     */
+    show(title) {
+        clearTimeout(this.fadeTimer);
+        this.titles.forEach(element => { element.textContent = title; });
+        this.container.setAttribute('aria-label', `Loading ${title}`);
+        this.element.classList.remove('loading-failed');
+        this.error.hidden = true;
+        this.setProgress(0);
+        this.element.style.display = 'flex';
+        this.element.style.opacity = '1';
+    }
+
+    /**
+     * @param {number} progress - 0..1.
+     */
+    setProgress(progress) {
+        const percent = Math.round(Math.min(1, Math.max(0, progress)) * 1000) / 10;
+        this.bar.style.width = `${percent}%`;
+        this.container.setAttribute('aria-valuenow', String(Math.round(percent)));
+    }
+
+    /**
+     * Stop at the error state: the bar turns red and the visitor can reload or
+     * carry on with what did load.
+     * @param {Error|string} error - Shown under the title.
+     */
+    fail(error) {
+        clearTimeout(this.fadeTimer);
+        this.element.classList.add('loading-failed');
+        this.errorMessage.textContent = error instanceof Error ? error.message : String(error);
+        this.error.hidden = false;
+        this.element.style.display = 'flex';
+        this.element.style.opacity = '1';
+        this.error.querySelector('button').focus();
+    }
+
+    /**
+     * Fade out, or vanish at once with `immediate`.
+     * @param {object} [options]
+     * @param {boolean} [options.immediate=false]
+     */
+    hide({ immediate = false } = {}) {
+        clearTimeout(this.fadeTimer);
+        this.element.style.opacity = '0';
+        if (immediate) {
+            this.element.style.display = 'none';
+            this.setProgress(0);
+            return;
+        }
+        this.fadeTimer = setTimeout(() => {
+            this.element.style.display = 'none';
+        }, FADE_MS);
+    }
+
+    /**
+     * Drive the overlay from a LoadingManager's first batch of loads: progress
+     * per item, hide when done, fail if a required file failed. Later batches
+     * (e.g. textures loaded on demand) are left alone.
+     * @param {THREE.LoadingManager} manager
+     * @param {object} [options]
+     * @param {(url: string) => boolean} [options.isOptional] - Files the page
+     *     has a fallback for; their failures don't count.
+     */
+    trackLoadingManager(manager, { isOptional = () => false } = {}) {
+        const failed = [];
+        let done = false;
+
+        manager.onProgress = (url, itemsLoaded, itemsTotal) => {
+            if (!done) this.setProgress(itemsLoaded / itemsTotal);
+        };
+        manager.onError = (url) => {
+            if (done || isOptional(url)) return;
+            console.error(`Failed to load ${url}`);
+            failed.push(url);
+        };
+        manager.onLoad = () => {
+            if (done) return;
+            done = true;
+            if (failed.length === 0) {
+                this.hide();
+                return;
+            }
+            const names = failed.map(url => decodeURIComponent(url.split('/').pop().split('?')[0]));
+            this.fail(`Couldn't load ${names.join(', ')}`);
+        };
+    }
+}
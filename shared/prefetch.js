@@ -0,0 +1,166 @@
+/**
+ * Asset prefetch shared by the gallery and the artwork pages.
+ *
+ * The gallery calls prefetchArtwork() while its loading overlay is up: every
+ * file in the artwork's entry of /data/asset-manifest.json (generated by
+ * scripts/build-asset-manifest.mjs) is downloaded into Cache Storage, with
+ * progress counted in bytes. The artwork page then calls warmLoadingManager()
+ * on its THREE.LoadingManager: cached files are handed to the loaders as blob
+ * URLs through setURLModifier(), so its own overlay finishes almost at once.
+ *
+ * Both sides degrade to plain network loads: no Cache Storage (insecure
+ * origin, some private modes), no manifest, or a failed download only cost
+ * the speed-up.
+ */
+
+const CACHE_NAME = 'mediaart-assets-v1';
+const MANIFEST_URL = '/data/asset-manifest.json';
+const HASH_HEADER = 'X-Asset-Hash';
+const CONCURRENCY = 4;
+
+/**
+ * @typedef {object} ManifestEntry
+ * @property {string} url - Site path, or an absolute URL for CDN assets.
+ * @property {number|null} bytes - Size, null when unknown (CDN assets).
+ * @property {string|null} hash - Content hash; a changed hash refetches.
+ */
+
+/**
+ * @param {string} id - Artwork id.
+ * @returns {Promise<ManifestEntry[]>} Empty when the manifest has no entry for it.
+ */
+export async function loadAssetManifest(id) {
+    const response = await fetch(MANIFEST_URL, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`asset-manifest.json: HTTP ${response.status}`);
+    const manifest = await response.json();
+    return manifest[id] || [];
+}
+
+/**
+ * Download an artwork's assets into Cache Storage. Files already cached with
+ * the manifest's hash are counted as loaded without a request.
+ * @param {string} id - Artwork id.
+ * @param {object} [options]
+ * @param {(loaded: number, total: number) => void} [options.onProgress] - Bytes so far and expected.
+ * @returns {Promise<void>} Resolves once every file was cached or failed; never rejects.
+ */
+export async function prefetchArtwork(id, { onProgress = () => {} } = {}) {
+    if (!('caches' in window)) return;
+    let entries;
+    let cache;
+    try {
+        [entries, cache] = await Promise.all([loadAssetManifest(id), caches.open(CACHE_NAME)]);
+    } catch (error) {
+        console.warn(`Prefetch skipped for ${id}:`, error);
+        return;
+    }
+
+    // Unknown sizes count as their Content-Length once the response starts
+    const sizes = new Map(entries.map(entry => [entry.url, entry.bytes || 0]));
+    const received = new Map();
+    const report = () => {
+        const total = sum(sizes.values());
+        onProgress(Math.min(total, sum(received.values())), total);
+    };
+    report();
+
+    const queue = [...entries];
+    const worker = async () => {
+        while (queue.length > 0) {
+            const entry = queue.shift();
+            try {
+                await prefetchEntry(cache, entry, {
+                    onSize: (bytes) => {
+                        if (!sizes.get(entry.url)) sizes.set(entry.url, bytes);
+                    },
+                    onBytes: (bytes) => {
+                        received.set(entry.url, bytes);
+                        report();
+                    }
+                });
+            } catch (error) {
+                console.warn(`Prefetch failed for ${entry.url}:`, error);
+            }
+            // Done either way, so a failed file doesn't hold the bar short
+            received.set(entry.url, sizes.get(entry.url));
+            report();
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, entries.length) }, worker));
+}
+
+async function prefetchEntry(cache, entry, { onSize, onBytes }) {
+    const key = cacheKey(entry.url);
+    const cached = await cache.match(key);
+    if (cached && isCurrent(cached, entry)) return;
+
+    const response = await fetch(entry.url, { mode: 'cors' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const length = Number(response.headers.get('Content-Length'));
+    if (length > 0) onSize(length);
+
+    // Read the body ourselves to count bytes as they arrive
+    const chunks = [];
+    let bytes = 0;
+    const reader = response.body.getReader();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        bytes += value.byteLength;
+        onBytes(bytes);
+    }
+
+    const headers = { 'Content-Type': response.headers.get('Content-Type') || 'application/octet-stream' };
+    if (entry.hash) headers[HASH_HEADER] = entry.hash;
+    await cache.put(key, new Response(new Blob(chunks), { headers }));
+}
+
+/**
+ * Serve an artwork's cached assets to a LoadingManager's loaders. Await it
+ * before the first load() call; it only reads the cache, so with nothing
+ * prefetched it returns quickly and the loaders use the network as before.
+ * Media loaded outside three.js (e.g. new Audio()) can go through
+ * manager.resolveURL() to get the same hand-off.
+ * @param {THREE.LoadingManager} manager
+ * @param {string} id - Artwork id.
+ */
+export async function warmLoadingManager(manager, id) {
+    if (!('caches' in window)) return;
+    const blobURLs = new Map();
+    try {
+        const [entries, cache] = await Promise.all([loadAssetManifest(id), caches.open(CACHE_NAME)]);
+        await Promise.all(entries.map(async (entry) => {
+            const key = cacheKey(entry.url);
+            const cached = await cache.match(key);
+            // Stale after a deploy: leave it to the network (the gallery refreshes it next time)
+            if (!cached || !isCurrent(cached, entry)) return;
+            blobURLs.set(key, URL.createObjectURL(await cached.blob()));
+        }));
+    } catch (error) {
+        console.warn(`Asset cache unavailable for ${id}:`, error);
+        return;
+    }
+    if (blobURLs.size === 0) return;
+
+    manager.setURLModifier((url) => {
+        if (url.startsWith('blob:') || url.startsWith('data:')) return url;
+        return blobURLs.get(cacheKey(url)) || url;
+    });
+}
+
+// Query strings are the pages' own cache busters; the hash header does that job here
+function cacheKey(url) {
+    const resolved = new URL(url, document.baseURI);
+    return resolved.origin === location.origin ? resolved.origin + resolved.pathname : resolved.href;
+}
+
+function isCurrent(response, entry) {
+    return !entry.hash || response.headers.get(HASH_HEADER) === entry.hash;
+}
+
+function sum(values) {
+    let total = 0;
+    for (const value of values) total += value;
+    return total;
+}
@@ -0,0 +1,12 @@
+/**
+ * Registers /sw.js so the collection keeps working offline. Every page loads
+ * this, so a kiosk can be started on any of them.
+ */
+
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch((error) => {
+            console.warn('Service worker registration failed:', error);
+        });
+    });
+}
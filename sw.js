@@ -0,0 +1,149 @@
+/**
+ * Service worker: runs the whole collection offline, for kiosks with flaky
+ * or no connectivity.
+ *
+ * Install stores everything in precache-manifest.js (generated by
+ * scripts/build-precache.mjs): pages, scripts, artwork assets and the CDN
+ * files they use. Files whose hash didn't change are copied over from the
+ * previous install instead of downloaded again. Requests are answered from
+ * the precache first; CDN files that weren't listed (what a listed CDN file
+ * loads in turn) are cached the first time they load online. Web fonts are
+ * vendored under /vendor/fonts/, so they are plain precached site files.
+ *
+ * The prefetch cache of shared/prefetch.js is left alone.
+ */
+
+importScripts('/precache-manifest.js');
+
+const { version, entries } = self.PRECACHE_MANIFEST;
+const PRECACHE_PREFIX = 'mediaart-precache-';
+const PRECACHE = PRECACHE_PREFIX + version;
+const RUNTIME = 'mediaart-runtime';
+const HASH_HEADER = 'X-Precache-Hash';
+const RUNTIME_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+const CONCURRENCY = 6;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(PRECACHE_PREFIX) && key !== PRECACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        // Analytics only make sense online
+        if (url.pathname.startsWith('/_vercel/')) return;
+        event.respondWith(fromPrecache(request, url));
+    } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(fromCDN(request));
+    }
+});
+
+async function precache() {
+    const cache = await caches.open(PRECACHE);
+    const previous = (await caches.keys()).filter(key => key.startsWith(PRECACHE_PREFIX) && key !== PRECACHE);
+    const queue = [...entries];
+    const failures = [];
+
+    const worker = async () => {
+        while (queue.length > 0) {
+            const entry = queue.shift();
+            try {
+                await precacheEntry(cache, previous, entry);
+            } catch (error) {
+                failures.push(entry);
+                console.warn(`Precache failed for ${entry.url}:`, error);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+
+    // A missing site file would leave a hole offline: keep the old worker and
+    // try again next visit. A CDN outage only costs what the runtime cache lacks.
+    const localFailures = failures.filter(entry => entry.url.startsWith('/'));
+    if (localFailures.length > 0) {
+        throw new Error(`Precache incomplete: ${localFailures.map(entry => entry.url).join(', ')}`);
+    }
+}
+
+async function precacheEntry(cache, previous, entry) {
+    if (await cache.match(entry.url)) return;
+
+    // CDN URLs are version-pinned, so any earlier copy is still right
+    for (const key of previous) {
+        const old = await (await caches.open(key)).match(entry.url);
+        if (old && (entry.hash === null || old.headers.get(HASH_HEADER) === entry.hash)) {
+            await cache.put(entry.url, old);
+            return;
+        }
+    }
+
+    const response = await fetch(entry.url, { cache: 'reload' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const headers = new Headers(response.headers);
+    if (entry.hash) headers.set(HASH_HEADER, entry.hash);
+    await cache.put(entry.url, new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers }));
+}
+
+async function fromPrecache(request, url) {
+    const cache = await caches.open(PRECACHE);
+    // Query strings are state (?artwork=, ?t=) or cache busters, not different files
+    let cached = await cache.match(request, { ignoreSearch: true });
+    if (!cached && request.mode === 'navigate' && !url.pathname.endsWith('/') && !url.pathname.includes('.')) {
+        // Offline there's no Vercel to add the trailing slash
+        cached = await cache.match(url.pathname + '/');
+    }
+    if (cached) return withRange(request, cached);
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        if (request.mode === 'navigate') {
+            const gallery = await cache.match('/');
+            if (gallery) return gallery;
+        }
+        throw error;
+    }
+}
+
+async function fromCDN(request) {
+    const precached = await caches.match(request, { cacheName: PRECACHE, ignoreVary: true });
+    if (precached) return precached;
+    const cache = await caches.open(RUNTIME);
+    const cached = await cache.match(request, { ignoreVary: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') await cache.put(request, response.clone());
+    return response;
+}
+
+// Audio and video elements ask for byte ranges; Safari won't play a plain 200
+async function withRange(request, response) {
+    const range = request.headers.get('Range');
+    const match = range && /^bytes=(\d*)-(\d*)$/.exec(range);
+    if (!match) return response;
+
+    const blob = await response.blob();
+    const start = match[1] === '' ? Math.max(0, blob.size - Number(match[2])) : Number(match[1]);
+    const end = match[1] !== '' && match[2] !== '' ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1;
+    if (start >= blob.size || start > end) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+    }
+    const headers = new Headers(response.headers);
+    headers.set('Content-Range', `bytes ${start}-${end}/${blob.size}`);
+    headers.set('Content-Length', String(end - start + 1));
+    return new Response(blob.slice(start, end + 1), { status: 206, statusText: 'Partial Content', headers });
+}
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolveArtwork } from '../ticket/js/catalog.js';
+
+const CATALOG = {
+    'just-vibe': {
+        displayName: '03 JUST VIBE',
+        posterPath: '/just-vibe/assets/poster/justVibe_asset.png',
+        createdDate: '260122',
+        color: '#CCFF00',
+        serialCode: 'JV'
+    },
+    'no-poster': {
+        displayName: 'NO POSTER',
+        createdDate: '260101',
+        color: '#FFFFFF',
+        serialCode: 'NP'
+    },
+    'no-serial': {
+        displayName: 'NO SERIAL',
+        posterPath: '/no-serial/poster.png',
+        createdDate: '260101',
+        color: '#FFFFFF',
+        serialCode: ''
+    }
+};
+
+test('a valid entry resolves with its id', () => {
+    const { id, artwork, error } = resolveArtwork(CATALOG, 'just-vibe');
+    assert.equal(error, null);
+    assert.equal(id, 'just-vibe');
+    assert.deepEqual(artwork, { ...CATALOG['just-vibe'], id: 'just-vibe' });
+});
+
+test('an unknown id is not replaced by another artwork', () => {
+    assert.deepEqual(resolveArtwork(CATALOG, 'to-do'), { id: 'to-do', artwork: null, error: 'unknown-artwork' });
+    assert.equal(resolveArtwork(CATALOG, '').error, 'unknown-artwork');
+    assert.equal(resolveArtwork(CATALOG, undefined).error, 'unknown-artwork');
+});
+
+test('a catalog that is not an object is unavailable', () => {
+    for (const catalog of [null, undefined, 'artworks', 42, [CATALOG['just-vibe']]]) {
+        assert.equal(resolveArtwork(catalog, 'just-vibe').error, 'catalog-unavailable', `catalog ${JSON.stringify(catalog)}`);
+    }
+});
+
+test('prototype keys are not artworks', () => {
+    for (const id of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+        assert.deepEqual(resolveArtwork(CATALOG, id), { id, artwork: null, error: 'unknown-artwork' }, id);
+    }
+});
+
+test('an own __proto__ key from JSON is still checked like any entry', () => {
+    const catalog = JSON.parse('{"__proto__": {"posterPath": "/p.png", "serialCode": "PP"}}');
+    assert.equal(resolveArtwork(catalog, '__proto__').error, null);
+    assert.equal(resolveArtwork(JSON.parse('{"__proto__": "x"}'), '__proto__').error, 'unknown-artwork');
+});
+
+test('an entry without a posterPath or serialCode is invalid', () => {
+    assert.deepEqual(resolveArtwork(CATALOG, 'no-poster'), { id: 'no-poster', artwork: null, error: 'invalid-artwork' });
+    assert.deepEqual(resolveArtwork(CATALOG, 'no-serial'), { id: 'no-serial', artwork: null, error: 'invalid-artwork' });
+    assert.equal(resolveArtwork({ blank: {} }, 'blank').error, 'invalid-artwork');
+});
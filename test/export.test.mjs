@@ -0,0 +1,70 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { createTicketPdf, DEFAULT_PRINT_OPTIONS } from '../ticket/js/export.js';
+
+// A canvas whose 2D context accepts any drawing call, and whose JPEG is a few bytes
+class FakeCanvas {
+    constructor() {
+        this.width = 300;
+        this.height = 150;
+    }
+
+    getContext() {
+        return new Proxy({}, {
+            get: (target, name) => name in target
+                ? target[name]
+                : (name === 'measureText' ? text => ({ width: String(text).length * 10 }) : () => {}),
+            set: (target, name, value) => { target[name] = value; return true; }
+        });
+    }
+
+    toBlob(callback, type) {
+        callback(new Blob([new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9])], { type }));
+    }
+}
+
+const TICKET = {
+    artwork: { displayName: '03 JUST VIBE', createdDate: '260122', color: '#CCFF00' },
+    username: '김하은',
+    formattedTime: '2026.01.22 19:00',
+    serial: null,
+    qr: null,
+    poster: null
+};
+
+let originalDocument;
+
+before(() => {
+    originalDocument = globalThis.document;
+    globalThis.document = { createElement: () => new FakeCanvas() };
+});
+
+after(() => {
+    globalThis.document = originalDocument;
+});
+
+async function pdfPageSizes(blob) {
+    const text = new TextDecoder('latin1').decode(await blob.arrayBuffer());
+    return [...text.matchAll(/\/Type \/Page \/Parent 2 0 R \/MediaBox \[0 0 ([\d.]+) ([\d.]+)\]/g)]
+        .map(([, width, height]) => [Number(width), Number(height)]);
+}
+
+test('the default PDF has the front and the back as two pages', async () => {
+    const pages = await pdfPageSizes(await createTicketPdf([TICKET], { dpi: 10 }));
+    assert.equal(pages.length, 2);
+    assert.deepEqual(pages[0], pages[1]);
+});
+
+test('the export layout select starts on the default layout', async () => {
+    const html = await readFile(new URL('../ticket/index.html', import.meta.url), 'utf8');
+    const select = html.match(/<select id="export-layout"[\s\S]*?<\/select>/)[0];
+    assert.equal(select.match(/<option value="(\w+)" selected>/)[1], DEFAULT_PRINT_OPTIONS.layout);
+});
+
+test('an explicit single-face layout still gives one page per ticket', async () => {
+    const pages = await pdfPageSizes(await createTicketPdf([TICKET, TICKET], { layout: 'back', dpi: 10 }));
+    assert.equal(pages.length, 2);
+    assert.equal((await pdfPageSizes(await createTicketPdf([TICKET], { layout: 'front', dpi: 10 }))).length, 1);
+});
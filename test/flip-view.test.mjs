@@ -0,0 +1,183 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WebGLRenderer } from '../vendor/three/build/three.module.js';
+import { FlipView, mountTicketView } from '../ticket/js/flip-view.js';
+
+// Just enough DOM for FlipView: elements, listeners, classList and 2D contexts that record draws
+class FakeElement {
+    constructor(tagName) {
+        this.tagName = tagName.toUpperCase();
+        this.children = [];
+        this.attributes = {};
+        this.listeners = {};
+        this.style = {};
+        this.className = '';
+        this.classList = {
+            toggle: (name, force) => {
+                const names = new Set(this.className.split(' ').filter(Boolean));
+                if (force ?? !names.has(name)) names.add(name); else names.delete(name);
+                this.className = [...names].join(' ');
+            },
+            contains: (name) => this.className.split(' ').includes(name)
+        };
+    }
+
+    append(...children) {
+        this.children.push(...children);
+    }
+
+    appendChild(child) {
+        this.children.push(child);
+        return child;
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+        return this.attributes[name] ?? null;
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] ||= []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(other => other !== listener);
+    }
+
+    dispatch(type, fields = {}) {
+        const event = { type, defaultPrevented: false, preventDefault() { this.defaultPrevented = true; }, ...fields };
+        (this.listeners[type] || []).forEach(listener => listener(event));
+        return event;
+    }
+}
+
+class FakeCanvas extends FakeElement {
+    constructor() {
+        super('canvas');
+        this.width = 300;
+        this.height = 150;
+        this.draws = [];
+    }
+
+    getContext(type) {
+        // No WebGL here, as on the devices the fallback is for
+        if (type !== '2d') return null;
+        return {
+            clearRect: () => this.draws.splice(0),
+            drawImage: (source, x, y) => this.draws.push({ source, x, y })
+        };
+    }
+}
+
+let originalDocument;
+
+beforeEach(() => {
+    originalDocument = globalThis.document;
+    globalThis.document = {
+        createElement: (tagName) => (tagName === 'canvas' ? new FakeCanvas() : new FakeElement(tagName))
+    };
+});
+
+afterEach(() => {
+    globalThis.document = originalDocument;
+});
+
+function mountWithoutWebGL() {
+    const container = new FakeElement('div');
+    const front = new FakeCanvas();
+    const back = new FakeCanvas();
+    front.width = back.width = 1000;
+    front.height = back.height = 1800;
+    const faces = [];
+    const warn = console.warn;
+    const error = console.error;
+    console.warn = console.error = () => {};
+    try {
+        const view = mountTicketView({
+            container,
+            front,
+            back,
+            createRenderer: () => new WebGLRenderer({ canvas: new FakeCanvas() }),
+            onFaceChange: face => faces.push(face)
+        });
+        return { ...view, container, front, back, faces };
+    } finally {
+        console.warn = warn;
+        console.error = error;
+    }
+}
+
+test('a renderer that cannot get a WebGL context falls back to a mounted FlipView', () => {
+    const { renderer, flipView, container } = mountWithoutWebGL();
+    assert.equal(renderer, null);
+    assert.ok(flipView instanceof FlipView);
+    assert.deepEqual(container.children, [flipView.element]);
+    assert.equal(flipView.element.tagName, 'BUTTON');
+    assert.equal(flipView.card.style.aspectRatio, '1000 / 1800');
+});
+
+test('a renderer factory that returns null also falls back', () => {
+    const view = mountTicketView({
+        container: new FakeElement('div'),
+        front: new FakeCanvas(),
+        back: new FakeCanvas(),
+        createRenderer: () => null
+    });
+    assert.equal(view.renderer, null);
+    assert.ok(view.flipView instanceof FlipView);
+});
+
+test('a working renderer mounts no FlipView', () => {
+    const renderer = {};
+    const container = new FakeElement('div');
+    const view = mountTicketView({ container, front: new FakeCanvas(), back: new FakeCanvas(), createRenderer: () => renderer });
+    assert.deepEqual(view, { renderer, flipView: null });
+    assert.equal(container.children.length, 0);
+});
+
+test('refresh() copies both faces', () => {
+    const { flipView, front, back } = mountWithoutWebGL();
+    assert.equal(flipView.frontCopy.width, 1000);
+    assert.equal(flipView.backCopy.height, 1800);
+    flipView.refresh();
+    assert.deepEqual(flipView.frontCopy.draws, [{ source: front, x: 0, y: 0 }]);
+    assert.deepEqual(flipView.backCopy.draws, [{ source: back, x: 0, y: 0 }]);
+
+    // A second refresh replaces the copy rather than drawing over it
+    flipView.refresh();
+    assert.equal(flipView.frontCopy.draws.length, 1);
+    assert.equal(flipView.backCopy.draws.length, 1);
+});
+
+test('F and the arrow keys flip the card', () => {
+    const { flipView, faces } = mountWithoutWebGL();
+    const press = key => flipView.element.dispatch('keydown', { key });
+
+    assert.equal(press('f').defaultPrevented, true);
+    assert.equal(flipView.face, 'back');
+    assert.ok(flipView.card.classList.contains('flipped'));
+    assert.match(flipView.element.getAttribute('aria-label'), /showing the back/);
+
+    press('ArrowLeft');
+    assert.equal(flipView.face, 'front');
+    assert.ok(!flipView.card.classList.contains('flipped'));
+
+    press('ArrowRight');
+    press('F');
+    assert.deepEqual(faces, ['back', 'front', 'back', 'front']);
+
+    // Other keys are left alone
+    assert.equal(press('a').defaultPrevented, false);
+    assert.equal(flipView.face, 'front');
+});
+
+test('clicking flips the card', () => {
+    const { flipView, faces } = mountWithoutWebGL();
+    flipView.element.dispatch('click');
+    assert.equal(flipView.face, 'back');
+    assert.deepEqual(faces, ['back']);
+});
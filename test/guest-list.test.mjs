@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseGuestList } from '../ticket/js/guest-list.js';
+
+test('CSV rows with a header become guests', () => {
+    const { guests, errors } = parseGuestList('name,artwork,time\n김하은,just-vibe,1769072400000\nAlex Kim,,\n', 'guests.csv');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(guests, [
+        { line: 2, name: '김하은', artworkId: 'just-vibe', enterTime: new Date(1769072400000) },
+        { line: 3, name: 'Alex Kim', artworkId: null, enterTime: null }
+    ]);
+});
+
+test('times a serial cannot hold are row errors and get no ticket', () => {
+    const csv = [
+        'name,time',
+        'Before,1960-01-01',
+        'After,3100-01-01',
+        'Negative,-1',
+        'Ok,2026-01-22T19:00'
+    ].join('\n');
+    const { guests, errors } = parseGuestList(csv, 'guests.csv');
+    assert.deepEqual(guests.map(guest => guest.name), ['Ok']);
+    assert.deepEqual(errors.map(error => error.line), [2, 3, 4]);
+    errors.forEach(error => assert.match(error.message, /^time out of range/));
+});
+
+test('a negative JSON number is epoch ms, not the year 5000', () => {
+    const { guests, errors } = parseGuestList(JSON.stringify([
+        { name: 'Negative', time: -5000 },
+        { name: 'Ok', time: 5000 }
+    ]), 'guests.json');
+    assert.deepEqual(guests.map(guest => [guest.name, guest.enterTime.getTime()]), [['Ok', 5000]]);
+    assert.deepEqual(errors, [{ line: 1, message: 'time out of range "-5000" (1970 to 3058)' }]);
+});
+
+test('unreadable times and missing names are still reported', () => {
+    const { guests, errors } = parseGuestList('["", {"name": "X", "time": "soon"}]', 'guests.json');
+    assert.deepEqual(guests, []);
+    assert.deepEqual(errors, [
+        { line: 1, message: 'missing name' },
+        { line: 2, message: 'unreadable time "soon"' }
+    ]);
+});
@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseMidiFile, groupChords } from '../dimension-prism/js/midi-file.js';
+import { MidiScheduler } from '../dimension-prism/js/midi-scheduler.js';
+
+// --- Building Standard MIDI Files in memory ---
+
+function varint(value) {
+    const bytes = [value & 0x7F];
+    while ((value >>= 7) > 0) bytes.unshift((value & 0x7F) | 0x80);
+    return bytes;
+}
+
+function uint(value, length) {
+    return Array.from({ length }, (_, i) => (value >> (8 * (length - 1 - i))) & 0xFF);
+}
+
+const ascii = text => [...text].map(char => char.charCodeAt(0));
+
+// events: [deltaTicks, ...bytes]; End of Track is added
+function track(events) {
+    const body = [...events.flatMap(([delta, ...bytes]) => [...varint(delta), ...bytes]), 0, 0xFF, 0x2F, 0];
+    return [...ascii('MTrk'), ...uint(body.length, 4), ...body];
+}
+
+function smf(format, division, tracks) {
+    return new Uint8Array([...ascii('MThd'), ...uint(6, 4), ...uint(format, 2), ...uint(tracks.length, 2), ...uint(division, 2), ...tracks.flat()]);
+}
+
+const tempo = microseconds => [0xFF, 0x51, 3, ...uint(microseconds, 3)];
+
+// --- parseMidiFile ---
+
+test('format 0: running status, velocity-0 note-offs and a tempo change mid-track', () => {
+    const file = smf(0, 480, [track([
+        [0, 0x90, 60, 100], // C4 on
+        [0, 64, 90], // E4 on, running status
+        [480, 60, 0], // C4 off as a velocity-0 note-on, running status
+        [0, 64, 0],
+        [0, ...tempo(1000000)], // 120 -> 60 BPM at 0.5 s
+        [0, 0x90, 67, 80],
+        [480, 0x80, 67, 64]
+    ])]);
+
+    const midi = parseMidiFile(file);
+    assert.equal(midi.format, 0);
+    assert.equal(midi.trackCount, 1);
+    assert.equal(midi.duration, 1.5);
+    assert.deepEqual(midi.notes, [
+        { time: 0, duration: 0.5, note: 60, velocity: 100, channel: 0, track: 0 },
+        { time: 0, duration: 0.5, note: 64, velocity: 90, channel: 0, track: 0 },
+        { time: 0.5, duration: 1, note: 67, velocity: 80, channel: 0, track: 0 }
+    ]);
+});
+
+test('format 1: the tempo map in track 0 applies to the note tracks', () => {
+    const file = smf(1, 480, [
+        track([
+            [0, 0xFF, 0x03, 4, ...ascii('Song')],
+            [0, ...tempo(250000)], // 240 BPM
+            [960, ...tempo(500000)] // 120 BPM from tick 960 (0.5 s)
+        ]),
+        track([
+            [0, 0x91, 48, 127],
+            [480, 0x81, 48, 0], // ends at 0.25 s
+            [960, 0x91, 55, 64], // tick 1440 = 0.5 s + 480 ticks at 120 BPM = 1 s
+            [480, 55, 0] // running status note-on, velocity 0
+        ])
+    ]);
+
+    const midi = parseMidiFile(file);
+    assert.equal(midi.format, 1);
+    assert.equal(midi.trackCount, 2);
+    assert.equal(midi.title, 'Song');
+    assert.deepEqual(midi.notes, [
+        { time: 0, duration: 0.25, note: 48, velocity: 127, channel: 1, track: 1 },
+        { time: 1, duration: 0.5, note: 55, velocity: 64, channel: 1, track: 1 }
+    ]);
+    assert.equal(midi.duration, 1.5);
+});
+
+test('broken files fail with a message', () => {
+    assert.throws(() => parseMidiFile(new Uint8Array(ascii('RIFF0000'))), /MThd/);
+    assert.throws(() => parseMidiFile(smf(2, 480, [track([])])), /format 2/);
+    const truncated = smf(0, 480, [track([[0, 0x90, 60, 100]])]).slice(0, -6);
+    assert.throws(() => parseMidiFile(truncated), /바이트/);
+    // Running status with no status byte before it
+    assert.throws(() => parseMidiFile(smf(0, 480, [track([[0, 60, 100]])])), /상태 바이트/);
+});
+
+// --- groupChords ---
+
+test('notes within the window become one chord', () => {
+    const chords = groupChords([
+        { time: 0, duration: 1, note: 60, velocity: 64 },
+        { time: 0.02, duration: 0.5, note: 64, velocity: 127 },
+        { time: 0.5, duration: 0.5, note: 67, velocity: 32 }
+    ]);
+    assert.deepEqual(chords, [
+        { time: 0, duration: 1, notes: [60, 64], velocity: 1 },
+        { time: 0.5, duration: 0.5, notes: [67], velocity: 32 / 127 }
+    ]);
+});
+
+// --- MidiScheduler, driven with a fake clock ---
+
+function recordingScheduler(chords, options = {}) {
+    const played = [];
+    const scheduler = new MidiScheduler(chords, { onChord: (chord, when) => played.push([chord.time, when]), ...options });
+    return { scheduler, played };
+}
+
+test('pump hands over only chords starting within the look-ahead window', () => {
+    const { scheduler, played } = recordingScheduler([{ time: 0 }, { time: 0.5 }, { time: 1 }], { lookAhead: 0.1 });
+    scheduler.start(10);
+
+    scheduler.pump(10);
+    assert.deepEqual(played, [[0, 10]]);
+    scheduler.pump(10.35);
+    assert.deepEqual(played, [[0, 10]]);
+    scheduler.pump(10.41);
+    assert.deepEqual(played, [[0, 10], [0.5, 10.5]]);
+
+    // A timer a little late plays the chord now rather than in the past
+    scheduler.pump(11.05);
+    assert.deepEqual(played.at(-1), [1, 11.05]);
+    assert.equal(scheduler.finished, true);
+});
+
+test('chords later than MAX_LATE are dropped, slightly late ones are pulled to now', () => {
+    const { scheduler, played } = recordingScheduler([{ time: 0 }, { time: 0.5 }, { time: 1 }]);
+    scheduler.start(10);
+    scheduler.pump(11.2); // 1.2 s behind: the first two are more than 0.5 s late
+    assert.deepEqual(played, [[1, 11.2]]);
+    assert.equal(scheduler.finished, true);
+});
+
+test('a looping scheduler wraps to the next pass at duration', () => {
+    const { scheduler, played } = recordingScheduler([{ time: 0 }, { time: 0.5 }], { duration: 1, loop: true, lookAhead: 0.1 });
+    scheduler.start(0);
+    scheduler.pump(0);
+    scheduler.pump(0.45);
+    scheduler.pump(0.95);
+    assert.deepEqual(played, [[0, 0], [0.5, 0.5], [0, 1]]);
+    scheduler.pump(1.45);
+    assert.deepEqual(played.at(-1), [0.5, 1.5]);
+    assert.equal(scheduler.finished, false);
+});
+
+test('play calls onEnd once every chord is handed over', () => {
+    const now = 3;
+    let ended = 0;
+    const { scheduler, played } = recordingScheduler([{ time: 0 }, { time: 0.05 }]);
+    scheduler.play(() => now, { delay: 0, onEnd: () => ended++ });
+    assert.deepEqual(played, [[0, 3], [0.05, 3.05]]);
+    assert.equal(ended, 1);
+    assert.equal(scheduler.timer.running, false);
+});
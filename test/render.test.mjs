@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { drawTicketFront } from '../ticket/js/render.js';
+import { DEFAULT_THEME } from '../ticket/js/theme.js';
+import { encodeQR } from '../ticket/js/qr.js';
+
+// A 2D context that keeps the module rects and accepts every other call
+function recordingContext() {
+    const rects = [];
+    const context = new Proxy({ rects }, {
+        get: (target, name) => {
+            if (name in target) return target[name];
+            if (name === 'rect') return (x, y, width, height) => rects.push({ x, y, width, height });
+            if (name === 'measureText') return text => ({ width: String(text).length * 10 });
+            return () => {};
+        },
+        set: (target, name, value) => { target[name] = value; return true; }
+    });
+    return context;
+}
+
+test('the QR code keeps a four-module quiet zone inside its plate', () => {
+    const qr = encodeQR('https://example.com/ticket/verify/?serial=JV-1NDCW22-SABR-HV7EP41P', { ecl: 'L' });
+    const context = recordingContext();
+    drawTicketFront(context, {
+        artwork: { displayName: '03 JUST VIBE', createdDate: '260122', color: '#CCFF00' },
+        username: '김하은',
+        formattedTime: '2026.01.22 19:00',
+        serial: null,
+        qr,
+        poster: null
+    });
+
+    const { x, y, size } = DEFAULT_THEME.slots.qr;
+    const moduleSize = context.rects[0].width;
+    assert.ok(Math.abs(moduleSize * (qr.size + 8) - size) < 1e-9);
+    const left = Math.min(...context.rects.map(rect => rect.x));
+    const top = Math.min(...context.rects.map(rect => rect.y));
+    const right = Math.max(...context.rects.map(rect => rect.x + rect.width));
+    const bottom = Math.max(...context.rects.map(rect => rect.y + rect.height));
+    for (const margin of [left - x, top - y, x + size - right, y + size - bottom]) {
+        assert.ok(Math.abs(margin - 4 * moduleSize) < 1e-9, `margin ${margin}`);
+    }
+});
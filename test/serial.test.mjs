@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createTicketSerial,
+    createUnsignedSerial,
+    isSerialTime,
+    parseTicketSerial,
+    verifyTicketSerial
+} from '../ticket/js/serial.js';
+
+const CATALOG = { 'just-vibe': { serialCode: 'JV' } };
+const FIELDS = { artworkId: 'just-vibe', serialCode: 'JV', username: '김하은' };
+const LAST_SECOND = 32 ** 7 - 1;
+
+test('isSerialTime accepts 1970 up to the last second the time group holds', () => {
+    assert.equal(isSerialTime(new Date(0)), true);
+    assert.equal(isSerialTime(new Date('2026-01-23T10:00:00Z')), true);
+    assert.equal(isSerialTime(new Date(LAST_SECOND * 1000 + 999)), true);
+
+    assert.equal(isSerialTime(new Date(-1)), false);
+    assert.equal(isSerialTime(new Date('1960-01-01')), false);
+    assert.equal(isSerialTime(new Date((LAST_SECOND + 1) * 1000)), false);
+    assert.equal(isSerialTime(new Date(8.64e15)), false);
+    assert.equal(isSerialTime(new Date(NaN)), false);
+});
+
+test('a time outside the serial range throws instead of printing "undefined"', async () => {
+    for (const enterTime of [new Date('1960-01-01'), new Date((LAST_SECOND + 1) * 1000), new Date(NaN)]) {
+        assert.throws(() => createUnsignedSerial({ ...FIELDS, enterTime }), RangeError, String(enterTime));
+        await assert.rejects(createTicketSerial({ ...FIELDS, enterTime }), RangeError, String(enterTime));
+    }
+});
+
+test('serials at both ends of the range verify', async () => {
+    for (const enterTime of [new Date(0), new Date(LAST_SECOND * 1000)]) {
+        const serial = await createTicketSerial({ ...FIELDS, enterTime });
+        assert.doesNotMatch(serial, /undefined/);
+        assert.equal(parseTicketSerial(serial).issuedAt.getTime(), enterTime.getTime());
+        const result = await verifyTicketSerial(serial, CATALOG, FIELDS.username);
+        assert.equal(result.genuine, true, serial);
+        assert.equal(result.nameMatches, true);
+    }
+    assert.equal(createUnsignedSerial({ ...FIELDS, enterTime: new Date(LAST_SECOND * 1000) }), 'JV-ZZZZZZZ');
+});
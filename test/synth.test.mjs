@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Synth } from '../dimension-prism/js/synth.js';
+
+// Browsers have one; in Node it comes from the node-web-audio-api package when installed
+const OfflineAudioContext = globalThis.OfflineAudioContext
+    ?? await import('node-web-audio-api').then(module => module.OfflineAudioContext, () => null);
+const skip = OfflineAudioContext ? false : 'needs an OfflineAudioContext (npm install node-web-audio-api)';
+
+// Above twice the highest filter cutoff (the bell's 6 kHz), so no engine has to clamp it
+const SAMPLE_RATE = 22050;
+const RENDER_SECONDS = 9;
+
+function createContext() {
+    return new OfflineAudioContext(2, SAMPLE_RATE * RENDER_SECONDS, SAMPLE_RATE);
+}
+
+test('more notes than maxVoices never leave more than maxVoices sounding', { skip }, async () => {
+    const ctx = createContext();
+    const synth = new Synth(ctx, { preset: 'pad', maxVoices: 4 });
+    for (let i = 0; i < 12; i++) {
+        synth.playChord([220, 277, 330], { when: i * 0.2, duration: 1 });
+        assert.ok(synth.voices.length <= 4, `${synth.voices.length} voices after chord ${i}`);
+    }
+    assert.equal(synth.voices.length, 4);
+    await ctx.startRendering();
+});
+
+test('a releasing voice is stolen before an older held one', { skip }, () => {
+    const synth = new Synth(createContext(), { preset: 'bell', maxVoices: 3 });
+    const held = synth.playNote(220, { when: 0, duration: 3 });
+    const releasing = synth.playNote(330, { when: 0.05, duration: 0.1 });
+    const newer = synth.playNote(440, { when: 0.1, duration: 3 });
+
+    // releasing let go at 0.15 but its 1.5 s release is still ringing at 0.5
+    assert.ok(releasing.end > 0.5);
+    const incoming = synth.playNote(550, { when: 0.5, duration: 3 });
+    assert.deepEqual(synth.voices, [held, newer, incoming]);
+    assert.equal(releasing.end, 0.5);
+
+    // With nothing releasing, the oldest goes
+    const last = synth.playNote(660, { when: 0.6, duration: 3 });
+    assert.deepEqual(synth.voices, [newer, incoming, last]);
+    assert.equal(held.end, 0.6);
+});
+
+test('the output is silent once every voice and the reverb tail have ended', { skip }, async () => {
+    const ctx = createContext();
+    const synth = new Synth(ctx, { preset: 'bell', maxVoices: 3 });
+    const played = [];
+    for (let i = 0; i < 8; i++) {
+        played.push(synth.playNote(220 * (1 + i / 8), { when: i * 0.15, duration: 0.3, velocity: 1 }));
+    }
+
+    // Stolen voices end when they were stolen; oscillators stop a moment after end
+    const lastEnd = Math.max(...played.map(voice => voice.end));
+    const silentFrom = lastEnd + 0.05 + synth.preset.reverb.seconds + 0.1;
+    assert.ok(silentFrom < RENDER_SECONDS - 0.5, 'render long enough to hear the silence');
+
+    const buffer = await ctx.startRendering();
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const data = buffer.getChannelData(channel);
+        const split = Math.ceil(silentFrom * SAMPLE_RATE);
+        let playing = 0;
+        for (let i = 0; i < split; i++) playing = Math.max(playing, Math.abs(data[i]));
+        let after = 0;
+        for (let i = split; i < data.length; i++) after = Math.max(after, Math.abs(data[i]));
+        assert.ok(playing > 0.01, `channel ${channel} peak ${playing} while playing`);
+        assert.ok(after < 1e-4, `channel ${channel} peak ${after} after ${silentFrom.toFixed(2)} s`);
+    }
+});
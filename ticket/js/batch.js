@@ -0,0 +1,110 @@
+/**
+ * Batch tickets for a guest list.
+ *
+ * Turns parsed guest rows (see guest-list.js) into TicketStates that the
+ * regular exporters can lay out and print. Every field comes from the row,
+ * the catalog or the enter time passed in for rows without one; nothing is
+ * random, so a list with times prints the same serials and QR codes every time.
+ */
+
+import { encodeQR } from './qr.js';
+import { issueTicketSerial, ticketVerifyUrl } from './serial.js';
+import { formatDate } from './format.js';
+import { resolveArtwork } from './catalog.js';
+import { limitGraphemes } from './text-fit.js';
+
+/**
+ * @param {import('./guest-list.js').Guest[]} guests
+ * @param {object} params
+ * @param {object} params.catalog - Parsed artworks.json.
+ * @param {string|null} params.defaultArtworkId - For rows without an artwork.
+ * @param {Date} params.enterTime - For rows without a time.
+ * @param {string} params.origin - Site origin for the QR verify URL.
+ * @param {number} params.maxNameGraphemes - Longer names are cut, as on the single ticket.
+ * @param {object|null} [params.layout] - Layout template for every ticket.
+ * @param {(done: number, total: number) => void} [params.onProgress]
+ * @returns {Promise<{ tickets: { guest: object, state: import('./render.js').TicketState }[], errors: { line: number, message: string, skipped: boolean }[], signed: boolean }>}
+ *          errors with skipped false still got a ticket (e.g. a shortened name);
+ *          signed is false when the serials had to be issued unsigned (no crypto.subtle)
+ */
+export async function createBatchTickets(guests, { catalog, defaultArtworkId, enterTime, origin, maxNameGraphemes, layout = null, onProgress = () => {} }) {
+    const posters = new Map();
+    const tickets = [];
+    const errors = [];
+    let signed = true;
+
+    for (const [index, guest] of guests.entries()) {
+        const id = guest.artworkId || defaultArtworkId;
+        const { artwork, error } = id
+            ? resolveArtwork(catalog, id)
+            : { artwork: null, error: 'unknown-artwork' };
+
+        if (error) {
+            errors.push({ line: guest.line, message: `${error.replace('-', ' ')} "${id || ''}"`, skipped: true });
+        } else {
+            // One load per artwork, shared by every guest who holds it
+            if (!posters.has(artwork.posterPath)) {
+                posters.set(artwork.posterPath, loadImage(artwork.posterPath).catch(() => null));
+            }
+            const poster = await posters.get(artwork.posterPath);
+            if (!poster) {
+                errors.push({ line: guest.line, message: `poster missing "${artwork.posterPath}"`, skipped: true });
+            } else {
+                const username = limitGraphemes(guest.name, maxNameGraphemes);
+                if (username !== guest.name) {
+                    errors.push({ line: guest.line, message: `name shortened to "${username}"`, skipped: false });
+                }
+                const time = guest.enterTime || enterTime;
+                const issued = await issueTicketSerial({
+                    artworkId: artwork.id,
+                    serialCode: artwork.serialCode,
+                    username,
+                    enterTime: time
+                });
+                const { serial } = issued;
+                signed = signed && issued.signed;
+                tickets.push({
+                    guest,
+                    state: {
+                        artwork,
+                        username,
+                        formattedTime: formatDate(time),
+                        serial,
+                        qr: encodeQR(ticketVerifyUrl(serial, origin), { ecl: 'L' }),
+                        poster,
+                        error: null,
+                        layout
+                    }
+                });
+            }
+        }
+        onProgress(index + 1, guests.length);
+    }
+
+    return { tickets, errors, signed };
+}
+
+/**
+ * Filesystem-safe stem for one guest's files, e.g. "007-김하은-JV-1RT5K2Q-7TQ2-X8D4K1MZ".
+ * Numbered so the archive sorts in guest-list order.
+ */
+export function batchFileStem(index, total, ticket) {
+    const number = String(index + 1).padStart(Math.max(3, String(total).length), '0');
+    const name = ticket.username
+        .normalize('NFC')
+        .replace(/[\\/:*?"<>|\u0000-\u001F]+/g, '')
+        .trim()
+        .replace(/\s+/g, '-')
+        .slice(0, 40);
+    return [number, name, ticket.serial].filter(Boolean).join('-');
+}
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Failed to load ${src}`));
+        image.src = src;
+    });
+}
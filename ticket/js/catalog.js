@@ -0,0 +1,181 @@
+/**
+ * Artwork catalog lookup and validation.
+ *
+ * Checks artworks.json against artworks.schema.json. Only the JSON Schema
+ * keywords the catalog schema uses are implemented; anything else in the
+ * schema is ignored rather than guessed at.
+ */
+
+/**
+ * @typedef {'catalog-unavailable'|'unknown-artwork'|'invalid-artwork'} CatalogError
+ */
+
+// A ticket can't be drawn or serialised without these
+const TICKET_FIELDS = ['posterPath', 'serialCode'];
+
+/**
+ * Find the artwork a ticket page was opened for.
+ *
+ * Never falls back to another artwork: a ticket for the wrong show is worse
+ * than an error.
+ * @param {object|null} catalog - Parsed artworks.json, or null if it failed to load.
+ * @param {string} id - Requested artwork id.
+ * @returns {{ id: string, artwork: object|null, error: CatalogError|null }}
+ *     artwork carries its id alongside the catalog fields.
+ */
+export function resolveArtwork(catalog, id) {
+    if (!isPlainObject(catalog)) {
+        return { id, artwork: null, error: 'catalog-unavailable' };
+    }
+    // Own keys only, so ?artwork=constructor doesn't find Object.prototype
+    const entry = Object.prototype.hasOwnProperty.call(catalog, id) ? catalog[id] : null;
+    if (!isPlainObject(entry)) {
+        return { id, artwork: null, error: 'unknown-artwork' };
+    }
+    if (!TICKET_FIELDS.every(key => typeof entry[key] === 'string' && entry[key] !== '')) {
+        return { id, artwork: null, error: 'invalid-artwork' };
+    }
+    return { id, artwork: { ...entry, id }, error: null };
+}
+
+/**
+ * @typedef {object} ValidationError
+ * @property {string} path - Field path, e.g. "just-vibe.theme.slots.name.size".
+ * @property {string} message
+ */
+
+/**
+ * @param {*} catalog - Parsed artworks.json.
+ * @param {object} schema - Parsed artworks.schema.json.
+ * @returns {ValidationError[]} Empty when the catalog is valid.
+ */
+export function validateCatalog(catalog, schema) {
+    const errors = [];
+    validateValue(catalog, schema, schema, '', errors);
+    return errors;
+}
+
+/**
+ * Check layouts.json (or an imported template file): layout templates keyed
+ * by id, using the layout definition from the artwork schema.
+ * @param {*} layouts
+ * @param {object} schema - Parsed artworks.schema.json.
+ * @returns {ValidationError[]}
+ */
+export function validateLayouts(layouts, schema) {
+    const layoutsSchema = {
+        type: 'object',
+        propertyNames: schema.propertyNames,
+        additionalProperties: { $ref: '#/definitions/layout' },
+        definitions: schema.definitions
+    };
+    return validateCatalog(layouts, layoutsSchema);
+}
+
+/**
+ * One line per error, for logs.
+ * @param {ValidationError[]} errors
+ */
+export function formatValidationErrors(errors) {
+    return errors.map(({ path, message }) => `${path || '(root)'}: ${message}`).join('\n');
+}
+
+function validateValue(value, schema, root, path, errors) {
+    if (schema.$ref) {
+        schema = { ...resolveRef(schema.$ref, root), ...withoutRef(schema) };
+    }
+    const fail = (message) => errors.push({ path, message });
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        return;
+    }
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        fail(`must be ${[].concat(schema.type).join(' or ')}, got ${describeType(value)}`);
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(`${JSON.stringify(value)} does not match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, i) => validateValue(item, schema.items, root, `${path}[${i}]`, errors));
+        }
+    }
+
+    if (isPlainObject(value)) {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push({ path: joinPath(path, key), message: 'is required' });
+        });
+
+        Object.entries(value).forEach(([key, child]) => {
+            const childPath = joinPath(path, key);
+            if (schema.propertyNames && schema.propertyNames.pattern && !new RegExp(schema.propertyNames.pattern).test(key)) {
+                errors.push({ path: childPath, message: `key does not match ${schema.propertyNames.pattern}` });
+            }
+            if (schema.properties && key in schema.properties) {
+                validateValue(child, schema.properties[key], root, childPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath, message: 'is not a known field' });
+            } else if (isPlainObject(schema.additionalProperties)) {
+                validateValue(child, schema.additionalProperties, root, childPath, errors);
+            }
+        });
+    }
+}
+
+function resolveRef(ref, root) {
+    if (!ref.startsWith('#/')) throw new Error(`Unsupported schema $ref: ${ref}`);
+    return ref.slice(2).split('/').reduce((node, key) => {
+        if (!node || !(key in node)) throw new Error(`Unresolvable schema $ref: ${ref}`);
+        return node[key];
+    }, root);
+}
+
+function withoutRef(schema) {
+    const { $ref, ...rest } = schema;
+    return rest;
+}
+
+function matchesType(value, type) {
+    return [].concat(type).some(t => {
+        switch (t) {
+            case 'object': return isPlainObject(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'null': return value === null;
+            default: return typeof value === t;
+        }
+    });
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
@@ -0,0 +1,280 @@
+/**
+ * Ticket exports: raster (PNG), vector (SVG) and print (PDF).
+ *
+ * An export is first laid out as a list of pages in millimetres (which face
+ * goes where, plus crop marks), then each page is painted through
+ * drawTicketFront/drawTicketBack onto a canvas or an SvgContext. So what gets
+ * printed is exactly what the 3D ticket shows, whatever the layout.
+ */
+
+import { CANVAS_WIDTH, TICKET_RATIO, drawTicketFront, drawTicketBack } from './render.js';
+import { SvgContext } from './svg-context.js';
+import { PdfDocument } from './pdf.js';
+
+// Physical ticket size. Height always follows TICKET_RATIO.
+// A ticket has two faces, so unless asked otherwise both are exported.
+export const DEFAULT_PRINT_OPTIONS = {
+    widthMm: 180,
+    dpi: 300,
+    layout: 'duplex',
+    paper: 'a4',
+    copies: 1
+};
+
+/**
+ * front/back: one face per file or page.
+ * duplex: front and back as two files, or two PDF pages.
+ * spread: front and back side by side on one page.
+ * sheet: tickets tiled on paper with crop marks; one page of fronts and one of
+ *        backs per sheet, mirrored for long-edge duplex printing.
+ */
+export const EXPORT_LAYOUTS = ['front', 'back', 'duplex', 'spread', 'sheet'];
+
+export const PAPER_SIZES = {
+    a4: { widthMm: 210, heightMm: 297 },
+    letter: { widthMm: 215.9, heightMm: 279.4 }
+};
+
+const SPREAD_GAP_MM = 6;
+const SHEET_MARGIN_MM = 10;
+const SHEET_GUTTER_MM = 12;
+const CROP_MARK_OFFSET_MM = 1;
+const CROP_MARK_LENGTH_MM = 4;
+const CROP_MARK_WEIGHT_MM = 0.15;
+
+const FACE_DRAWERS = {
+    front: drawTicketFront,
+    back: drawTicketBack
+};
+
+/**
+ * Lay out pages for an export.
+ * @param {import('./render.js').TicketState[]} tickets - One entry per ticket to print.
+ *        The sheet layout tiles them; every other layout gives each ticket its
+ *        own pages, tagged with ticketIndex.
+ * @param {object} options - See DEFAULT_PRINT_OPTIONS.
+ * @returns {{ name: string, widthMm: number, heightMm: number, placements: object[], cropMarks: boolean, ticketIndex?: number }[]}
+ */
+export function layoutPages(tickets, options) {
+    const { widthMm, layout } = { ...DEFAULT_PRINT_OPTIONS, ...options };
+    if (layout === 'sheet') {
+        return layoutSheets(tickets, { ...DEFAULT_PRINT_OPTIONS, ...options });
+    }
+    if (!EXPORT_LAYOUTS.includes(layout)) {
+        throw new Error(`Unknown export layout: ${layout}`);
+    }
+
+    const heightMm = widthMm / TICKET_RATIO;
+    return tickets.flatMap((ticket, ticketIndex) => {
+        const single = (face) => ({
+            name: face,
+            widthMm,
+            heightMm,
+            placements: [{ ticket, face, x: 0, y: 0, widthMm }],
+            cropMarks: false,
+            ticketIndex
+        });
+
+        switch (layout) {
+            case 'front':
+            case 'back':
+                return [single(layout)];
+            case 'duplex':
+                return [single('front'), single('back')];
+            case 'spread':
+                return [{
+                    name: 'spread',
+                    widthMm: widthMm * 2 + SPREAD_GAP_MM,
+                    heightMm,
+                    placements: [
+                        { ticket, face: 'front', x: 0, y: 0, widthMm },
+                        { ticket, face: 'back', x: widthMm + SPREAD_GAP_MM, y: 0, widthMm }
+                    ],
+                    cropMarks: false,
+                    ticketIndex
+                }];
+        }
+    });
+}
+
+function layoutSheets(tickets, { widthMm, paper, copies }) {
+    const heightMm = widthMm / TICKET_RATIO;
+    const paperSize = PAPER_SIZES[paper];
+    if (!paperSize) throw new Error(`Unknown paper size: ${paper}`);
+
+    // Try both orientations and keep whichever fits more tickets
+    const fit = (pageWidth, pageHeight) => {
+        const cols = Math.floor((pageWidth - SHEET_MARGIN_MM * 2 + SHEET_GUTTER_MM) / (widthMm + SHEET_GUTTER_MM));
+        const rows = Math.floor((pageHeight - SHEET_MARGIN_MM * 2 + SHEET_GUTTER_MM) / (heightMm + SHEET_GUTTER_MM));
+        return { pageWidth, pageHeight, cols, rows, perSheet: cols * rows };
+    };
+    const portrait = fit(paperSize.widthMm, paperSize.heightMm);
+    const landscape = fit(paperSize.heightMm, paperSize.widthMm);
+    const grid = landscape.perSheet > portrait.perSheet ? landscape : portrait;
+    if (grid.perSheet === 0) {
+        throw new Error(`A ${widthMm}mm ticket does not fit on ${paper.toUpperCase()} paper`);
+    }
+
+    // A single ticket with copies > 1 prints that ticket repeatedly
+    const queue = tickets.length === 1
+        ? Array.from({ length: Math.max(1, copies) }, () => tickets[0])
+        : tickets;
+
+    // Center the grid on the page
+    const gridWidth = grid.cols * widthMm + (grid.cols - 1) * SHEET_GUTTER_MM;
+    const gridHeight = grid.rows * heightMm + (grid.rows - 1) * SHEET_GUTTER_MM;
+    const originX = (grid.pageWidth - gridWidth) / 2;
+    const originY = (grid.pageHeight - gridHeight) / 2;
+
+    const pages = [];
+    for (let start = 0, sheet = 1; start < queue.length; start += grid.perSheet, sheet++) {
+        const fronts = [];
+        const backs = [];
+        queue.slice(start, start + grid.perSheet).forEach((ticket, i) => {
+            const col = i % grid.cols;
+            const row = Math.floor(i / grid.cols);
+            const x = originX + col * (widthMm + SHEET_GUTTER_MM);
+            const y = originY + row * (heightMm + SHEET_GUTTER_MM);
+            fronts.push({ ticket, face: 'front', x, y, widthMm });
+            // Long-edge flip: the back of column c lands in column (cols - 1 - c)
+            backs.push({ ticket, face: 'back', x: grid.pageWidth - x - widthMm, y, widthMm });
+        });
+        const page = { widthMm: grid.pageWidth, heightMm: grid.pageHeight, cropMarks: true };
+        pages.push({ ...page, name: `sheet${sheet}-front`, placements: fronts });
+        pages.push({ ...page, name: `sheet${sheet}-back`, placements: backs });
+    }
+    return pages;
+}
+
+/**
+ * Paint a laid-out page. The context must already map 1 unit to 1 mm.
+ * @param {CanvasRenderingContext2D|SvgContext} context
+ */
+export function drawPage(context, page) {
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, page.widthMm, page.heightMm);
+
+    page.placements.forEach(({ ticket, face, x, y, widthMm }) => {
+        context.save();
+        context.translate(x, y);
+        const scale = widthMm / CANVAS_WIDTH;
+        context.scale(scale, scale);
+        FACE_DRAWERS[face](context, ticket);
+        context.restore();
+    });
+
+    if (page.cropMarks) {
+        page.placements.forEach(placement => drawCropMarks(context, placement));
+    }
+}
+
+function drawCropMarks(context, { x, y, widthMm }) {
+    const heightMm = widthMm / TICKET_RATIO;
+    const reach = CROP_MARK_OFFSET_MM + CROP_MARK_LENGTH_MM;
+    const half = CROP_MARK_WEIGHT_MM / 2;
+
+    context.fillStyle = '#000000';
+    [[x, y], [x + widthMm, y], [x, y + heightMm], [x + widthMm, y + heightMm]].forEach(([cx, cy]) => {
+        const dirX = cx === x ? -1 : 1;
+        const dirY = cy === y ? -1 : 1;
+        // Horizontal mark, in line with the horizontal edge
+        const hx = dirX < 0 ? cx - reach : cx + CROP_MARK_OFFSET_MM;
+        context.fillRect(hx, cy - half, CROP_MARK_LENGTH_MM, CROP_MARK_WEIGHT_MM);
+        // Vertical mark, in line with the vertical edge
+        const vy = dirY < 0 ? cy - reach : cy + CROP_MARK_OFFSET_MM;
+        context.fillRect(cx - half, vy, CROP_MARK_WEIGHT_MM, CROP_MARK_LENGTH_MM);
+    });
+}
+
+/**
+ * Rasterize a page at the given DPI.
+ * @returns {HTMLCanvasElement}
+ */
+export function renderPageCanvas(page, dpi) {
+    const output = document.createElement('canvas');
+    output.width = Math.round(page.widthMm / 25.4 * dpi);
+    output.height = Math.round(page.heightMm / 25.4 * dpi);
+    const context = output.getContext('2d');
+    context.scale(output.width / page.widthMm, output.height / page.heightMm);
+    drawPage(context, page);
+    return output;
+}
+
+/**
+ * One PNG per page.
+ * @param {(progress: number) => void} [onProgress] - 0..1, after each page.
+ * @returns {Promise<{ name: string, blob: Blob, ticketIndex?: number }[]>}
+ */
+export async function createTicketPngs(tickets, options, onProgress = () => {}) {
+    const { dpi } = { ...DEFAULT_PRINT_OPTIONS, ...options };
+    const pages = layoutPages(tickets, options);
+    const files = [];
+    for (const page of pages) {
+        const blob = await canvasToBlob(renderPageCanvas(page, dpi), 'image/png');
+        files.push({ name: page.name, blob, ticketIndex: page.ticketIndex });
+        onProgress(files.length / pages.length);
+    }
+    return files;
+}
+
+/**
+ * One SVG document per page, sized in millimetres.
+ * @returns {{ name: string, blob: Blob, ticketIndex?: number }[]}
+ */
+export function createTicketSvgs(tickets, options) {
+    return layoutPages(tickets, options).map(page => {
+        const context = new SvgContext(round(page.widthMm), round(page.heightMm));
+        drawPage(context, page);
+        const svg = context.toSVG({ width: `${round(page.widthMm)}mm`, height: `${round(page.heightMm)}mm` });
+        return { name: page.name, blob: new Blob([svg], { type: 'image/svg+xml' }), ticketIndex: page.ticketIndex };
+    });
+}
+
+/**
+ * All pages in a single PDF, each at physical size.
+ * @param {(progress: number) => void} [onProgress] - 0..1, after each page.
+ * @returns {Promise<Blob>}
+ */
+export async function createTicketPdf(tickets, options, onProgress = () => {}) {
+    const { dpi } = { ...DEFAULT_PRINT_OPTIONS, ...options };
+    const pages = layoutPages(tickets, options);
+    const pdf = new PdfDocument();
+    for (const [index, page] of pages.entries()) {
+        const output = renderPageCanvas(page, dpi);
+        const jpeg = await canvasToBlob(output, 'image/jpeg', 0.95);
+        pdf.addJpegPage({
+            widthMm: page.widthMm,
+            heightMm: page.heightMm,
+            jpeg: new Uint8Array(await jpeg.arrayBuffer()),
+            pixelWidth: output.width,
+            pixelHeight: output.height
+        });
+        onProgress((index + 1) / pages.length);
+    }
+    return pdf.toBlob();
+}
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = url;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function canvasToBlob(output, type, quality) {
+    return new Promise((resolve, reject) => {
+        output.toBlob(blob => {
+            if (blob) resolve(blob);
+            else reject(new Error(`Could not encode ${type}`));
+        }, type, quality);
+    });
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,100 @@
+/**
+ * 2D ticket view for browsers without WebGL.
+ *
+ * Shows copies of the front and back canvases on a card that turns over
+ * with a CSS 3D transform. The card is a button: click, Enter or Space flips
+ * it, and so do F and the left/right arrows, as on the 3D view.
+ */
+
+/**
+ * Create the WebGL renderer, or mount a FlipView over the 2D canvases when it
+ * can't be created.
+ * @param {object} params
+ * @param {() => object|null} params.createRenderer - May throw or return null when there is no WebGL.
+ * @param {HTMLElement} params.container - Where the FlipView goes; the caller places the renderer.
+ * @param {HTMLCanvasElement} params.front
+ * @param {HTMLCanvasElement} params.back
+ * @param {(face: 'front'|'back') => void} [params.onFaceChange]
+ * @returns {{ renderer: object|null, flipView: FlipView|null }} Exactly one is set.
+ */
+export function mountTicketView({ createRenderer, container, front, back, onFaceChange }) {
+    let renderer = null;
+    try {
+        // three.js throws when no WebGL context can be created
+        renderer = createRenderer();
+    } catch (error) {
+        console.warn('WebGL unavailable, showing the 2D ticket:', error);
+    }
+    if (renderer) return { renderer, flipView: null };
+    return { renderer: null, flipView: new FlipView({ container, front, back, onFaceChange }) };
+}
+
+export class FlipView {
+    /**
+     * @param {object} params
+     * @param {HTMLElement} params.container
+     * @param {HTMLCanvasElement} params.front - Front face canvas, copied on refresh().
+     * @param {HTMLCanvasElement} params.back
+     * @param {(face: 'front'|'back') => void} [params.onFaceChange]
+     */
+    constructor({ container, front, back, onFaceChange = () => {} }) {
+        this.front = front;
+        this.back = back;
+        this.onFaceChange = onFaceChange;
+        this.face = 'front';
+
+        // Copies, so the source canvases can still move into the editors
+        this.frontCopy = createFace(front, 'flip-face flip-front');
+        this.backCopy = createFace(back, 'flip-face flip-back');
+
+        this.card = document.createElement('div');
+        this.card.className = 'flip-card';
+        this.card.style.aspectRatio = `${front.width} / ${front.height}`;
+        this.card.append(this.frontCopy, this.backCopy);
+
+        this.element = document.createElement('button');
+        this.element.type = 'button';
+        this.element.className = 'flip-view';
+        this.element.appendChild(this.card);
+        this.updateLabel();
+        container.appendChild(this.element);
+
+        this.element.addEventListener('click', () => this.flip());
+        this.element.addEventListener('keydown', (event) => {
+            if (!['f', 'F', 'ArrowLeft', 'ArrowRight'].includes(event.key)) return;
+            event.preventDefault();
+            this.flip();
+        });
+    }
+
+    /**
+     * Copy the current faces in. Call after redrawing either canvas.
+     */
+    refresh() {
+        [[this.front, this.frontCopy], [this.back, this.backCopy]].forEach(([source, copy]) => {
+            const context = copy.getContext('2d');
+            context.clearRect(0, 0, copy.width, copy.height);
+            context.drawImage(source, 0, 0);
+        });
+    }
+
+    flip() {
+        this.face = this.face === 'front' ? 'back' : 'front';
+        this.card.classList.toggle('flipped', this.face === 'back');
+        this.updateLabel();
+        this.onFaceChange(this.face);
+    }
+
+    updateLabel() {
+        this.element.setAttribute('aria-label', `Ticket, showing the ${this.face}. Press to flip it over.`);
+    }
+}
+
+function createFace(source, className) {
+    const face = document.createElement('canvas');
+    face.width = source.width;
+    face.height = source.height;
+    face.className = className;
+    face.setAttribute('aria-hidden', 'true');
+    return face;
+}
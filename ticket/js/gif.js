@@ -0,0 +1,294 @@
+/**
+ * Animated GIF (GIF89a) encoder.
+ *
+ * Frames share one global palette built with median cut from sample frames,
+ * which suits a turntable clip: the colors barely change between frames and
+ * a shared palette avoids flicker.
+ */
+
+const MAX_CODE = 4096;
+
+/**
+ * Build a 256-color palette from RGBA sample frames.
+ * @param {Uint8ClampedArray[]} samples - RGBA pixel arrays (ImageData.data).
+ * @returns {{ palette: Uint8Array, indexPixels: (rgba: Uint8ClampedArray) => Uint8Array }}
+ */
+export function createQuantizer(samples, maxColors = 256) {
+    // 15-bit color histogram
+    const histogram = new Uint32Array(32768);
+    samples.forEach(rgba => {
+        for (let i = 0; i < rgba.length; i += 4) {
+            histogram[((rgba[i] >> 3) << 10) | ((rgba[i + 1] >> 3) << 5) | (rgba[i + 2] >> 3)]++;
+        }
+    });
+
+    const colors = [];
+    histogram.forEach((count, key) => {
+        if (count > 0) colors.push(key);
+    });
+
+    const boxes = [colors];
+    while (boxes.length < maxColors) {
+        // Split the box with the widest channel range (weighted by population)
+        let best = -1;
+        let bestScore = 0;
+        let bestChannel = 0;
+        boxes.forEach((box, i) => {
+            if (box.length < 2) return;
+            const { channel, range } = widestChannel(box);
+            const population = box.reduce((sum, key) => sum + histogram[key], 0);
+            const score = range * Math.sqrt(population);
+            if (score > bestScore) {
+                best = i;
+                bestScore = score;
+                bestChannel = channel;
+            }
+        });
+        if (best < 0) break;
+
+        const box = boxes[best].sort((a, b) => channelOf(a, bestChannel) - channelOf(b, bestChannel));
+        const half = box.reduce((sum, key) => sum + histogram[key], 0) / 2;
+        let running = 0;
+        let split = 1;
+        for (; split < box.length - 1; split++) {
+            running += histogram[box[split - 1]];
+            if (running >= half) break;
+        }
+        boxes.splice(best, 1, box.slice(0, split), box.slice(split));
+    }
+
+    // Palette entries are the population-weighted average of each box
+    const palette = new Uint8Array(maxColors * 3);
+    boxes.forEach((box, i) => {
+        let r = 0, g = 0, b = 0, total = 0;
+        box.forEach(key => {
+            const count = histogram[key];
+            r += ((key >> 10) & 31) * count;
+            g += ((key >> 5) & 31) * count;
+            b += (key & 31) * count;
+            total += count;
+        });
+        palette[i * 3] = Math.round(r / total * 255 / 31);
+        palette[i * 3 + 1] = Math.round(g / total * 255 / 31);
+        palette[i * 3 + 2] = Math.round(b / total * 255 / 31);
+    });
+    const paletteSize = Math.max(1, boxes.length);
+
+    // Nearest-color lookup, filled lazily per 15-bit color
+    const lookup = new Int16Array(32768).fill(-1);
+    const nearest = (key) => {
+        const r = ((key >> 10) & 31) * 255 / 31;
+        const g = ((key >> 5) & 31) * 255 / 31;
+        const b = (key & 31) * 255 / 31;
+        let bestIndex = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < paletteSize; i++) {
+            const dr = palette[i * 3] - r;
+            const dg = palette[i * 3 + 1] - g;
+            const db = palette[i * 3 + 2] - b;
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = i;
+            }
+        }
+        return bestIndex;
+    };
+
+    const indexPixels = (rgba) => {
+        const indexed = new Uint8Array(rgba.length / 4);
+        for (let i = 0, p = 0; i < rgba.length; i += 4, p++) {
+            const key = ((rgba[i] >> 3) << 10) | ((rgba[i + 1] >> 3) << 5) | (rgba[i + 2] >> 3);
+            if (lookup[key] < 0) lookup[key] = nearest(key);
+            indexed[p] = lookup[key];
+        }
+        return indexed;
+    };
+
+    return { palette, indexPixels };
+}
+
+function channelOf(key, channel) {
+    return (key >> (10 - channel * 5)) & 31;
+}
+
+function widestChannel(box) {
+    let channel = 0;
+    let range = -1;
+    for (let c = 0; c < 3; c++) {
+        let min = 31, max = 0;
+        box.forEach(key => {
+            const value = channelOf(key, c);
+            if (value < min) min = value;
+            if (value > max) max = value;
+        });
+        if (max - min > range) {
+            range = max - min;
+            channel = c;
+        }
+    }
+    return { channel, range };
+}
+
+export class GifEncoder {
+    /**
+     * @param {number} width
+     * @param {number} height
+     * @param {Uint8Array} palette - 256 RGB triplets.
+     * @param {object} [options]
+     * @param {number} [options.loop=0] - Repeat count, 0 = forever.
+     */
+    constructor(width, height, palette, { loop = 0 } = {}) {
+        this.width = width;
+        this.height = height;
+        this.chunks = [];
+
+        const header = new ByteWriter();
+        header.writeString('GIF89a');
+        header.writeUint16(width);
+        header.writeUint16(height);
+        header.writeByte(0xF7); // Global color table, 8 bits/channel, 256 entries
+        header.writeByte(0); // Background color index
+        header.writeByte(0); // Square pixels
+        header.writeBytes(palette);
+
+        // NETSCAPE2.0 looping extension
+        header.writeBytes([0x21, 0xFF, 0x0B]);
+        header.writeString('NETSCAPE2.0');
+        header.writeBytes([0x03, 0x01]);
+        header.writeUint16(loop);
+        header.writeByte(0);
+
+        this.chunks.push(header.toBytes());
+    }
+
+    /**
+     * @param {Uint8Array} indexedPixels - One palette index per pixel.
+     * @param {number} delayCs - Frame duration in hundredths of a second.
+     */
+    addFrame(indexedPixels, delayCs) {
+        const frame = new ByteWriter();
+
+        // Graphic control extension
+        frame.writeBytes([0x21, 0xF9, 0x04, 0x00]);
+        frame.writeUint16(delayCs);
+        frame.writeBytes([0x00, 0x00]);
+
+        // Image descriptor, full frame, no local palette
+        frame.writeByte(0x2C);
+        frame.writeUint16(0);
+        frame.writeUint16(0);
+        frame.writeUint16(this.width);
+        frame.writeUint16(this.height);
+        frame.writeByte(0);
+
+        frame.writeByte(8); // LZW minimum code size
+        const data = lzwEncode(indexedPixels, 8);
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.subarray(i, i + 255);
+            frame.writeByte(block.length);
+            frame.writeBytes(block);
+        }
+        frame.writeByte(0);
+
+        this.chunks.push(frame.toBytes());
+    }
+
+    /**
+     * @returns {Blob}
+     */
+    finish() {
+        return new Blob([...this.chunks, new Uint8Array([0x3B])], { type: 'image/gif' });
+    }
+}
+
+function lzwEncode(pixels, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = new ByteWriter();
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            output.writeByte(bitBuffer & 0xFF);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = pixels[0];
+    for (let i = 1; i < pixels.length; i++) {
+        const pixel = pixels[i];
+        const key = (prefix << 8) | pixel;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === MAX_CODE) {
+            // Table full: start over
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = pixel;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) output.writeByte(bitBuffer & 0xFF);
+
+    return output.toBytes();
+}
+
+class ByteWriter {
+    constructor() {
+        this.buffer = new Uint8Array(1024);
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.buffer.length) return;
+        let size = this.buffer.length * 2;
+        while (size < this.length + extra) size *= 2;
+        const next = new Uint8Array(size);
+        next.set(this.buffer.subarray(0, this.length));
+        this.buffer = next;
+    }
+
+    writeByte(value) {
+        this.ensure(1);
+        this.buffer[this.length++] = value;
+    }
+
+    writeUint16(value) {
+        this.writeByte(value & 0xFF);
+        this.writeByte((value >> 8) & 0xFF);
+    }
+
+    writeBytes(bytes) {
+        this.ensure(bytes.length);
+        this.buffer.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    writeString(text) {
+        for (let i = 0; i < text.length; i++) this.writeByte(text.charCodeAt(i));
+    }
+
+    toBytes() {
+        return this.buffer.slice(0, this.length);
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * Guest lists for batch ticket printing.
+ *
+ * CSV: one guest per row. With a header row, columns are matched by name
+ * (name, artwork, time); without one they are taken in that order.
+ *
+ *     name,artwork,time
+ *     김하은,just-vibe,2026-01-22T19:00
+ *     Alex Kim,,
+ *
+ * JSON: an array of names, or of { name, artwork?, time? } objects.
+ *
+ * artwork and time are optional; the caller fills in the page's artwork and
+ * the batch start time. time is epoch milliseconds (as in ?t=) or any string
+ * Date can parse, between 1970 and 3058 (what a ticket serial can hold).
+ */
+
+import { isSerialTime } from './serial.js';
+
+/**
+ * @typedef {object} Guest
+ * @property {number} line - 1-based row (CSV) or item (JSON) number, for messages.
+ * @property {string} name
+ * @property {string|null} artworkId
+ * @property {Date|null} enterTime
+ */
+
+const COLUMN_ALIASES = {
+    name: ['name', 'guest', '이름'],
+    artwork: ['artwork', 'artwork_id', 'artworkid', 'id'],
+    time: ['time', 't', 'timestamp', 'enter_time', 'entertime']
+};
+
+/**
+ * @param {string} text - File contents.
+ * @param {string} [filename] - Used to tell JSON from CSV; sniffed otherwise.
+ * @returns {{ guests: Guest[], errors: { line: number, message: string }[] }}
+ */
+export function parseGuestList(text, filename = '') {
+    text = text.replace(/^\uFEFF/, '');
+    const isJson = /\.json$/i.test(filename) || /^\s*[[{]/.test(text);
+    const rows = isJson ? jsonRows(text) : csvRows(text);
+
+    const guests = [];
+    const errors = [];
+    rows.forEach(({ line, name, artwork, time }) => {
+        const trimmedName = String(name ?? '').replace(/\s+/g, ' ').trim();
+        if (!trimmedName) {
+            errors.push({ line, message: 'missing name' });
+            return;
+        }
+        const enterTime = parseTime(time);
+        if (enterTime === undefined) {
+            errors.push({ line, message: `unreadable time "${time}"` });
+            return;
+        }
+        if (enterTime && !isSerialTime(enterTime)) {
+            errors.push({ line, message: `time out of range "${time}" (1970 to 3058)` });
+            return;
+        }
+        const artworkId = String(artwork ?? '').trim() || null;
+        guests.push({ line, name: trimmedName, artworkId, enterTime });
+    });
+    return { guests, errors };
+}
+
+function jsonRows(text) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) throw new Error('Guest list JSON must be an array');
+    return data.map((item, i) => {
+        const line = i + 1;
+        if (typeof item === 'string') return { line, name: item };
+        if (item && typeof item === 'object') return { line, name: item.name, artwork: item.artwork, time: item.time };
+        return { line, name: '' };
+    });
+}
+
+function csvRows(text) {
+    const records = parseCsv(text);
+    if (records.length === 0) return [];
+
+    // A header row is recognized by a cell naming the name column
+    const header = records[0].cells.map(cell => cell.trim().toLowerCase());
+    const hasHeader = header.some(cell => COLUMN_ALIASES.name.includes(cell));
+    const columnOf = (key, fallback) => {
+        if (!hasHeader) return fallback;
+        const index = header.findIndex(cell => COLUMN_ALIASES[key].includes(cell));
+        return index >= 0 ? index : -1;
+    };
+    const nameColumn = columnOf('name', 0);
+    const artworkColumn = columnOf('artwork', 1);
+    const timeColumn = columnOf('time', 2);
+
+    return records
+        .slice(hasHeader ? 1 : 0)
+        .filter(({ cells }) => cells.some(cell => cell.trim() !== ''))
+        .map(({ line, cells }) => ({
+            line,
+            name: cells[nameColumn],
+            artwork: artworkColumn >= 0 ? cells[artworkColumn] : null,
+            time: timeColumn >= 0 ? cells[timeColumn] : null
+        }));
+}
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and newlines.
+// Semicolon-separated files (spreadsheet exports in some locales) are sniffed
+// from the first line.
+function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            cells.push(cell);
+            records.push({ line: recordLine, cells });
+            cells = [];
+            cell = '';
+            line++;
+            recordLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || cells.length > 0) {
+        cells.push(cell);
+        records.push({ line: recordLine, cells });
+    }
+    return records;
+}
+
+// null when absent, undefined when present but unreadable
+function parseTime(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const text = String(value).trim();
+    // Numbers, negative ones included, are epoch ms: Date would read "-5000" as a year
+    const date = /^-?\d+$/.test(text) ? new Date(Number(text)) : new Date(text);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+}
@@ -0,0 +1,113 @@
+/**
+ * Keyboard controls for the 3D ticket.
+ *
+ * Arrow keys turn the ticket, + and - zoom the camera, F flips the ticket
+ * over. Turns ease toward their target so a held key reads as a smooth spin.
+ * Also reports which face is towards the camera, whichever way the ticket
+ * got turned (keys, orbit drag), for the page's screen-reader description.
+ */
+
+import * as THREE from 'three';
+
+const TURN_STEP = Math.PI / 12;
+const MAX_TILT = Math.PI / 3;
+const ZOOM_STEP = 1.15;
+const MIN_DISTANCE = 2;
+const MAX_DISTANCE = 12;
+const EASING = 10; // per second
+
+export class KeyboardView {
+    /**
+     * @param {object} params
+     * @param {HTMLElement} params.element - Focusable element that receives the keys.
+     * @param {THREE.Camera} params.camera
+     * @param {{ target: THREE.Vector3 }} params.controls - Zoom moves along the camera-target line.
+     * @param {() => THREE.Object3D|null} params.getMesh - The ticket, once it exists.
+     * @param {(face: 'front'|'back') => void} [params.onFaceChange]
+     */
+    constructor({ element, camera, controls, getMesh, onFaceChange = () => {} }) {
+        this.camera = camera;
+        this.controls = controls;
+        this.getMesh = getMesh;
+        this.onFaceChange = onFaceChange;
+        this.target = null; // rotation being eased toward, once a key was used
+        this.face = 'front';
+        this.lastTime = null;
+
+        element.addEventListener('keydown', (event) => this.handleKeyDown(event));
+    }
+
+    handleKeyDown(event) {
+        const mesh = this.getMesh();
+        if (!mesh || event.altKey || event.ctrlKey || event.metaKey) return;
+
+        // Keys build on where the last one was heading, not where the ease is now
+        if (!this.target) this.target = { x: mesh.rotation.x, y: mesh.rotation.y };
+        switch (event.key) {
+            case 'ArrowLeft':
+                this.target.y -= TURN_STEP;
+                break;
+            case 'ArrowRight':
+                this.target.y += TURN_STEP;
+                break;
+            case 'ArrowUp':
+                this.target.x = Math.max(-MAX_TILT, this.target.x - TURN_STEP);
+                break;
+            case 'ArrowDown':
+                this.target.x = Math.min(MAX_TILT, this.target.x + TURN_STEP);
+                break;
+            case 'f':
+            case 'F':
+                this.target.y += Math.PI;
+                break;
+            case '+':
+            case '=':
+                this.zoom(1 / ZOOM_STEP);
+                break;
+            case '-':
+            case '_':
+                this.zoom(ZOOM_STEP);
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+
+    zoom(factor) {
+        const offset = this.camera.position.clone().sub(this.controls.target);
+        offset.setLength(Math.min(MAX_DISTANCE, Math.max(MIN_DISTANCE, offset.length() * factor)));
+        this.camera.position.copy(this.controls.target).add(offset);
+    }
+
+    /**
+     * Ease toward the keyed rotation and check which face shows. Call once per frame.
+     * @param {number} time - performance.now() milliseconds.
+     */
+    update(time) {
+        const dt = this.lastTime === null ? 0 : Math.min(0.1, (time - this.lastTime) / 1000);
+        this.lastTime = time;
+        const mesh = this.getMesh();
+        if (!mesh) return;
+
+        if (this.target) {
+            const ease = 1 - Math.exp(-EASING * dt);
+            mesh.rotation.x += (this.target.x - mesh.rotation.x) * ease;
+            mesh.rotation.y += (this.target.y - mesh.rotation.y) * ease;
+            if (Math.abs(this.target.x - mesh.rotation.x) < 1e-4 && Math.abs(this.target.y - mesh.rotation.y) < 1e-4) {
+                mesh.rotation.x = this.target.x;
+                mesh.rotation.y = this.target.y;
+                this.target = null;
+            }
+        }
+
+        // Front face normal is the mesh's +Z
+        const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(mesh.quaternion);
+        const toCamera = this.camera.position.clone().sub(mesh.position);
+        const face = normal.dot(toCamera) >= 0 ? 'front' : 'back';
+        if (face !== this.face) {
+            this.face = face;
+            this.onFaceChange(face);
+        }
+    }
+}
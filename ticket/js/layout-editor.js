@@ -0,0 +1,308 @@
+/**
+ * Layout editor: move, resize and restyle the front-face slots on the 2D
+ * ticket canvas.
+ *
+ * The editor owns an overlay canvas stacked on the ticket canvas. It draws
+ * slot outlines there and turns pointer and keyboard input into edits of a
+ * layout template (see layouts.js); the caller redraws the ticket from that
+ * layout on every change. Slot properties are also editable through a form
+ * whose fields are named after them.
+ *
+ * Dragging a slot moves it. Dragging the handle at its bottom-right corner
+ * resizes it: text scales its font size (and box width, when fitted), the
+ * poster its radius, the QR code its size. Arrow keys nudge the selected
+ * slot by one unit, or ten with Shift.
+ */
+
+import { CANVAS_WIDTH, CANVAS_HEIGHT, getSlotBounds } from './render.js';
+import { cloneLayout } from './layouts.js';
+
+const TEXT_SLOTS = ['title', 'name', 'timestamp', 'serial', 'footer'];
+// Hit-test order: small slots first, so text over the poster stays reachable
+const SLOT_ORDER = ['serial', 'timestamp', 'name', 'title', 'footer', 'qr', 'poster'];
+const HANDLE_SIZE = 14;
+const MIN_TEXT_SIZE = 6;
+const MAX_TEXT_SIZE = 200;
+const MIN_BOX = 10;
+const ACCENT = '#00a2ff';
+
+// Form fields shown for each kind of slot
+const FIELDS = {
+    text: ['x', 'y', 'size', 'width', 'maxLines', 'align', 'weight', 'font', 'visible'],
+    footer: ['x', 'y', 'size', 'align', 'weight', 'font', 'visible', 'footerLines'],
+    poster: ['x', 'y', 'radius', 'shape', 'cornerRadius', 'visible'],
+    qr: ['x', 'y', 'size', 'visible']
+};
+
+export class LayoutEditor {
+    /**
+     * @param {object} params
+     * @param {HTMLElement} params.stage - Holds the ticket canvas; the overlay is added on top.
+     * @param {HTMLFormElement} params.form - Slot picker and property fields.
+     * @param {() => import('./render.js').TicketState} params.getTicket - Current ticket, for measuring text.
+     * @param {(layout: object) => void} params.onChange - Redraw the ticket from the edited layout.
+     */
+    constructor({ stage, form, getTicket, onChange }) {
+        this.stage = stage;
+        this.form = form;
+        this.getTicket = getTicket;
+        this.onChange = onChange;
+        this.layout = null;
+        this.selected = 'name';
+        this.drag = null;
+
+        this.overlay = document.createElement('canvas');
+        this.overlay.width = CANVAS_WIDTH;
+        this.overlay.height = CANVAS_HEIGHT;
+        this.overlay.className = 'layout-overlay';
+        this.overlay.tabIndex = 0;
+        this.overlay.setAttribute('aria-label', 'Ticket layout. Drag slots to move them, arrow keys to nudge the selected slot.');
+        this.context = this.overlay.getContext('2d');
+        stage.appendChild(this.overlay);
+
+        this.overlay.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+        this.overlay.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+        this.overlay.addEventListener('pointerup', (event) => this.handlePointerUp(event));
+        this.overlay.addEventListener('pointercancel', (event) => this.handlePointerUp(event));
+        this.overlay.addEventListener('keydown', (event) => this.handleKeyDown(event));
+        form.addEventListener('input', (event) => this.handleFormInput(event));
+        form.addEventListener('submit', (event) => event.preventDefault());
+    }
+
+    /**
+     * Start editing a copy of `layout`.
+     * @param {object} layout - Must list every slot (see layoutFromTheme()).
+     */
+    open(layout) {
+        this.layout = cloneLayout(layout);
+        this.select(this.selected);
+    }
+
+    close() {
+        this.drag = null;
+        this.layout = null;
+    }
+
+    /**
+     * @param {string} key - Slot name.
+     */
+    select(key) {
+        this.selected = key;
+        this.syncForm();
+        this.refresh();
+    }
+
+    /**
+     * Redraw the outlines, e.g. after the ticket text changed size.
+     */
+    refresh() {
+        if (!this.layout) return;
+        const { context } = this;
+        const bounds = this.getBounds();
+        context.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+        context.save();
+        context.lineWidth = 2;
+        context.font = '12px "Share Tech Mono", monospace';
+        context.textBaseline = 'bottom';
+
+        SLOT_ORDER.forEach(key => {
+            const box = bounds[key];
+            if (!box) return;
+            const selected = key === this.selected;
+            context.strokeStyle = selected ? ACCENT : 'rgba(0, 162, 255, 0.45)';
+            context.setLineDash(selected ? [] : [6, 4]);
+            context.strokeRect(box.x, box.y, box.width, box.height);
+            if (selected) {
+                const handle = handleRect(box);
+                context.fillStyle = ACCENT;
+                context.fillRect(handle.x, handle.y, handle.width, handle.height);
+                context.fillText(key, box.x, box.y - 2);
+            }
+        });
+        context.restore();
+    }
+
+    // Bounds in layout units, with hidden slots kept grabbable at their last spot
+    getBounds() {
+        const visibleLayout = cloneLayout(this.layout);
+        Object.values(visibleLayout.slots).forEach(slot => { slot.visible = true; });
+        if (!visibleLayout.footerLines || visibleLayout.footerLines.length === 0) {
+            visibleLayout.footerLines = ['FOOTER'];
+        }
+        return getSlotBounds(this.context, { ...this.getTicket(), layout: visibleLayout });
+    }
+
+    hitTest(point) {
+        const bounds = this.getBounds();
+        const selectedBox = bounds[this.selected];
+        if (selectedBox && contains(handleRect(selectedBox), point)) {
+            return { key: this.selected, mode: 'resize' };
+        }
+        const key = SLOT_ORDER.find(slot => bounds[slot] && contains(bounds[slot], point));
+        return key ? { key, mode: 'move' } : null;
+    }
+
+    handlePointerDown(event) {
+        if (!this.layout || event.button !== 0) return;
+        const point = this.toLayoutPoint(event);
+        const hit = this.hitTest(point);
+        if (!hit) return;
+
+        event.preventDefault();
+        this.overlay.focus();
+        this.overlay.setPointerCapture(event.pointerId);
+        if (hit.key !== this.selected) this.select(hit.key);
+        this.drag = {
+            pointerId: event.pointerId,
+            mode: hit.mode,
+            start: point,
+            slot: { ...this.layout.slots[hit.key] }
+        };
+    }
+
+    handlePointerMove(event) {
+        if (!this.layout) return;
+        const point = this.toLayoutPoint(event);
+        if (!this.drag || this.drag.pointerId !== event.pointerId) {
+            const hit = this.hitTest(point);
+            this.overlay.style.cursor = hit ? (hit.mode === 'resize' ? 'nwse-resize' : 'move') : '';
+            return;
+        }
+
+        const dx = point.x - this.drag.start.x;
+        const dy = point.y - this.drag.start.y;
+        const start = this.drag.slot;
+        const slot = this.layout.slots[this.selected];
+
+        if (this.drag.mode === 'move') {
+            slot.x = clamp(Math.round(start.x + dx), 0, CANVAS_WIDTH);
+            slot.y = clamp(Math.round(start.y + dy), 0, CANVAS_HEIGHT);
+        } else {
+            resizeSlot(this.selected, slot, start, dx, dy);
+        }
+        this.syncForm();
+        this.change();
+    }
+
+    handlePointerUp(event) {
+        if (this.drag && this.drag.pointerId === event.pointerId) this.drag = null;
+    }
+
+    handleKeyDown(event) {
+        const steps = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        if (!this.layout || !steps[event.key]) return;
+        event.preventDefault();
+        const distance = event.shiftKey ? 10 : 1;
+        const slot = this.layout.slots[this.selected];
+        slot.x = clamp(slot.x + steps[event.key][0] * distance, 0, CANVAS_WIDTH);
+        slot.y = clamp(slot.y + steps[event.key][1] * distance, 0, CANVAS_HEIGHT);
+        this.syncForm();
+        this.change();
+    }
+
+    handleFormInput(event) {
+        if (!this.layout) return;
+        const field = event.target;
+        if (!field.name) return;
+        if (field.name === 'slot') {
+            this.select(field.value);
+            return;
+        }
+
+        const slot = this.layout.slots[this.selected];
+        if (field.name === 'footerLines') {
+            this.layout.footerLines = field.value.split('\n').slice(0, 4);
+        } else if (field.name === 'visible') {
+            slot.visible = field.checked;
+        } else if (field.type === 'number') {
+            if (field.value === '') {
+                // An empty width turns fitting off; other numbers are required
+                if (field.name === 'width') delete slot.width;
+                else return;
+            } else if (field.validity.valid) {
+                slot[field.name] = Number(field.value);
+                if (field.name === 'size' && slot.minSize > slot.size) slot.minSize = slot.size;
+            } else {
+                return;
+            }
+        } else {
+            slot[field.name] = field.value;
+        }
+        this.change();
+    }
+
+    // Show the selected slot's properties; fields it doesn't have are hidden
+    syncForm() {
+        if (!this.layout) return;
+        const key = this.selected;
+        const slot = this.layout.slots[key];
+        const kind = key === 'footer' ? 'footer' : TEXT_SLOTS.includes(key) ? 'text' : key;
+        const elements = this.form.elements;
+
+        elements.slot.value = key;
+        Object.keys(FIELDS).flatMap(name => FIELDS[name])
+            .filter((name, i, names) => names.indexOf(name) === i)
+            .forEach(name => {
+                const field = elements[name];
+                if (!field) return;
+                const shown = FIELDS[kind].includes(name);
+                (field.closest('label') || field).hidden = !shown;
+                if (!shown || field === document.activeElement) return;
+
+                if (name === 'footerLines') field.value = (this.layout.footerLines || []).join('\n');
+                else if (name === 'visible') field.checked = slot.visible !== false;
+                else field.value = slot[name] === undefined ? '' : slot[name];
+            });
+    }
+
+    change() {
+        this.onChange(this.layout);
+        this.refresh();
+    }
+
+    toLayoutPoint(event) {
+        const rect = this.overlay.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * CANVAS_WIDTH / rect.width,
+            y: (event.clientY - rect.top) * CANVAS_HEIGHT / rect.height
+        };
+    }
+}
+
+// Resize from the bottom-right handle, relative to the slot at drag start
+function resizeSlot(key, slot, start, dx, dy) {
+    const delta = (dx + dy) / 2;
+    if (key === 'poster') {
+        // Centered: the corner moves by the change in radius
+        slot.radius = Math.max(MIN_BOX, Math.round(start.radius + delta));
+    } else if (key === 'qr') {
+        slot.size = Math.max(MIN_BOX, Math.round(start.size + delta));
+    } else {
+        const scale = start.width
+            ? (start.width + dx) / start.width
+            : (start.size + dy) / start.size;
+        slot.size = clamp(Math.round(start.size * scale), MIN_TEXT_SIZE, MAX_TEXT_SIZE);
+        const applied = slot.size / start.size;
+        if (start.width) slot.width = Math.max(MIN_BOX, Math.round(start.width * applied));
+        if (start.lineHeight) slot.lineHeight = Math.round(start.lineHeight * applied);
+        if (start.minSize) slot.minSize = Math.min(start.minSize, slot.size);
+    }
+}
+
+function handleRect(box) {
+    return {
+        x: box.x + box.width - HANDLE_SIZE / 2,
+        y: box.y + box.height - HANDLE_SIZE / 2,
+        width: HANDLE_SIZE,
+        height: HANDLE_SIZE
+    };
+}
+
+function contains(box, point) {
+    return point.x >= box.x && point.x <= box.x + box.width
+        && point.y >= box.y && point.y <= box.y + box.height;
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
@@ -0,0 +1,93 @@
+/**
+ * Ticket layout templates.
+ *
+ * A layout is a named set of front-face slots plus footer lines (see the
+ * `layout` definition in /data/artworks.schema.json), applied over the
+ * artwork's theme by resolveTheme(). Curated templates ship in
+ * data/layouts.json; ones made in the layout editor are kept in localStorage
+ * and export to JSON in the same `{ id: layout }` shape, ready to paste into
+ * that file.
+ */
+
+const STORAGE_KEY = 'mediaart-ticket-layouts';
+
+/**
+ * Snapshot a resolved theme as a layout, so editing starts from what the
+ * ticket currently shows.
+ * @param {ReturnType<import('./theme.js').resolveTheme>} theme
+ * @param {string} name
+ */
+export function layoutFromTheme(theme, name) {
+    return cloneLayout({ name, slots: theme.slots, footerLines: theme.footerLines });
+}
+
+/**
+ * Deep copy, so editing a template never touches the catalog's copy.
+ */
+export function cloneLayout(layout) {
+    return JSON.parse(JSON.stringify(layout));
+}
+
+/**
+ * Kebab-case id for a layout name, matching the catalog's id pattern.
+ * Names with no Latin letters or digits (e.g. all Hangul) get a dated id.
+ * @param {string} name
+ * @param {Date} [now]
+ */
+export function layoutId(name, now = new Date()) {
+    const slug = name
+        .normalize('NFKD')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40)
+        .replace(/-+$/, '');
+    return slug || `layout-${now.getTime().toString(36)}`;
+}
+
+/**
+ * Layouts saved in this browser, keyed by id. Unreadable storage (private
+ * browsing, corrupt JSON) reads as empty.
+ * @returns {Object<string, object>}
+ */
+export function loadSavedLayouts() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    } catch (error) {
+        console.warn('Could not read saved ticket layouts:', error);
+        return {};
+    }
+}
+
+/**
+ * Add or replace a saved layout.
+ * @param {string} id
+ * @param {object} layout
+ * @throws {Error} When storage is full or unavailable.
+ */
+export function saveLayout(id, layout) {
+    const saved = loadSavedLayouts();
+    saved[id] = cloneLayout(layout);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+}
+
+/**
+ * @param {string} id
+ */
+export function removeSavedLayout(id) {
+    const saved = loadSavedLayouts();
+    delete saved[id];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+}
+
+/**
+ * One layout as a layouts.json fragment.
+ * @param {string} id
+ * @param {object} layout
+ * @returns {Blob}
+ */
+export function exportLayout(id, layout) {
+    const json = JSON.stringify({ [id]: layout }, null, 4);
+    return new Blob([`${json}\n`], { type: 'application/json' });
+}
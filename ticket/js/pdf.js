@@ -0,0 +1,100 @@
+/**
+ * Minimal PDF writer: one full-bleed JPEG image per page.
+ *
+ * That is all a print shop needs for the ticket (the faces are rendered at the
+ * requested DPI beforehand), and it keeps the export fully client-side.
+ */
+
+const MM_PER_INCH = 25.4;
+const POINTS_PER_INCH = 72;
+
+export function mmToPoints(mm) {
+    return mm / MM_PER_INCH * POINTS_PER_INCH;
+}
+
+export class PdfDocument {
+    constructor() {
+        this.pages = [];
+    }
+
+    /**
+     * Add a page showing a JPEG edge to edge.
+     * @param {object} page
+     * @param {number} page.widthMm - Physical page width.
+     * @param {number} page.heightMm - Physical page height.
+     * @param {Uint8Array} page.jpeg - Baseline JPEG bytes.
+     * @param {number} page.pixelWidth - JPEG width in pixels.
+     * @param {number} page.pixelHeight - JPEG height in pixels.
+     */
+    addJpegPage({ widthMm, heightMm, jpeg, pixelWidth, pixelHeight }) {
+        this.pages.push({ widthMm, heightMm, jpeg, pixelWidth, pixelHeight });
+    }
+
+    /**
+     * Serialize the document.
+     * @returns {Blob}
+     */
+    toBlob() {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const offsets = [];
+        let length = 0;
+
+        const write = (chunk) => {
+            const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+            parts.push(bytes);
+            length += bytes.length;
+        };
+        const beginObject = (id) => {
+            offsets[id] = length;
+            write(`${id} 0 obj\n`);
+        };
+
+        // Object ids: 1 catalog, 2 page tree, then (page, content, image) per page
+        const pageIds = this.pages.map((_, i) => 3 + i * 3);
+
+        write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+
+        beginObject(1);
+        write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+        beginObject(2);
+        write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>\nendobj\n`);
+
+        this.pages.forEach((page, i) => {
+            const pageId = pageIds[i];
+            const contentId = pageId + 1;
+            const imageId = pageId + 2;
+            const width = round(mmToPoints(page.widthMm));
+            const height = round(mmToPoints(page.heightMm));
+            const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q\n`;
+
+            beginObject(pageId);
+            write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+                `/Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>\nendobj\n`);
+
+            beginObject(contentId);
+            write(`<< /Length ${content.length} >>\nstream\n${content}endstream\nendobj\n`);
+
+            beginObject(imageId);
+            write(`<< /Type /XObject /Subtype /Image /Width ${page.pixelWidth} /Height ${page.pixelHeight} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+            write(page.jpeg);
+            write('\nendstream\nendobj\n');
+        });
+
+        const objectCount = 3 + this.pages.length * 3;
+        const xrefOffset = length;
+        write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+        for (let id = 1; id < objectCount; id++) {
+            write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        }
+        write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,209 @@
+/**
+ * Poster crop tool: pan and zoom the poster inside its mask on the 2D ticket
+ * canvas, before downloading.
+ *
+ * Like the layout editor, it owns an overlay canvas stacked on the ticket
+ * canvas. The overlay dims everything outside the mask; dragging pans the
+ * poster, the wheel or a two-finger pinch zooms it. Arrow keys pan, + and -
+ * zoom. Edits are a crop ({ focusX, focusY, zoom }, see getPosterRect())
+ * that the caller puts on the TicketState as posterCrop and redraws.
+ */
+
+import { CANVAS_WIDTH, CANVAS_HEIGHT, getPosterRect, tracePosterMask } from './render.js';
+import { resolveTheme } from './theme.js';
+
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 4;
+const KEY_PAN_STEP = 0.02; // of the focal range
+const KEY_ZOOM_STEP = 1.1;
+const ACCENT = '#00a2ff';
+
+export class PosterCropper {
+    /**
+     * @param {object} params
+     * @param {HTMLElement} params.stage - Holds the ticket canvas; the overlay is added on top.
+     * @param {HTMLInputElement} params.zoomInput - Range input kept in sync with the zoom.
+     * @param {() => import('./render.js').TicketState} params.getTicket
+     * @param {(crop: { focusX: number, focusY: number, zoom: number }) => void} params.onChange
+     */
+    constructor({ stage, zoomInput, getTicket, onChange }) {
+        this.zoomInput = zoomInput;
+        this.getTicket = getTicket;
+        this.onChange = onChange;
+        this.crop = null;
+        this.pointers = new Map();
+        this.gesture = null;
+
+        this.overlay = document.createElement('canvas');
+        this.overlay.width = CANVAS_WIDTH;
+        this.overlay.height = CANVAS_HEIGHT;
+        this.overlay.className = 'layout-overlay';
+        this.overlay.tabIndex = 0;
+        this.overlay.setAttribute('aria-label', 'Poster crop. Drag to pan, scroll or pinch to zoom, or use the arrow keys and + and -.');
+        this.context = this.overlay.getContext('2d');
+        stage.appendChild(this.overlay);
+
+        zoomInput.min = String(MIN_ZOOM);
+        zoomInput.max = String(MAX_ZOOM);
+        zoomInput.addEventListener('input', () => {
+            if (this.crop) this.update({ zoom: Number(zoomInput.value) });
+        });
+
+        this.overlay.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+        this.overlay.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+        this.overlay.addEventListener('pointerup', (event) => this.handlePointerUp(event));
+        this.overlay.addEventListener('pointercancel', (event) => this.handlePointerUp(event));
+        this.overlay.addEventListener('wheel', (event) => this.handleWheel(event), { passive: false });
+        this.overlay.addEventListener('keydown', (event) => this.handleKeyDown(event));
+    }
+
+    /**
+     * Start cropping from the ticket's current crop.
+     */
+    open() {
+        const ticket = this.getTicket();
+        this.crop = { ...resolveTheme(ticket.artwork, ticket.layout).poster, ...ticket.posterCrop };
+        this.zoomInput.value = String(this.crop.zoom);
+        this.refresh();
+    }
+
+    close() {
+        this.crop = null;
+        this.pointers.clear();
+        this.gesture = null;
+    }
+
+    /**
+     * Redraw the mask outline, e.g. after the layout moved the poster.
+     */
+    refresh() {
+        if (!this.crop) return;
+        const { context } = this;
+        const { slot } = this.getPoster();
+        context.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+        // Dim everything but the mask
+        context.save();
+        context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        context.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+        context.globalCompositeOperation = 'destination-out';
+        tracePosterMask(context, slot);
+        context.fill();
+        context.restore();
+
+        context.save();
+        context.strokeStyle = ACCENT;
+        context.lineWidth = 2;
+        tracePosterMask(context, slot);
+        context.stroke();
+        context.restore();
+    }
+
+    getPoster() {
+        const ticket = this.getTicket();
+        return { slot: resolveTheme(ticket.artwork, ticket.layout).slots.poster, image: ticket.poster };
+    }
+
+    update(changes) {
+        const crop = { ...this.crop, ...changes };
+        crop.focusX = clamp(crop.focusX, 0, 1);
+        crop.focusY = clamp(crop.focusY, 0, 1);
+        crop.zoom = clamp(crop.zoom, MIN_ZOOM, MAX_ZOOM);
+        this.crop = crop;
+        this.zoomInput.value = String(crop.zoom);
+        this.onChange({ ...crop });
+        this.refresh();
+    }
+
+    // Move the image by (dx, dy) layout units from where `start` had it
+    pan(start, dx, dy) {
+        const { slot, image } = this.getPoster();
+        if (!image || !image.naturalWidth) return;
+        const rect = getPosterRect(image, slot, start);
+        // Focus moves the image across its overflow; an axis without overflow can't pan
+        const overflowX = slot.radius * 2 - rect.width;
+        const overflowY = slot.radius * 2 - rect.height;
+        this.update({
+            focusX: overflowX < 0 ? start.focusX + dx / overflowX : start.focusX,
+            focusY: overflowY < 0 ? start.focusY + dy / overflowY : start.focusY
+        });
+    }
+
+    handlePointerDown(event) {
+        if (!this.crop) return;
+        event.preventDefault();
+        this.overlay.focus();
+        this.overlay.setPointerCapture(event.pointerId);
+        this.pointers.set(event.pointerId, this.toLayoutPoint(event));
+        this.startGesture();
+    }
+
+    handlePointerMove(event) {
+        if (!this.crop || !this.pointers.has(event.pointerId)) return;
+        this.pointers.set(event.pointerId, this.toLayoutPoint(event));
+        const points = [...this.pointers.values()];
+        const { start, center, distance } = this.gesture;
+
+        if (points.length >= 2) {
+            // Pinch: zoom by the change in finger spread
+            this.update({ zoom: start.zoom * distanceBetween(points[0], points[1]) / distance });
+        } else {
+            this.pan(start, points[0].x - center.x, points[0].y - center.y);
+        }
+    }
+
+    handlePointerUp(event) {
+        if (!this.pointers.delete(event.pointerId)) return;
+        // Lifting one finger of a pinch continues as a pan from here
+        if (this.pointers.size > 0) this.startGesture();
+        else this.gesture = null;
+    }
+
+    startGesture() {
+        const points = [...this.pointers.values()];
+        this.gesture = {
+            start: { ...this.crop },
+            center: points[0],
+            distance: points.length >= 2 ? Math.max(1, distanceBetween(points[0], points[1])) : 1
+        };
+    }
+
+    handleWheel(event) {
+        if (!this.crop) return;
+        event.preventDefault();
+        this.update({ zoom: this.crop.zoom * Math.exp(-event.deltaY * 0.002) });
+    }
+
+    handleKeyDown(event) {
+        if (!this.crop) return;
+        const step = event.shiftKey ? KEY_PAN_STEP * 5 : KEY_PAN_STEP;
+        // Arrows move the image, so the focal point moves the other way
+        const moves = { ArrowLeft: [step, 0], ArrowRight: [-step, 0], ArrowUp: [0, step], ArrowDown: [0, -step] };
+        if (moves[event.key]) {
+            this.update({ focusX: this.crop.focusX + moves[event.key][0], focusY: this.crop.focusY + moves[event.key][1] });
+        } else if (event.key === '+' || event.key === '=') {
+            this.update({ zoom: this.crop.zoom * KEY_ZOOM_STEP });
+        } else if (event.key === '-') {
+            this.update({ zoom: this.crop.zoom / KEY_ZOOM_STEP });
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+
+    toLayoutPoint(event) {
+        const rect = this.overlay.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * CANVAS_WIDTH / rect.width,
+            y: (event.clientY - rect.top) * CANVAS_HEIGHT / rect.height
+        };
+    }
+}
+
+function distanceBetween(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
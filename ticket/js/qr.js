@@ -0,0 +1,399 @@
+/**
+ * Minimal QR Code (Model 2) encoder.
+ *
+ * Only byte mode is implemented: ticket payloads are short UTF-8 strings, so
+ * numeric/alphanumeric/kanji segments would not buy us anything. The output is
+ * a plain boolean matrix so the same data can be painted onto the on-screen
+ * canvas, the PNG export or any other 2D surface.
+ *
+ * Based on the structure of the reference algorithm in ISO/IEC 18004.
+ */
+
+// Error correction levels: ordinal (table index) and the 2-bit format value
+const ECC_LEVELS = {
+    L: { ordinal: 0, formatBits: 1 },
+    M: { ordinal: 1, formatBits: 0 },
+    Q: { ordinal: 2, formatBits: 3 },
+    H: { ordinal: 3, formatBits: 2 }
+};
+
+// Indexed by [ecc ordinal][version], version 0 is unused
+const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+const NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+/**
+ * Encode a string as a QR code.
+ * @param {string} text - Payload, encoded as UTF-8 bytes.
+ * @param {object} [options]
+ * @param {'L'|'M'|'Q'|'H'} [options.ecl='M'] - Minimum error correction level.
+ * @returns {{ version: number, size: number, modules: boolean[][] }} modules[y][x], true = dark.
+ */
+export function encodeQR(text, { ecl = 'M' } = {}) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    let level = ECC_LEVELS[ecl];
+    if (!level) throw new Error(`Unknown QR error correction level: ${ecl}`);
+
+    // Pick the smallest version that fits
+    let version = MIN_VERSION;
+    let dataBits;
+    for (; ; version++) {
+        dataBits = getSegmentBits(bytes.length, version);
+        if (dataBits !== null && dataBits <= getNumDataCodewords(version, level) * 8) break;
+        if (version >= MAX_VERSION) throw new Error('QR payload too long');
+    }
+
+    // Use a stronger error correction level for free if it still fits
+    for (const candidate of [ECC_LEVELS.M, ECC_LEVELS.Q, ECC_LEVELS.H]) {
+        if (candidate.ordinal > level.ordinal && dataBits <= getNumDataCodewords(version, candidate) * 8) {
+            level = candidate;
+        }
+    }
+
+    const codewords = addEccAndInterleave(buildDataCodewords(bytes, version, level), version, level);
+    return buildMatrix(codewords, version, level);
+}
+
+// --- Data encoding ---
+
+function getSegmentBits(byteCount, version) {
+    const countBits = version <= 9 ? 8 : 16;
+    if (byteCount >= (1 << countBits)) return null;
+    return 4 + countBits + byteCount * 8;
+}
+
+function buildDataCodewords(bytes, version, level) {
+    const bits = [];
+    const appendBits = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    appendBits(0x4, 4); // Byte mode indicator
+    appendBits(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(b => appendBits(b, 8));
+
+    // Terminator and padding to a byte boundary
+    const capacityBits = getNumDataCodewords(version, level) * 8;
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - bits.length % 8) % 8);
+
+    // Alternate pad bytes until full
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+        appendBits(pad, 8);
+    }
+
+    const result = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        let byte = 0;
+        for (let j = 0; j < 8; j++) byte = (byte << 1) | bits[i + j];
+        result.push(byte);
+    }
+    return result;
+}
+
+function getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function getNumDataCodewords(version, level) {
+    return Math.floor(getNumRawDataModules(version) / 8) -
+        ECC_CODEWORDS_PER_BLOCK[level.ordinal][version] *
+        NUM_ERROR_CORRECTION_BLOCKS[level.ordinal][version];
+}
+
+function addEccAndInterleave(data, version, level) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level.ordinal][version];
+    const blockEccLen = ECC_CODEWORDS_PER_BLOCK[level.ordinal][version];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+    const divisor = reedSolomonComputeDivisor(blockEccLen);
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+        k += dat.length;
+        const ecc = reedSolomonComputeRemainder(dat, divisor);
+        if (i < numShortBlocks) dat.push(0);
+        blocks.push(dat.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // Skip the padding byte in short blocks
+            if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+// --- Reed-Solomon over GF(2^8 / 0x11D) ---
+
+function reedSolomonMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonComputeDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = reedSolomonMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = reedSolomonMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonComputeRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(b => {
+        const factor = b ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => {
+            result[i] ^= reedSolomonMultiply(coef, factor);
+        });
+    });
+    return result;
+}
+
+// --- Matrix construction ---
+
+function buildMatrix(codewords, version, level) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+
+    const setFunctionModule = (x, y, isDark) => {
+        modules[y][x] = isDark;
+        isFunction[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        setFunctionModule(6, i, i % 2 === 0);
+        setFunctionModule(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns (overwrite timing where they overlap)
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                setFunctionModule(x, y, dist !== 2 && dist !== 4);
+            }
+        }
+    });
+
+    // Alignment patterns
+    const alignPos = getAlignmentPatternPositions(version, size);
+    const last = alignPos.length - 1;
+    alignPos.forEach((cy, i) => {
+        alignPos.forEach((cx, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setFunctionModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Reserve format areas with a dummy mask, then version info
+    drawFormatBits(modules, isFunction, size, level, 0);
+    drawVersion(modules, isFunction, size, version);
+
+    drawCodewords(modules, isFunction, size, codewords);
+
+    // Try every mask and keep the one with the lowest penalty
+    let bestMask = 0;
+    let minPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+        applyMask(modules, isFunction, size, mask);
+        drawFormatBits(modules, isFunction, size, level, mask);
+        const penalty = getPenaltyScore(modules, size);
+        if (penalty < minPenalty) {
+            bestMask = mask;
+            minPenalty = penalty;
+        }
+        applyMask(modules, isFunction, size, mask); // XOR undoes the mask
+    }
+    applyMask(modules, isFunction, size, bestMask);
+    drawFormatBits(modules, isFunction, size, level, bestMask);
+
+    return { version, size, modules };
+}
+
+function getAlignmentPatternPositions(version, size) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) {
+        result.splice(1, 0, pos);
+    }
+    return result;
+}
+
+function drawFormatBits(modules, isFunction, size, level, mask) {
+    const data = (level.formatBits << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) !== 0;
+    const set = (x, y, isDark) => {
+        modules[y][x] = isDark;
+        isFunction[y][x] = true;
+    };
+
+    // First copy, around the top-left finder
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+    // Second copy, split between the other two finders
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true); // Always-dark module
+}
+
+function drawVersion(modules, isFunction, size, version) {
+    if (version < 7) return;
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (version << 12) | rem;
+
+    for (let i = 0; i < 18; i++) {
+        const isDark = ((bits >>> i) & 1) !== 0;
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        modules[b][a] = isDark;
+        isFunction[b][a] = true;
+        modules[a][b] = isDark;
+        isFunction[a][b] = true;
+    }
+}
+
+function drawCodewords(modules, isFunction, size, codewords) {
+    let i = 0;
+    // Zig-zag in 2-module columns from the bottom-right corner
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5; // Skip the vertical timing column
+        for (let vert = 0; vert < size; vert++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vert : vert;
+                if (!isFunction[y][x] && i < codewords.length * 8) {
+                    modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+const MASK_PATTERNS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+function applyMask(modules, isFunction, size, mask) {
+    const pattern = MASK_PATTERNS[mask];
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!isFunction[y][x] && pattern(x, y)) modules[y][x] = !modules[y][x];
+        }
+    }
+}
+
+// --- Mask penalty (ISO/IEC 18004 section 7.8.3) ---
+
+const FINDER_LIKE = [
+    [true, false, true, true, true, false, true, false, false, false, false],
+    [false, false, false, false, true, false, true, true, true, false, true]
+];
+
+function getPenaltyScore(modules, size) {
+    let result = 0;
+    const lines = [];
+    for (let y = 0; y < size; y++) lines.push(modules[y]);
+    for (let x = 0; x < size; x++) lines.push(modules.map(row => row[x]));
+
+    lines.forEach(line => {
+        // Rule 1: runs of five or more same-colored modules
+        let runLength = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                runLength++;
+            } else {
+                if (runLength >= 5) result += 3 + (runLength - 5);
+                runLength = 1;
+            }
+        }
+
+        // Rule 3: finder-like 1:1:3:1:1 patterns with a light border
+        for (let i = 0; i + 11 <= size; i++) {
+            FINDER_LIKE.forEach(pattern => {
+                if (pattern.every((value, k) => line[i + k] === value)) result += 40;
+            });
+        }
+    });
+
+    // Rule 2: 2x2 blocks of the same color
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const color = modules[y][x];
+            if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                result += 3;
+            }
+        }
+    }
+
+    // Rule 4: balance of dark and light modules
+    let dark = 0;
+    modules.forEach(row => row.forEach(isDark => { if (isDark) dark++; }));
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    result += k * 10;
+
+    return result;
+}
@@ -0,0 +1,69 @@
+/**
+ * Emboss normal maps for the 3D ticket.
+ *
+ * The raised parts are painted white on black with drawTicketMask(), softened
+ * with a blur so the edges slope, and turned into a tangent-space normal map
+ * (OpenGL convention: green points up, as three.js expects) from the height
+ * gradient.
+ */
+
+/**
+ * Normals from a height field.
+ * @param {Uint8ClampedArray} heights - RGBA pixels; height is the red channel.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [strength=2] - Slope scale; higher looks deeper.
+ * @returns {Uint8ClampedArray} RGBA normal map pixels.
+ */
+export function heightToNormals(heights, width, height, strength = 2) {
+    const normals = new Uint8ClampedArray(width * height * 4);
+    const at = (x, y) => {
+        const cx = Math.min(width - 1, Math.max(0, x));
+        const cy = Math.min(height - 1, Math.max(0, y));
+        return heights[(cy * width + cx) * 4] / 255;
+    };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            // Sobel gradient; image rows run down, the map's Y runs up
+            const dx = (at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1))
+                - (at(x - 1, y - 1) + 2 * at(x - 1, y) + at(x - 1, y + 1));
+            const dy = (at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1))
+                - (at(x - 1, y - 1) + 2 * at(x, y - 1) + at(x + 1, y - 1));
+            const nx = -dx * strength;
+            const ny = dy * strength;
+            const length = Math.hypot(nx, ny, 1);
+
+            const i = (y * width + x) * 4;
+            normals[i] = Math.round((nx / length * 0.5 + 0.5) * 255);
+            normals[i + 1] = Math.round((ny / length * 0.5 + 0.5) * 255);
+            normals[i + 2] = Math.round((1 / length * 0.5 + 0.5) * 255);
+            normals[i + 3] = 255;
+        }
+    }
+    return normals;
+}
+
+/**
+ * Draw the normal map for a height canvas into `target` (same size).
+ * @param {HTMLCanvasElement} target
+ * @param {HTMLCanvasElement} heightCanvas - White is raised.
+ * @param {object} [options]
+ * @param {number} [options.blur=1.5] - Edge softening in px.
+ * @param {number} [options.strength=2]
+ */
+export function drawNormalMap(target, heightCanvas, { blur = 1.5, strength = 2 } = {}) {
+    const { width, height } = heightCanvas;
+    const context = target.getContext('2d', { willReadFrequently: true });
+
+    // Blur through the target; browsers without canvas filters get hard edges
+    context.save();
+    context.filter = `blur(${blur}px)`;
+    context.clearRect(0, 0, width, height);
+    context.drawImage(heightCanvas, 0, 0);
+    context.restore();
+
+    const heights = context.getImageData(0, 0, width, height);
+    const normals = heightToNormals(heights.data, width, height, strength);
+    context.putImageData(new ImageData(normals, width, height), 0, 0);
+}
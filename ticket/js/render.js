@@ -0,0 +1,508 @@
+/**
+ * Ticket layout.
+ *
+ * Both faces are drawn in a fixed 1024-wide layout space through the plain
+ * CanvasRenderingContext2D API, so the same code paints the 3D texture, the
+ * high-DPI print canvases and the SVG export (see svg-context.js). Callers
+ * scale the context to get other output sizes.
+ */
+
+import { resolveTheme, slotFont } from './theme.js';
+import { fitText, drawFittedText } from './text-fit.js';
+
+export const TICKET_RATIO = 36 / 14;
+export const CANVAS_WIDTH = 1024;
+export const CANVAS_HEIGHT = Math.floor(CANVAS_WIDTH / TICKET_RATIO);
+
+// Tear-off stub on the 3D ticket, beyond the right edge of the layout
+export const STUB_WIDTH = 160;
+
+const QR_QUIET_ZONE = 4; // modules, the minimum ISO/IEC 18004 asks for
+const PERFORATION_SPACING = 18;
+const PERFORATION_RADIUS = 4;
+
+/**
+ * @typedef {object} TicketState
+ * @property {object} artwork - Entry from artworks.json (displayName, color, createdDate, theme...).
+ * @property {string} username
+ * @property {string} formattedTime - formatDate() output.
+ * @property {string|null} serial
+ * @property {{ size: number, modules: boolean[][] }|null} qr - encodeQR() output.
+ * @property {HTMLImageElement} poster
+ * @property {object|null} [layout] - Layout template, see layouts.js.
+ * @property {{ focusX?: number, focusY?: number, zoom?: number }|null} [posterCrop] -
+ *     Visitor's crop from the crop tool, over the theme's.
+ * @property {{ title: string, detail?: string }|null} [error] - Shown instead of
+ *     the poster, or as the whole ticket by drawTicketError().
+ */
+
+/**
+ * Draw the front face.
+ * @param {CanvasRenderingContext2D} context
+ * @param {TicketState} ticket
+ */
+export function drawTicketFront(context, ticket) {
+    const { artwork, poster } = ticket;
+    const { colors, fonts, slots, footerLines, poster: posterCrop } = resolveTheme(artwork, ticket.layout);
+
+    // Background
+    context.fillStyle = colors.paper;
+    context.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    // Image (Left side)
+    if (slots.poster.visible) {
+        const { x: circleX, y: circleY, radius: circleRadius } = slots.poster;
+
+        context.save();
+        tracePosterMask(context, slots.poster);
+        context.clip();
+
+        // Cover the mask, keeping the focal point in view
+        if (poster && poster.complete && poster.naturalWidth > 0) {
+            const rect = getPosterRect(poster, slots.poster, { ...posterCrop, ...ticket.posterCrop });
+            context.drawImage(poster, rect.x, rect.y, rect.width, rect.height);
+        } else {
+            // Placeholder if image missing
+            context.fillStyle = colors.ink;
+            context.fillRect(circleX - circleRadius, circleY - circleRadius, circleRadius * 2, circleRadius * 2);
+            if (ticket.error) {
+                context.fillStyle = colors.paper;
+                context.font = `20px ${fonts.body}`;
+                context.textAlign = 'center';
+                context.textBaseline = 'middle';
+                context.fillText(ticket.error.title, circleX, circleY);
+            }
+        }
+        context.restore();
+    }
+
+    // Text styling
+    context.fillStyle = colors.ink;
+    context.textBaseline = 'top';
+
+    const texts = slotTexts(ticket);
+
+    // Top Right: Display Name
+    drawTextSlot(context, slots.title, fonts, texts.title);
+
+    // Right Middle: username, timestamp and serial
+    drawTextSlot(context, slots.name, fonts, texts.name);
+    drawTextSlot(context, slots.timestamp, fonts, texts.timestamp);
+    if (texts.serial) {
+        drawTextSlot(context, slots.serial, fonts, texts.serial);
+    }
+
+    // QR Code (per-visitor, same on screen and in every export)
+    if (ticket.qr && slots.qr.visible) {
+        drawQRCode(context, ticket.qr, slots.qr.x, slots.qr.y, slots.qr.size, colors.paper, colors.ink);
+    }
+
+    // Bottom Left Details
+    drawTextBlock(context, slots.footer, fonts, footerText(artwork, footerLines), colors.ink);
+}
+
+/**
+ * What the front face shows, as plain sentences for screen readers and
+ * image alt text.
+ * @param {TicketState} ticket
+ * @returns {string}
+ */
+export function describeTicket(ticket) {
+    const { artwork, error } = ticket;
+    const texts = slotTexts(ticket);
+    const sentences = [];
+    if (error) {
+        sentences.push(`${error.title}${error.detail ? `: ${error.detail}` : ''}.`);
+    }
+    if (artwork.id) {
+        sentences.push(`Ticket for ${texts.title}, issued to ${ticket.username || 'no name yet'}.`);
+        sentences.push(`Entered ${texts.timestamp}.`);
+        if (texts.serial) sentences.push(`Serial ${texts.serial}.`);
+        if (ticket.qr) sentences.push('Its QR code opens the ticket\'s verification page.');
+    }
+    return sentences.join(' ');
+}
+
+/**
+ * Paint some front-face slots in one flat color over another, exactly where
+ * drawTicketFront() draws them. The 3D ticket builds its foil and emboss
+ * maps from these.
+ * @param {CanvasRenderingContext2D} context
+ * @param {TicketState} ticket
+ * @param {object} options
+ * @param {string[]} options.slots - Slot names, plus 'frame' for a border
+ *     inside the ticket edge. 'poster' is a ring around the poster mask.
+ * @param {string} options.background
+ * @param {string} options.fill
+ */
+export function drawTicketMask(context, ticket, { slots: names, background, fill }) {
+    const { artwork } = ticket;
+    const { fonts, slots, footerLines } = resolveTheme(artwork, ticket.layout);
+    const texts = slotTexts(ticket);
+
+    context.fillStyle = background;
+    context.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    context.save();
+    context.fillStyle = fill;
+    context.strokeStyle = fill;
+    context.textBaseline = 'top';
+    names.forEach(name => {
+        if (name === 'frame') {
+            context.lineWidth = 8;
+            context.strokeRect(14, 14, CANVAS_WIDTH - 28, CANVAS_HEIGHT - 28);
+        } else if (name === 'poster') {
+            if (!slots.poster.visible) return;
+            context.lineWidth = 6;
+            tracePosterMask(context, { ...slots.poster, radius: slots.poster.radius + 5 });
+            context.stroke();
+        } else if (name === 'qr') {
+            if (!ticket.qr || !slots.qr.visible) return;
+            drawQRCode(context, ticket.qr, slots.qr.x, slots.qr.y, slots.qr.size, background, fill);
+        } else if (name === 'footer') {
+            drawTextBlock(context, slots.footer, fonts, footerText(artwork, footerLines), fill);
+        } else if (texts[name]) {
+            context.fillStyle = fill;
+            drawTextSlot(context, slots[name], fonts, texts[name]);
+        }
+    });
+    context.restore();
+}
+
+/**
+ * Draw the back face.
+ * @param {CanvasRenderingContext2D} context
+ * @param {TicketState} ticket
+ */
+export function drawTicketBack(context, ticket) {
+    const { artwork } = ticket;
+    const theme = resolveTheme(artwork);
+    const { colors, fonts } = theme;
+
+    // Background
+    context.fillStyle = colors.paper;
+    context.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    context.save();
+    context.fillStyle = colors.ink;
+    context.textBaseline = 'middle';
+
+    const name = ticket.username || 'YOUR NAME';
+    const time = ticket.formattedTime.replace('\n', ' ');
+    const titleY = CANVAS_HEIGHT / 2 - 50;
+    const nameY = titleY + 100;
+
+    const display = (size) => `bold ${size}px ${fonts.display}`;
+    const body = (size) => `${size}px ${fonts.body}`;
+
+    if (theme.back === 'centered') {
+        const centerX = CANVAS_WIDTH / 2;
+        const width = CANVAS_WIDTH - 200;
+        context.textAlign = 'center';
+        fillFittedLine(context, artwork.displayName, centerX, titleY, { width, size: 60, minSize: 24, font: display });
+        fillFittedLine(context, `${name}   ${time}`, centerX, nameY, { width, size: 30, minSize: 14, font: body });
+
+        if (ticket.serial) {
+            context.font = body(20);
+            context.fillText(ticket.serial, centerX, nameY + 50);
+        }
+    } else {
+        // 'classic' and 'qr' share the left-hand text block
+        const startX = 100;
+        const titleWidth = theme.back === 'qr' ? 560 : CANVAS_WIDTH - startX * 2;
+        context.textAlign = 'left';
+        fillFittedLine(context, artwork.displayName, startX, titleY, { width: titleWidth, size: 60, minSize: 24, font: display });
+
+        // The name gets the gap before the timestamp column
+        fillFittedLine(context, name, startX, nameY, { width: 280, size: 30, minSize: 14, font: body });
+        context.font = body(30);
+        context.fillText(time, startX + 300, nameY);
+
+        if (ticket.serial) {
+            context.font = body(20);
+            context.fillText(ticket.serial, startX, nameY + 50);
+        }
+
+        // Large scan target on the right for gate staff
+        if (theme.back === 'qr' && ticket.qr) {
+            const qrSize = 240;
+            drawQRCode(context, ticket.qr, CANVAS_WIDTH - qrSize - 50, (CANVAS_HEIGHT - qrSize) / 2, qrSize, colors.paper, colors.ink);
+        }
+    }
+
+    context.restore();
+}
+
+/**
+ * Draw an error card in place of either face, for tickets that can't be
+ * issued (unknown artwork, catalog unavailable).
+ * @param {CanvasRenderingContext2D} context
+ * @param {TicketState} ticket - Only artwork.color and error are used.
+ */
+export function drawTicketError(context, ticket) {
+    const { colors, fonts } = resolveTheme(ticket.artwork);
+    const startX = 100;
+    const maxWidth = CANVAS_WIDTH - startX * 2;
+
+    context.fillStyle = colors.paper;
+    context.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    context.save();
+    context.fillStyle = colors.ink;
+    context.textBaseline = 'middle';
+    context.textAlign = 'left';
+
+    const font = (size) => `${size}px ${fonts.body}`;
+    context.font = `bold 60px ${fonts.display}`;
+    context.fillText(ticket.error.title, startX, CANVAS_HEIGHT / 2 - 50);
+
+    if (ticket.error.detail) {
+        // Details echo user input (the ?artwork= id), so shrink rather than overflow
+        fillFittedLine(context, ticket.error.detail, startX, CANVAS_HEIGHT / 2 + 50, { width: maxWidth, size: 30, minSize: 12, font });
+    }
+
+    context.restore();
+}
+
+/**
+ * Draw one face of the tear-off stub, STUB_WIDTH x CANVAS_HEIGHT. The stub
+ * only exists on the 3D ticket; exports don't include it. Perforation holes
+ * along the seam are cut out of the canvas alpha, so a material with
+ * alphaTest shows them as real holes.
+ * @param {CanvasRenderingContext2D} context
+ * @param {TicketState} ticket
+ * @param {'front'|'back'} face - Seen from behind, the seam is on the right.
+ */
+export function drawTicketStub(context, ticket, face) {
+    const { artwork } = ticket;
+    const { colors, fonts } = resolveTheme(artwork);
+
+    context.clearRect(0, 0, STUB_WIDTH, CANVAS_HEIGHT);
+    context.fillStyle = colors.paper;
+    context.fillRect(0, 0, STUB_WIDTH, CANVAS_HEIGHT);
+
+    // Text runs up the stub
+    context.save();
+    context.fillStyle = colors.ink;
+    context.translate(STUB_WIDTH / 2, CANVAS_HEIGHT / 2);
+    context.rotate(-Math.PI / 2);
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    const width = CANVAS_HEIGHT - 60;
+    const display = (size) => `bold ${size}px ${fonts.display}`;
+    const body = (size) => `${size}px ${fonts.body}`;
+    if (face === 'front') {
+        fillFittedLine(context, 'ADMIT ONE', 0, -24, { width, size: 36, minSize: 12, font: display });
+        fillFittedLine(context, artwork.displayName, 0, 24, { width, size: 20, minSize: 10, font: body });
+    } else if (ticket.serial) {
+        fillFittedLine(context, ticket.serial, 0, 0, { width, size: 18, minSize: 8, font: body });
+    }
+    context.restore();
+
+    // Half holes along the seam; the other halves would be on the ticket
+    context.save();
+    context.globalCompositeOperation = 'destination-out';
+    const seamX = face === 'front' ? 0 : STUB_WIDTH;
+    context.beginPath();
+    for (let y = PERFORATION_SPACING / 2; y < CANVAS_HEIGHT; y += PERFORATION_SPACING) {
+        context.moveTo(seamX + PERFORATION_RADIUS, y);
+        context.arc(seamX, y, PERFORATION_RADIUS, 0, Math.PI * 2);
+    }
+    context.fill();
+    context.restore();
+}
+
+/**
+ * Where the poster image lands in a poster slot: the smallest size that covers
+ * the mask's square, scaled by zoom, shifted so the focal point stays in view.
+ * @param {{ width: number, height: number }} poster
+ * @param {{ x: number, y: number, radius: number }} slot - Resolved poster slot.
+ * @param {{ focusX: number, focusY: number, zoom: number }} crop
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function getPosterRect(poster, slot, { focusX, focusY, zoom }) {
+    const side = slot.radius * 2;
+    const imgAspect = poster.width / poster.height;
+    let width = side;
+    let height = width / imgAspect;
+    if (height < side) {
+        height = side;
+        width = height * imgAspect;
+    }
+    width *= zoom;
+    height *= zoom;
+    return {
+        x: slot.x - slot.radius + (side - width) * focusX,
+        y: slot.y - slot.radius + (side - height) * focusY,
+        width,
+        height
+    };
+}
+
+/**
+ * Add the poster slot's mask outline to the current path.
+ * @param {CanvasRenderingContext2D} context
+ * @param {{ x: number, y: number, radius: number, shape?: string, cornerRadius?: number }} slot
+ */
+export function tracePosterMask(context, { x, y, radius, shape, cornerRadius = 0 }) {
+    context.beginPath();
+    if (shape === 'diamond') {
+        // The front view of Dimension Prism's octahedron
+        context.moveTo(x, y - radius);
+        context.lineTo(x + radius, y);
+        context.lineTo(x, y + radius);
+        context.lineTo(x - radius, y);
+    } else if (shape === 'rounded') {
+        const r = Math.min(cornerRadius, radius);
+        const left = x - radius;
+        const top = y - radius;
+        const right = x + radius;
+        const bottom = y + radius;
+        context.moveTo(left + r, top);
+        context.lineTo(right - r, top);
+        context.arc(right - r, top + r, r, -Math.PI / 2, 0);
+        context.lineTo(right, bottom - r);
+        context.arc(right - r, bottom - r, r, 0, Math.PI / 2);
+        context.lineTo(left + r, bottom);
+        context.arc(left + r, bottom - r, r, Math.PI / 2, Math.PI);
+        context.lineTo(left, top + r);
+        context.arc(left + r, top + r, r, Math.PI, Math.PI * 1.5);
+    } else {
+        context.arc(x, y, radius, 0, Math.PI * 2);
+    }
+    context.closePath();
+}
+
+/**
+ * Where each visible front-face slot lands, in layout units. Used by the
+ * layout editor for outlines and hit testing. Fitted text slots report their
+ * whole box; others are measured with the ticket's actual text.
+ * @param {CanvasRenderingContext2D} context - Only used for measuring.
+ * @param {TicketState} ticket
+ * @returns {Object<string, { x: number, y: number, width: number, height: number }>}
+ */
+export function getSlotBounds(context, ticket) {
+    const { artwork } = ticket;
+    const { fonts, slots, footerLines } = resolveTheme(artwork, ticket.layout);
+    const texts = {
+        ...slotTexts(ticket),
+        // Placeholder until the serial is ready, so the slot can still be grabbed
+        serial: ticket.serial || 'JV-0000000-0000-00000000'
+    };
+    const alignedLeft = (slot, width) => {
+        if (slot.align === 'right') return slot.x - width;
+        if (slot.align === 'center') return slot.x - width / 2;
+        return slot.x;
+    };
+    const bounds = {};
+
+    context.save();
+    if (slots.poster.visible) {
+        const { x, y, radius } = slots.poster;
+        bounds.poster = { x: x - radius, y: y - radius, width: radius * 2, height: radius * 2 };
+    }
+    if (slots.qr.visible) {
+        const { x, y, size } = slots.qr;
+        bounds.qr = { x, y, width: size, height: size };
+    }
+    Object.keys(texts).forEach(key => {
+        const slot = slots[key];
+        if (!slot.visible) return;
+        context.font = slotFont(slot, fonts);
+        const width = slot.width || context.measureText(texts[key]).width;
+        bounds[key] = { x: alignedLeft(slot, width), y: slot.y, width, height: slot.size };
+    });
+    if (slots.footer.visible && footerLines.length > 0) {
+        const slot = slots.footer;
+        const lines = footerText(artwork, footerLines);
+        context.font = slotFont(slot, fonts);
+        const width = Math.max(...lines.map(line => context.measureText(line).width));
+        const lineHeight = slot.lineHeight || slot.size * 1.25;
+        bounds.footer = { x: alignedLeft(slot, width), y: slot.y, width, height: lineHeight * (lines.length - 1) + slot.size };
+    }
+    context.restore();
+
+    return bounds;
+}
+
+// What each front-face text slot shows; serial is null until it's ready
+function slotTexts(ticket) {
+    return {
+        title: ticket.artwork.displayName,
+        name: ticket.username || 'YOUR NAME',
+        timestamp: ticket.formattedTime.replace('\n', ' '),
+        serial: ticket.serial
+    };
+}
+
+function footerText(artwork, footerLines) {
+    const createdDate = artwork.createdDate || '260120';
+    return footerLines.map(line => line.replace('{createdDate}', createdDate));
+}
+
+function drawTextSlot(context, slot, fonts, text) {
+    if (!slot.visible) return;
+    context.textAlign = slot.align;
+    const font = (size) => slotFont(slot, fonts, size);
+    if (!slot.width) {
+        context.font = font(slot.size);
+        context.fillText(text, slot.x, slot.y);
+        return;
+    }
+    const fitted = fitText(context, text, {
+        width: slot.width,
+        size: slot.size,
+        minSize: slot.minSize,
+        maxLines: slot.maxLines,
+        font
+    });
+    drawFittedText(context, fitted, slot.x, slot.y, font);
+}
+
+// One line on a 'middle' baseline, shrunk until it fits
+function fillFittedLine(context, text, x, y, { width, size, minSize, font }) {
+    const fitted = fitText(context, text, { width, size, minSize, font });
+    context.font = font(fitted.size);
+    context.fillText(fitted.lines[0], x, y);
+}
+
+// Lines share a left edge; the slot's align positions the widest line
+function drawTextBlock(context, slot, fonts, lines, color) {
+    if (!slot.visible || lines.length === 0) return;
+    context.fillStyle = color;
+    context.font = slotFont(slot, fonts);
+    context.textAlign = 'left';
+
+    const blockWidth = Math.max(...lines.map(line => context.measureText(line).width));
+    let left = slot.x;
+    if (slot.align === 'right') left -= blockWidth;
+    else if (slot.align === 'center') left -= blockWidth / 2;
+
+    const lineHeight = slot.lineHeight || slot.size * 1.25;
+    lines.forEach((line, i) => {
+        context.fillText(line, left, slot.y + i * lineHeight);
+    });
+}
+
+function drawQRCode(context, qr, x, y, size, lightColor, darkColor) {
+    // Fractional modules so the code (quiet zone included) fills the whole slot at
+    // any version; whole-unit rounding left dense codes too small to scan in print
+    const totalModules = qr.size + QR_QUIET_ZONE * 2;
+    const moduleSize = size / totalModules;
+    const offset = QR_QUIET_ZONE * moduleSize;
+
+    context.fillStyle = lightColor;
+    context.fillRect(x, y, size, size);
+
+    // One path for all dark modules: no hairline seams when the context is scaled
+    context.fillStyle = darkColor;
+    context.beginPath();
+    for (let row = 0; row < qr.size; row++) {
+        for (let col = 0; col < qr.size; col++) {
+            if (qr.modules[row][col]) {
+                context.rect(x + offset + col * moduleSize, y + offset + row * moduleSize, moduleSize, moduleSize);
+            }
+        }
+    }
+    context.fill();
+}
@@ -0,0 +1,218 @@
+/**
+ * Ticket serials.
+ *
+ * A serial is deterministic for (artwork, visitor name, enter time) and reads as
+ *
+ *     JV-1RT5K2Q-7TQ2-X8D4K1MZ
+ *     |  |       |    └ checksum: HMAC-SHA-256 over the three fields, 40 bits
+ *     |  |       └ name tag: SHA-256 of the visitor name, 20 bits
+ *     |  └ enter time: unix seconds, 1970 up to 32^7 s (year 3058)
+ *     └ artwork serialCode from artworks.json
+ *
+ * All groups use Crockford base32 so serials survive being read aloud or typed.
+ * The key ships with the page, so the checksum only stops casual tampering
+ * (editing the date or artwork on a ticket), not a determined forger.
+ *
+ * Outside secure contexts (plain http on a LAN IP) there is no crypto.subtle,
+ * so tickets get an unsigned serial instead: just the first two groups,
+ * JV-1RT5K2Q, which the verify page reports as unsigned.
+ */
+
+const SERIAL_KEY = 'mediaart-ticket-serial-v1';
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const TIME_CHARS = 7;
+const NAME_TAG_CHARS = 4;
+const CHECKSUM_CHARS = 8;
+
+/**
+ * Whether a ticket can be issued for this time: a valid Date whose unix seconds
+ * fit the serial's time group. Earlier or later times have no serial.
+ * @param {Date} date
+ */
+export function isSerialTime(date) {
+    const seconds = Math.floor(date.getTime() / 1000);
+    return Number.isFinite(seconds) && seconds >= 0 && seconds < 32 ** TIME_CHARS;
+}
+
+/** What to tell the user when a ticket had to be issued unsigned. */
+export const UNSIGNED_NOTICE = 'serial unsigned: open this page over https to sign tickets';
+
+const encoder = new TextEncoder();
+let hmacKeyPromise = null;
+
+/**
+ * Build the serial for a ticket.
+ * @returns {Promise<string>}
+ * @throws {RangeError} enterTime fails isSerialTime()
+ */
+export async function createTicketSerial({ artworkId, serialCode, username, enterTime }) {
+    const seconds = Math.floor(enterTime.getTime() / 1000);
+    const time = encodeBase32(seconds, TIME_CHARS);
+    const nameTag = await computeNameTag(username);
+    const checksum = await computeChecksum(artworkId, seconds, nameTag);
+    return [serialCode, time, nameTag, checksum].join('-');
+}
+
+/**
+ * Signed serial where the page can compute one, unsigned otherwise.
+ * @returns {Promise<{ serial: string, signed: boolean }>}
+ */
+export async function issueTicketSerial(fields) {
+    if (!globalThis.crypto?.subtle) return { serial: createUnsignedSerial(fields), signed: false };
+    return { serial: await createTicketSerial(fields), signed: true };
+}
+
+/**
+ * @returns {string} e.g. "JV-1RT5K2Q"
+ * @throws {RangeError} enterTime fails isSerialTime()
+ */
+export function createUnsignedSerial({ serialCode, enterTime }) {
+    return [serialCode, encodeBase32(Math.floor(enterTime.getTime() / 1000), TIME_CHARS)].join('-');
+}
+
+/**
+ * The URL encoded in the ticket QR: scanning it opens the verify page for staff.
+ * The name stays off the URL: it would bloat the code (9 bytes per Hangul
+ * syllable) and the serial's name tag already covers it.
+ * @param {string} serial
+ * @param {string} origin - e.g. window.location.origin
+ */
+export function ticketVerifyUrl(serial, origin) {
+    const params = new URLSearchParams({ serial });
+    return `${origin}/ticket/verify/?${params}`;
+}
+
+/**
+ * Split a typed or pasted serial into its fields without checking the checksum.
+ * Accepts a full verify URL (as read from the ticket QR) as well as a bare serial.
+ * Unsigned serials parse with `unsigned: true` and no name tag or checksum.
+ * @returns {{ serial: string, serialCode: string, issuedAt: Date, nameTag?: string, checksum?: string, unsigned?: boolean } | null}
+ */
+export function parseTicketSerial(input) {
+    let text = String(input || '').trim();
+    const fromUrl = text.match(/[?&]serial=([^&#]+)/);
+    if (fromUrl) text = decodeURIComponent(fromUrl[1]);
+
+    // Crockford decoding rules: case-insensitive, O->0, I/L->1, ignore spaces
+    const normalized = text
+        .toUpperCase()
+        .replace(/\s+/g, '')
+        .replace(/O/g, '0')
+        .replace(/[IL]/g, '1');
+
+    const unsigned = normalized.match(/^([A-Z0-9]{1,4})-([0-9A-Z]{7})$/);
+    if (unsigned) {
+        const seconds = decodeBase32(unsigned[2]);
+        if (seconds === null) return null;
+        return { serial: unsigned[0], serialCode: unsigned[1], issuedAt: new Date(seconds * 1000), unsigned: true };
+    }
+
+    const match = normalized.match(/^([A-Z0-9]{1,4})-([0-9A-Z]{7})-([0-9A-Z]{4})-([0-9A-Z]{8})$/);
+    if (!match) return null;
+
+    const [, serialCode, time, nameTag, checksum] = match;
+    const seconds = decodeBase32(time);
+    if (seconds === null || decodeBase32(nameTag) === null || decodeBase32(checksum) === null) return null;
+
+    return {
+        serial: match[0],
+        serialCode,
+        issuedAt: new Date(seconds * 1000),
+        nameTag,
+        checksum
+    };
+}
+
+/**
+ * Check a serial against the artwork catalog.
+ * @param {string} input - Serial or verify URL.
+ * @param {object} catalog - Parsed artworks.json.
+ * @param {string} [username] - If given, also check the name printed on the ticket.
+ * @returns {Promise<{ genuine: boolean, reason?: string, artworkId?: string, artwork?: object, issuedAt?: Date, nameMatches?: boolean }>}
+ */
+export async function verifyTicketSerial(input, catalog, username) {
+    const parsed = parseTicketSerial(input);
+    if (!parsed) return { genuine: false, reason: 'malformed serial' };
+
+    const entry = Object.entries(catalog).find(([, artwork]) => artwork.serialCode === parsed.serialCode);
+    if (!entry) return { genuine: false, reason: `unknown artwork code ${parsed.serialCode}` };
+
+    const [artworkId, artwork] = entry;
+    if (parsed.unsigned) {
+        return { genuine: false, reason: 'unsigned serial (issued without https)', artworkId, artwork, issuedAt: parsed.issuedAt };
+    }
+    const seconds = Math.floor(parsed.issuedAt.getTime() / 1000);
+    const expected = await computeChecksum(artworkId, seconds, parsed.nameTag);
+    if (expected !== parsed.checksum) {
+        return { genuine: false, reason: 'checksum mismatch', artworkId, artwork, issuedAt: parsed.issuedAt };
+    }
+
+    const result = { genuine: true, artworkId, artwork, issuedAt: parsed.issuedAt };
+    if (username !== undefined && username !== '') {
+        result.nameMatches = (await computeNameTag(username)) === parsed.nameTag;
+    }
+    return result;
+}
+
+// --- Internals ---
+
+async function computeNameTag(username) {
+    const normalized = String(username || '').normalize('NFC').trim();
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(normalized));
+    return encodeBytes(new Uint8Array(digest), NAME_TAG_CHARS);
+}
+
+async function computeChecksum(artworkId, seconds, nameTag) {
+    if (!hmacKeyPromise) {
+        hmacKeyPromise = crypto.subtle.importKey(
+            'raw',
+            encoder.encode(SERIAL_KEY),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+    }
+    const key = await hmacKeyPromise;
+    const message = encoder.encode(`${artworkId}|${seconds}|${nameTag}`);
+    const signature = await crypto.subtle.sign('HMAC', key, message);
+    return encodeBytes(new Uint8Array(signature), CHECKSUM_CHARS);
+}
+
+function encodeBase32(value, length) {
+    if (!(Number.isInteger(value) && value >= 0 && value < 32 ** length)) {
+        throw new RangeError(`${value} does not fit in ${length} base32 characters`);
+    }
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result = ALPHABET[value % 32] + result;
+        value = Math.floor(value / 32);
+    }
+    return result;
+}
+
+function decodeBase32(text) {
+    let value = 0;
+    for (const char of text) {
+        const digit = ALPHABET.indexOf(char);
+        if (digit < 0) return null;
+        value = value * 32 + digit;
+    }
+    return value;
+}
+
+// Take the leading bits of a digest, 5 bits per output character
+function encodeBytes(bytes, length) {
+    let result = '';
+    let buffer = 0;
+    let bits = 0;
+    for (let i = 0; result.length < length; i++) {
+        buffer = (buffer << 8) | bytes[i];
+        bits += 8;
+        while (bits >= 5 && result.length < length) {
+            bits -= 5;
+            result += ALPHABET[(buffer >>> bits) & 31];
+        }
+        buffer &= (1 << bits) - 1;
+    }
+    return result;
+}
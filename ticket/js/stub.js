@@ -0,0 +1,210 @@
+/**
+ * Tear-off stub for the 3D ticket.
+ *
+ * A separate box hinged to the ticket's right edge, with its own faces (see
+ * drawTicketStub()). Dragging it peels it away from the perforation; let go
+ * past the tear point and it comes off and falls out of view, short of it and
+ * it springs back. The orbit controls are paused while the stub is held.
+ */
+
+import * as THREE from 'three';
+import { CANVAS_WIDTH, CANVAS_HEIGHT, STUB_WIDTH, drawTicketStub } from './render.js';
+
+const SEAM_GAP = 0.004; // between ticket and stub, so the perforation reads as a cut
+const TEAR_DISTANCE = 0.5; // drag in ticket units that tears the stub off
+const PEEL_ANGLE = 0.35; // radians at the tear point
+const SPRING = 12; // per second, for springing back
+const GRAVITY = 9.8;
+const FALL_SECONDS = 1.6;
+
+export class TearOffStub {
+    /**
+     * @param {object} params
+     * @param {THREE.Mesh} params.ticket - Ticket mesh; the stub is attached to it.
+     * @param {{ width: number, height: number, depth: number }} params.size - Ticket size in scene units.
+     * @param {THREE.Material} params.edgeMaterial - For the stub's sides.
+     * @param {THREE.Camera} params.camera
+     * @param {HTMLElement} params.domElement - Renderer canvas.
+     * @param {{ enabled: boolean }} params.controls - Paused during a drag.
+     */
+    constructor({ ticket, size, edgeMaterial, camera, domElement, controls }) {
+        this.ticket = ticket;
+        this.camera = camera;
+        this.domElement = domElement;
+        this.controls = controls;
+        this.peel = 0; // 0 attached .. 1 torn
+        this.drag = null;
+        this.fall = null;
+        this.torn = false;
+        this.lastTime = null;
+
+        const width = size.width * STUB_WIDTH / CANVAS_WIDTH;
+        this.seamX = size.width / 2 + SEAM_GAP;
+
+        this.frontCanvas = createCanvas(STUB_WIDTH, CANVAS_HEIGHT);
+        this.backCanvas = createCanvas(STUB_WIDTH, CANVAS_HEIGHT);
+        this.frontTexture = createTexture(this.frontCanvas);
+        this.backTexture = createTexture(this.backCanvas);
+
+        // alphaTest turns the perforation cut-outs into holes
+        const face = (map) => new THREE.MeshStandardMaterial({ map, alphaTest: 0.5, roughness: 0.2, metalness: 0.6 });
+        this.mesh = new THREE.Mesh(
+            new THREE.BoxGeometry(width, size.height, size.depth),
+            [edgeMaterial, edgeMaterial, edgeMaterial, edgeMaterial, face(this.frontTexture), face(this.backTexture)]
+        );
+
+        // Hinge at the bottom of the seam, so peeling lifts the top corner first
+        this.pivot = new THREE.Group();
+        this.pivot.position.set(this.seamX, -size.height / 2, 0);
+        this.mesh.position.set(width / 2, size.height / 2, 0);
+        this.pivot.add(this.mesh);
+        ticket.add(this.pivot);
+
+        this.raycaster = new THREE.Raycaster();
+        this.plane = new THREE.Plane();
+        this.handlers = {
+            // Capture phase runs before OrbitControls' own pointerdown on the canvas
+            pointerdown: (event) => this.handlePointerDown(event),
+            pointermove: (event) => this.handlePointerMove(event),
+            pointerup: (event) => this.handlePointerUp(event),
+            pointercancel: (event) => this.handlePointerUp(event)
+        };
+        Object.entries(this.handlers).forEach(([type, handler]) => {
+            domElement.addEventListener(type, handler, { capture: type === 'pointerdown' });
+        });
+    }
+
+    /**
+     * Redraw both faces, e.g. after the serial changed.
+     * @param {import('./render.js').TicketState} ticket
+     */
+    draw(ticket) {
+        drawTicketStub(this.frontCanvas.getContext('2d'), ticket, 'front');
+        drawTicketStub(this.backCanvas.getContext('2d'), ticket, 'back');
+        this.frontTexture.needsUpdate = true;
+        this.backTexture.needsUpdate = true;
+    }
+
+    /**
+     * Advance the spring-back and fall animations. Call once per frame.
+     * @param {number} time - performance.now() milliseconds.
+     */
+    update(time) {
+        const dt = this.lastTime === null ? 0 : Math.min(0.1, (time - this.lastTime) / 1000);
+        this.lastTime = time;
+
+        if (this.fall) {
+            const { velocity, spin } = this.fall;
+            velocity.y -= GRAVITY * dt;
+            this.mesh.position.addScaledVector(velocity, dt);
+            this.mesh.rotation.x += spin.x * dt;
+            this.mesh.rotation.z += spin.y * dt;
+            this.fall.elapsed += dt;
+            if (this.fall.elapsed > FALL_SECONDS) this.removeFromScene();
+            return;
+        }
+        if (!this.drag && this.peel > 0 && !this.torn) {
+            this.setPeel(this.peel * Math.exp(-SPRING * dt));
+            if (this.peel < 0.001) this.setPeel(0);
+        }
+    }
+
+    setPeel(peel) {
+        this.peel = peel;
+        this.pivot.rotation.z = -peel * PEEL_ANGLE;
+        this.pivot.position.x = this.seamX + peel * 0.05;
+    }
+
+    tear() {
+        this.torn = true;
+        this.drag = null;
+        // Hand the stub to the scene so it falls in world space, not with the ticket
+        const scene = this.ticket.parent;
+        scene.attach(this.mesh);
+        const away = new THREE.Vector3(1, 0.4, 0.3).applyQuaternion(this.ticket.getWorldQuaternion(new THREE.Quaternion()));
+        this.fall = {
+            velocity: away.multiplyScalar(1.5),
+            spin: new THREE.Vector2(1.5, -2.5),
+            elapsed: 0
+        };
+    }
+
+    removeFromScene() {
+        this.fall = null;
+        this.mesh.removeFromParent();
+        this.mesh.geometry.dispose();
+        this.mesh.material.slice(4).forEach(material => material.dispose());
+        this.frontTexture.dispose();
+        this.backTexture.dispose();
+        this.pivot.removeFromParent();
+    }
+
+    raycastPointer(event) {
+        const rect = this.domElement.getBoundingClientRect();
+        const ndc = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(ndc, this.camera);
+        return this.raycaster;
+    }
+
+    handlePointerDown(event) {
+        if (this.torn || event.button !== 0) return;
+        const raycaster = this.raycastPointer(event);
+        if (raycaster.intersectObject(this.mesh, false).length === 0) return;
+
+        const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(this.ticket.getWorldQuaternion(new THREE.Quaternion()));
+        this.plane.setFromNormalAndCoplanarPoint(normal, this.ticket.getWorldPosition(new THREE.Vector3()));
+        const start = raycaster.ray.intersectPlane(this.plane, new THREE.Vector3());
+        if (!start) return;
+
+        // Drag offsets are measured in the ticket's plane, in ticket units
+        this.controls.enabled = false;
+        this.domElement.setPointerCapture(event.pointerId);
+        this.drag = { pointerId: event.pointerId, start: this.ticket.worldToLocal(start) };
+    }
+
+    handlePointerMove(event) {
+        if (this.torn) return;
+        const raycaster = this.raycastPointer(event);
+        if (!this.drag) {
+            // Hint that the stub can be grabbed
+            const over = raycaster.intersectObject(this.mesh, false).length > 0;
+            this.domElement.style.cursor = over ? 'grab' : '';
+            return;
+        }
+        if (event.pointerId !== this.drag.pointerId) return;
+
+        const point = raycaster.ray.intersectPlane(this.plane, new THREE.Vector3());
+        if (!point) return;
+        const offset = this.ticket.worldToLocal(point).sub(this.drag.start);
+        // Pulling away from the ticket or along the seam both peel it
+        const pull = Math.hypot(Math.max(0, offset.x), offset.y);
+        this.setPeel(Math.min(1, pull / TEAR_DISTANCE));
+        this.domElement.style.cursor = 'grabbing';
+    }
+
+    handlePointerUp(event) {
+        if (!this.drag || event.pointerId !== this.drag.pointerId) return;
+        this.drag = null;
+        this.controls.enabled = true;
+        this.domElement.style.cursor = '';
+        if (this.peel >= 1) this.tear();
+    }
+}
+
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function createTexture(canvas) {
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    return texture;
+}
@@ -0,0 +1,292 @@
+/**
+ * A small stand-in for CanvasRenderingContext2D that records drawing calls as
+ * SVG elements, so the ticket layout in render.js can be emitted as a vector
+ * document without a second implementation.
+ *
+ * Only the subset of the canvas API used by the ticket layout is supported:
+ * fills (no strokes), rect/arc/line paths, clipping, text and images. Text is
+ * measured with a real canvas so alignment math matches the raster output.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+const TEXT_ANCHORS = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+const TEXT_BASELINES = {
+    top: 'text-before-edge',
+    hanging: 'hanging',
+    middle: 'central',
+    bottom: 'text-after-edge',
+    ideographic: 'ideographic'
+};
+
+export class SvgContext {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.canvas = { width, height };
+
+        this.fillStyle = '#000000';
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.globalAlpha = 1;
+
+        this._matrix = IDENTITY.slice();
+        this._stack = [];
+        this._path = [];
+        this._defs = [];
+        this._body = [];
+        this._openGroups = 0;
+        this._nextId = 0;
+        this._imageCache = new Map();
+
+        const scratch = document.createElement('canvas');
+        this._measureCtx = scratch.getContext('2d');
+    }
+
+    // --- State ---
+
+    save() {
+        this._stack.push({
+            fillStyle: this.fillStyle,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline,
+            globalAlpha: this.globalAlpha,
+            matrix: this._matrix.slice(),
+            openGroups: this._openGroups
+        });
+        this._openGroups = 0;
+    }
+
+    restore() {
+        const state = this._stack.pop();
+        if (!state) return;
+        // Close the clip groups opened since the matching save()
+        for (let i = 0; i < this._openGroups; i++) this._body.push('</g>');
+        this.fillStyle = state.fillStyle;
+        this.font = state.font;
+        this.textAlign = state.textAlign;
+        this.textBaseline = state.textBaseline;
+        this.globalAlpha = state.globalAlpha;
+        this._matrix = state.matrix;
+        this._openGroups = state.openGroups;
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+
+    transform(a, b, c, d, e, f) {
+        const [m0, m1, m2, m3, m4, m5] = this._matrix;
+        this._matrix = [
+            m0 * a + m2 * b,
+            m1 * a + m3 * b,
+            m0 * c + m2 * d,
+            m1 * c + m3 * d,
+            m0 * e + m2 * f + m4,
+            m1 * e + m3 * f + m5
+        ];
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this._matrix = [a, b, c, d, e, f];
+    }
+
+    // --- Paths ---
+
+    beginPath() {
+        this._path = [];
+    }
+
+    moveTo(x, y) {
+        this._path.push(`M${num(x)} ${num(y)}`);
+    }
+
+    lineTo(x, y) {
+        this._path.push(`L${num(x)} ${num(y)}`);
+    }
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+        this._path.push(`Q${num(cpx)} ${num(cpy)} ${num(x)} ${num(y)}`);
+    }
+
+    closePath() {
+        this._path.push('Z');
+    }
+
+    rect(x, y, w, h) {
+        this._path.push(`M${num(x)} ${num(y)}h${num(w)}v${num(h)}h${num(-w)}Z`);
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        const startX = x + radius * Math.cos(startAngle);
+        const startY = y + radius * Math.sin(startAngle);
+        this._path.push(`${this._path.length ? 'L' : 'M'}${num(startX)} ${num(startY)}`);
+
+        let sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+        const sweepFlag = counterclockwise ? 0 : 1;
+        if (sweep >= Math.PI * 2) {
+            // Full circle: SVG arcs can't start and end on the same point, use two halves
+            const midX = x - (startX - x);
+            const midY = y - (startY - y);
+            this._path.push(`A${num(radius)} ${num(radius)} 0 1 ${sweepFlag} ${num(midX)} ${num(midY)}`);
+            this._path.push(`A${num(radius)} ${num(radius)} 0 1 ${sweepFlag} ${num(startX)} ${num(startY)}`);
+            return;
+        }
+        sweep = ((sweep % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+        const endX = x + radius * Math.cos(endAngle);
+        const endY = y + radius * Math.sin(endAngle);
+        const largeArc = sweep > Math.PI ? 1 : 0;
+        this._path.push(`A${num(radius)} ${num(radius)} 0 ${largeArc} ${sweepFlag} ${num(endX)} ${num(endY)}`);
+    }
+
+    fill() {
+        if (!this._path.length) return;
+        this._body.push(`<path d="${this._path.join('')}"${this._fillAttrs()}${this._transformAttr()}/>`);
+    }
+
+    clip() {
+        if (!this._path.length) return;
+        const id = `clip${this._nextId++}`;
+        this._defs.push(`<clipPath id="${id}"><path d="${this._path.join('')}"${this._transformAttr()}/></clipPath>`);
+        this._body.push(`<g clip-path="url(#${id})">`);
+        this._openGroups++;
+    }
+
+    // --- Drawing ---
+
+    fillRect(x, y, w, h) {
+        this._body.push(`<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}"${this._fillAttrs()}${this._transformAttr()}/>`);
+    }
+
+    drawImage(image, ...args) {
+        let sx = 0, sy = 0;
+        let sw = image.naturalWidth || image.width;
+        let sh = image.naturalHeight || image.height;
+        let dx, dy, dw, dh;
+        if (args.length === 2) {
+            [dx, dy] = args;
+            dw = sw;
+            dh = sh;
+        } else if (args.length === 4) {
+            [dx, dy, dw, dh] = args;
+        } else {
+            [sx, sy, sw, sh, dx, dy, dw, dh] = args;
+        }
+
+        const href = this._imageDataURL(image, sx, sy, sw, sh);
+        const opacity = this.globalAlpha < 1 ? ` opacity="${num(this.globalAlpha)}"` : '';
+        this._body.push(`<image href="${href}" x="${num(dx)}" y="${num(dy)}" width="${num(dw)}" height="${num(dh)}" preserveAspectRatio="none"${opacity}${this._transformAttr()}/>`);
+    }
+
+    fillText(text, x, y) {
+        const font = parseFont(this.font);
+        const anchor = TEXT_ANCHORS[this.textAlign] || 'start';
+        const baseline = TEXT_BASELINES[this.textBaseline];
+        const attrs = [
+            `x="${num(x)}"`,
+            `y="${num(y)}"`,
+            `font-family="${escapeXML(font.family)}"`,
+            `font-size="${num(font.size)}"`,
+            font.weight ? `font-weight="${font.weight}"` : '',
+            font.style ? `font-style="${font.style}"` : '',
+            anchor !== 'start' ? `text-anchor="${anchor}"` : '',
+            baseline ? `dominant-baseline="${baseline}"` : ''
+        ].filter(Boolean).join(' ');
+        this._body.push(`<text ${attrs}${this._fillAttrs()}${this._transformAttr()}>${escapeXML(String(text))}</text>`);
+    }
+
+    measureText(text) {
+        this._measureCtx.font = this.font;
+        return this._measureCtx.measureText(text);
+    }
+
+    // --- Output ---
+
+    /**
+     * Serialize to a standalone SVG document.
+     * @param {object} [options]
+     * @param {string} [options.width] - Physical width, e.g. '180mm'. Defaults to layout units.
+     * @param {string} [options.height]
+     * @returns {string}
+     */
+    toSVG({ width = String(this.width), height = String(this.height) } = {}) {
+        // Close anything a caller forgot to restore()
+        const unclosed = this._openGroups + this._stack.reduce((sum, state) => sum + state.openGroups, 0);
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${this.width} ${this.height}">`,
+            this._defs.length ? `<defs>${this._defs.join('')}</defs>` : '',
+            ...this._body,
+            '</g>'.repeat(unclosed),
+            '</svg>'
+        ].join('\n');
+    }
+
+    // --- Internals ---
+
+    _fillAttrs() {
+        const opacity = this.globalAlpha < 1 ? ` fill-opacity="${num(this.globalAlpha)}"` : '';
+        return ` fill="${escapeXML(String(this.fillStyle))}"${opacity}`;
+    }
+
+    _transformAttr() {
+        const m = this._matrix;
+        if (m.every((value, i) => value === IDENTITY[i])) return '';
+        return ` transform="matrix(${m.map(num).join(' ')})"`;
+    }
+
+    _imageDataURL(image, sx, sy, sw, sh) {
+        const key = [sx, sy, sw, sh].join(',');
+        let cached = this._imageCache.get(image);
+        if (!cached) {
+            cached = new Map();
+            this._imageCache.set(image, cached);
+        }
+        if (!cached.has(key)) {
+            const scratch = document.createElement('canvas');
+            scratch.width = Math.max(1, Math.round(sw));
+            scratch.height = Math.max(1, Math.round(sh));
+            scratch.getContext('2d').drawImage(image, sx, sy, sw, sh, 0, 0, scratch.width, scratch.height);
+            cached.set(key, scratch.toDataURL('image/png'));
+        }
+        return cached.get(key);
+    }
+}
+
+function parseFont(font) {
+    const match = String(font).match(/^\s*(.*?)\s*(\d+(?:\.\d+)?)px(?:\/\S+)?\s+(.+)$/);
+    if (!match) return { family: 'sans-serif', size: 10 };
+    const [, prefix, size, family] = match;
+    const tokens = prefix.split(/\s+/);
+    return {
+        family: family.trim(),
+        size: Number(size),
+        weight: tokens.find(t => /^(bold|bolder|lighter|\d00)$/.test(t)) || null,
+        style: tokens.find(t => /^(italic|oblique)$/.test(t)) || null
+    };
+}
+
+function escapeXML(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function num(value) {
+    return Number.isInteger(value) ? String(value) : String(Math.round(value * 1000) / 1000);
+}
@@ -0,0 +1,168 @@
+/**
+ * Text fitting for the ticket canvas.
+ *
+ * Visitor names are free text: Hangul, Latin, emoji, often mixed. fitText()
+ * shrinks a string until it fits its slot, wraps it onto more lines if that
+ * keeps it larger, and as a last resort truncates it with an ellipsis. All
+ * splitting happens on grapheme clusters, so a family emoji or a decomposed
+ * Hangul syllable is never cut in half.
+ *
+ * Fitted text never takes more height than one line at the slot's nominal
+ * size, so a long name can't push into the lines below it.
+ */
+
+const ELLIPSIS = '…';
+
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+
+/**
+ * User-perceived characters. Falls back to code points where Intl.Segmenter
+ * is missing, which still keeps surrogate pairs together.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitGraphemes(text) {
+    if (graphemeSegmenter) {
+        return Array.from(graphemeSegmenter.segment(text), ({ segment }) => segment);
+    }
+    return Array.from(text);
+}
+
+/**
+ * Cut text to at most `limit` graphemes.
+ */
+export function limitGraphemes(text, limit) {
+    const graphemes = splitGraphemes(text);
+    return graphemes.length > limit ? graphemes.slice(0, limit).join('') : text;
+}
+
+/**
+ * @typedef {object} FittedText
+ * @property {number} size - Font size in px.
+ * @property {string[]} lines
+ * @property {number} lineHeight - Distance between line tops.
+ * @property {number} offsetY - From the slot's y to the first line's top.
+ * @property {boolean} truncated
+ */
+
+/**
+ * Fit text into a box one nominal line tall.
+ * @param {CanvasRenderingContext2D} context - Used for measuring; its font is left changed.
+ * @param {string} text
+ * @param {object} box
+ * @param {number} box.width
+ * @param {number} box.size - Preferred (and largest) font size.
+ * @param {number} [box.minSize] - Smallest size before truncating. Defaults to box.size.
+ * @param {number} [box.maxLines=1]
+ * @param {(size: number) => string} box.font - Canvas font shorthand for a size.
+ * @returns {FittedText}
+ */
+export function fitText(context, text, { width, size, minSize = size, maxLines = 1, font }) {
+    const measure = (value) => context.measureText(value).width;
+    const result = (fontSize, lines, truncated = false) => {
+        // Split the nominal line between the lines; center what's left over
+        const lineHeight = size / lines.length;
+        return {
+            size: fontSize,
+            lines,
+            lineHeight,
+            offsetY: (lineHeight - fontSize) / 2,
+            truncated
+        };
+    };
+
+    // Largest size wins: try one line until wrapping onto two would give
+    // bigger text, then two lines until three would, and so on
+    for (let lineCount = 1; lineCount <= maxLines; lineCount++) {
+        const largest = Math.floor(size / lineCount);
+        const smallest = lineCount < maxLines ? Math.max(minSize, Math.floor(size / (lineCount + 1)) + 1) : minSize;
+        for (let fontSize = largest; fontSize >= smallest; fontSize--) {
+            context.font = font(fontSize);
+            if (lineCount === 1) {
+                if (measure(text) <= width) return result(fontSize, [text]);
+            } else {
+                const lines = wrapText(text, width, measure);
+                if (lines.length <= lineCount) return result(fontSize, lines);
+            }
+        }
+    }
+
+    // Nothing fits: smallest size, as many lines as fit, the rest cut off
+    const lineCount = Math.max(1, Math.min(maxLines, Math.floor(size / minSize)));
+    context.font = font(minSize);
+    const wrapped = wrapText(text, width, measure);
+    const lines = wrapped.slice(0, lineCount - 1);
+    lines.push(truncateToWidth(wrapped.slice(lineCount - 1).join(' ') + ELLIPSIS, width, measure));
+    return result(minSize, lines, true);
+}
+
+/**
+ * Draw a FittedText with the context's current fill and alignment.
+ * @param {CanvasRenderingContext2D} context
+ * @param {FittedText} fitted
+ * @param {number} x
+ * @param {number} y - Top of the nominal line; textBaseline should be 'top'.
+ * @param {(size: number) => string} font
+ */
+export function drawFittedText(context, fitted, x, y, font) {
+    context.font = font(fitted.size);
+    fitted.lines.forEach((line, i) => {
+        context.fillText(line, x, y + fitted.offsetY + i * fitted.lineHeight);
+    });
+}
+
+/**
+ * Ask the browser to fetch the font faces (and unicode-range subsets) needed
+ * to draw `text` in each family of a CSS font-family list. Canvas text never
+ * triggers web font loads by itself; it just draws with a fallback.
+ * @param {string[]} families - CSS font-family lists.
+ * @param {string} text
+ * @returns {Promise<void>} Resolves once loading settles, even on failure.
+ */
+export function loadFontsFor(families, text) {
+    if (typeof document === 'undefined' || !document.fonts) return Promise.resolve();
+    const sample = text || ' ';
+    const loads = families.flatMap(list => ['normal', 'bold'].map(weight => document.fonts.load(`${weight} 16px ${list}`, sample)));
+    return Promise.allSettled(loads).then(() => {});
+}
+
+// Greedy wrap at spaces; words wider than the box break between graphemes
+function wrapText(text, width, measure) {
+    const lines = [];
+    let line = '';
+    const words = text.match(/\S+\s*/g) || [''];
+
+    words.forEach(word => {
+        const candidate = line + word;
+        if (measure(candidate.trimEnd()) <= width) {
+            line = candidate;
+            return;
+        }
+        if (line) lines.push(line.trimEnd());
+        line = '';
+        if (measure(word.trimEnd()) <= width) {
+            line = word;
+            return;
+        }
+        splitGraphemes(word).forEach(grapheme => {
+            if (line && measure(line + grapheme) > width) {
+                lines.push(line);
+                line = '';
+            }
+            line += grapheme;
+        });
+    });
+    if (line.trimEnd() || lines.length === 0) lines.push(line.trimEnd());
+    return lines;
+}
+
+function truncateToWidth(text, width, measure) {
+    if (measure(text) <= width) return text;
+    const graphemes = splitGraphemes(text.endsWith(ELLIPSIS) ? text.slice(0, -ELLIPSIS.length) : text);
+    while (graphemes.length > 0 && measure(graphemes.join('').trimEnd() + ELLIPSIS) > width) {
+        graphemes.pop();
+    }
+    return graphemes.join('').trimEnd() + ELLIPSIS;
+}
@@ -0,0 +1,109 @@
+/**
+ * Ticket themes.
+ *
+ * An artwork's optional `theme` (see /data/artworks.schema.json) is layered
+ * over DEFAULT_THEME, so an entry only lists what it changes. The defaults
+ * reproduce the original hard-coded ticket.
+ */
+
+const SHARE_TECH_MONO = '"Share Tech Mono", monospace';
+
+// Appended to every theme font so Hangul and emoji get real glyphs instead of
+// tofu. Noto Sans KR is loaded by the ticket page; the rest are system fonts.
+export const FALLBACK_FONTS = [
+    '"Noto Sans KR"',
+    '"Apple SD Gothic Neo"',
+    '"Malgun Gothic"',
+    '"Apple Color Emoji"',
+    '"Segoe UI Emoji"',
+    '"Noto Color Emoji"'
+];
+
+const GENERIC_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui'];
+
+export const DEFAULT_THEME = {
+    colors: {
+        paper: null, // artwork.color
+        ink: '#000000'
+    },
+    fonts: {
+        display: SHARE_TECH_MONO,
+        body: SHARE_TECH_MONO
+    },
+    // Front-face slots in the 1024 x 398 layout space
+    slots: {
+        // shape: circle, rounded (square with cornerRadius corners) or diamond, inside a 2 * radius square
+        poster: { x: 249, y: 199, radius: 179.1, shape: 'circle', cornerRadius: 36, visible: true },
+        // width turns on fitting: shrink to minSize, wrap to maxLines, then truncate
+        title: { x: 974, y: 40, size: 24, width: 520, minSize: 14, maxLines: 1, align: 'right', weight: 'bold', font: 'display', visible: true },
+        name: { x: 768, y: 164, size: 40, width: 440, minSize: 16, maxLines: 2, align: 'center', weight: 'normal', font: 'display', visible: true },
+        timestamp: { x: 768, y: 214, size: 20, align: 'center', weight: 'normal', font: 'body', visible: true },
+        serial: { x: 768, y: 241, size: 14, align: 'center', weight: 'normal', font: 'body', visible: true },
+        // Footer lines are left-aligned to each other; align places the block
+        footer: { x: 652, y: 285, size: 16, lineHeight: 20, align: 'right', weight: 'normal', font: 'body', visible: true },
+        qr: { x: 884, y: 258, size: 110, visible: true }
+    },
+    footerLines: ['{createdDate}', 'HAEUN', 'WEB'],
+    // Cover-fit crop: zoom 1 is the smallest size that covers the mask
+    poster: { focusX: 0.5, focusY: 0.5, zoom: 1 },
+    back: 'classic',
+    // 3D ticket only: slots stamped in iridescent foil and slots raised off the paper
+    foil: ['title', 'frame'],
+    emboss: ['title', 'name', 'timestamp', 'serial', 'footer']
+};
+
+/**
+ * Merge an artwork's theme, then a layout template, over the defaults.
+ * @param {object} artwork - Entry from artworks.json.
+ * @param {object|null} [layout] - Layout template (see layouts.js); its slots
+ *     and footer win over the artwork's.
+ * @returns {typeof DEFAULT_THEME} Fully populated theme.
+ */
+export function resolveTheme(artwork, layout = null) {
+    const theme = (artwork && artwork.theme) || {};
+    const slots = {};
+    Object.keys(DEFAULT_THEME.slots).forEach(key => {
+        slots[key] = {
+            ...DEFAULT_THEME.slots[key],
+            ...(theme.slots && theme.slots[key]),
+            ...(layout && layout.slots && layout.slots[key])
+        };
+    });
+
+    return {
+        colors: {
+            ...DEFAULT_THEME.colors,
+            paper: artwork && artwork.color,
+            ...theme.colors
+        },
+        fonts: withFallbackFonts({ ...DEFAULT_THEME.fonts, ...theme.fonts }),
+        slots,
+        footerLines: (layout && layout.footerLines) || theme.footerLines || DEFAULT_THEME.footerLines,
+        poster: { ...DEFAULT_THEME.poster, ...theme.poster },
+        back: theme.back || DEFAULT_THEME.back,
+        foil: theme.foil || DEFAULT_THEME.foil,
+        emboss: theme.emboss || DEFAULT_THEME.emboss
+    };
+}
+
+/**
+ * Canvas font shorthand for a text slot.
+ * @param {object} slot - Resolved text slot.
+ * @param {object} fonts - Resolved theme fonts.
+ * @param {number} [size] - Overrides slot.size.
+ */
+export function slotFont(slot, fonts, size = slot.size) {
+    const weight = slot.weight === 'bold' ? 'bold ' : '';
+    return `${weight}${size}px ${fonts[slot.font] || fonts.body}`;
+}
+
+function withFallbackFonts(fonts) {
+    const result = {};
+    Object.entries(fonts).forEach(([key, list]) => {
+        const families = list.split(',').map(family => family.trim());
+        // Keep a trailing generic family last, where it still catches everything else
+        const generic = GENERIC_FAMILIES.includes(families[families.length - 1]) ? families.pop() : null;
+        result[key] = [...families, ...FALLBACK_FONTS.filter(font => !families.includes(font)), ...(generic ? [generic] : [])].join(', ');
+    });
+    return result;
+}
@@ -0,0 +1,187 @@
+/**
+ * Turntable recorder for the 3D ticket.
+ *
+ * Spins the ticket mesh through a full turn in front of a fixed camera and
+ * captures each frame straight after rendering it. Frame n is always rendered
+ * at rotation n / frameCount, so the clip is identical however slow the device
+ * is; requestAnimationFrame plays no part in it.
+ */
+
+import * as THREE from 'three';
+import { createQuantizer, GifEncoder } from './gif.js';
+import { WebmMuxer } from './webm.js';
+
+export const DEFAULT_TURNTABLE_OPTIONS = {
+    width: 640,
+    height: 360,
+    fps: 25,
+    seconds: 4
+};
+
+// Tried in order; VP9 compresses the flat ticket colors noticeably better
+const WEBM_CODECS = ['vp09.00.10.08', 'vp8'];
+const WEBM_BITRATE = 4000000;
+const GIF_PALETTE_SAMPLES = 12;
+
+export function isWebmRecordingSupported() {
+    return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+}
+
+/**
+ * Record a turntable clip.
+ * @param {object} params
+ * @param {THREE.WebGLRenderer} params.renderer
+ * @param {THREE.Scene} params.scene
+ * @param {THREE.Mesh} params.mesh - Rotated about its Y axis.
+ * @param {'gif'|'webm'} params.format
+ * @param {object} [params.options] - See DEFAULT_TURNTABLE_OPTIONS.
+ * @param {(progress: number) => void} [params.onProgress] - 0..1
+ * @returns {Promise<Blob>}
+ */
+export async function recordTurntable({ renderer, scene, mesh, format, options, onProgress = () => {} }) {
+    const { width, height, fps, seconds } = { ...DEFAULT_TURNTABLE_OPTIONS, ...options };
+    const frameCount = Math.round(fps * seconds);
+
+    const session = beginCapture(renderer, mesh, width, height);
+    try {
+        const capture = (index) => session.renderFrame(scene, index / frameCount);
+        if (format === 'gif') {
+            return await encodeGif(capture, { width, height, fps, frameCount, onProgress });
+        }
+        if (format === 'webm') {
+            return await encodeWebm(capture, { width, height, fps, frameCount, onProgress });
+        }
+        throw new Error(`Unknown turntable format: ${format}`);
+    } finally {
+        session.end();
+    }
+}
+
+function beginCapture(renderer, mesh, width, height) {
+    // Remember everything we touch
+    const previousSize = renderer.getSize(new THREE.Vector2());
+    const previousPixelRatio = renderer.getPixelRatio();
+    const previousRotation = mesh.rotation.clone();
+
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false); // keep the on-page CSS size
+
+    // Fixed camera, framed so the ticket's full width fits at every angle
+    const camera = new THREE.PerspectiveCamera(35, width / height, 0.1, 100);
+    const radius = turningRadius(mesh) * mesh.scale.x;
+    const halfHorizontalFov = Math.atan(Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) * camera.aspect);
+    const distance = radius / Math.tan(halfHorizontalFov) * 1.1;
+    camera.position.set(mesh.position.x, mesh.position.y + distance * 0.15, mesh.position.z + distance);
+    camera.lookAt(mesh.position);
+
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width = width;
+    frameCanvas.height = height;
+    const frameCtx = frameCanvas.getContext('2d', { willReadFrequently: true });
+
+    return {
+        frameCanvas,
+        renderFrame(scene, turn) {
+            mesh.rotation.set(0, previousRotation.y + turn * Math.PI * 2, 0);
+            renderer.render(scene, camera);
+            // Copy in the same task as render(), before the drawing buffer is cleared
+            frameCtx.drawImage(renderer.domElement, 0, 0, width, height);
+            return { canvas: frameCanvas, context: frameCtx };
+        },
+        end() {
+            mesh.rotation.copy(previousRotation);
+            renderer.setPixelRatio(previousPixelRatio);
+            renderer.setSize(previousSize.x, previousSize.y, false);
+        }
+    };
+}
+
+// Farthest the mesh and anything attached to it (e.g. the stub) reach from its origin
+function turningRadius(mesh) {
+    mesh.updateMatrixWorld(true);
+    const toMesh = mesh.matrixWorld.clone().invert();
+    const bounds = new THREE.Box3();
+    const box = new THREE.Box3();
+    mesh.traverseVisible(child => {
+        if (!child.geometry) return;
+        if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+        box.copy(child.geometry.boundingBox).applyMatrix4(new THREE.Matrix4().multiplyMatrices(toMesh, child.matrixWorld));
+        bounds.union(box);
+    });
+    const sphere = bounds.getBoundingSphere(new THREE.Sphere());
+    return sphere.center.length() + sphere.radius;
+}
+
+async function encodeGif(capture, { width, height, fps, frameCount, onProgress }) {
+    // Pass 1: build a shared palette from a handful of evenly spaced frames
+    const samples = [];
+    for (let i = 0; i < GIF_PALETTE_SAMPLES; i++) {
+        const { context } = capture(Math.floor(i * frameCount / GIF_PALETTE_SAMPLES));
+        samples.push(context.getImageData(0, 0, width, height).data);
+        await nextTask();
+    }
+    const quantizer = createQuantizer(samples);
+
+    // Pass 2: encode every frame. GIF delays are in 1/100 s, so spread rounding
+    // error across frames to keep the overall duration exact.
+    const encoder = new GifEncoder(width, height, quantizer.palette);
+    for (let i = 0; i < frameCount; i++) {
+        const { context } = capture(i);
+        const delay = Math.round((i + 1) * 100 / fps) - Math.round(i * 100 / fps);
+        encoder.addFrame(quantizer.indexPixels(context.getImageData(0, 0, width, height).data), delay);
+        onProgress((i + 1) / frameCount);
+        await nextTask();
+    }
+    return encoder.finish();
+}
+
+async function encodeWebm(capture, { width, height, fps, frameCount, onProgress }) {
+    if (!isWebmRecordingSupported()) {
+        throw new Error('WebM export needs WebCodecs (VideoEncoder), which this browser lacks');
+    }
+
+    let config = null;
+    for (const codec of WEBM_CODECS) {
+        const candidate = { codec, width, height, bitrate: WEBM_BITRATE, framerate: fps };
+        const { supported } = await VideoEncoder.isConfigSupported(candidate);
+        if (supported) {
+            config = candidate;
+            break;
+        }
+    }
+    if (!config) throw new Error('No WebM video codec available');
+
+    const muxer = new WebmMuxer({ width, height, codec: config.codec });
+    let encodeError = null;
+    const encoder = new VideoEncoder({
+        output: chunk => muxer.addChunk(chunk),
+        error: error => { encodeError = error; }
+    });
+    encoder.configure(config);
+
+    const frameDuration = 1e6 / fps; // microseconds
+    for (let i = 0; i < frameCount; i++) {
+        const { canvas } = capture(i);
+        const frame = new VideoFrame(canvas, {
+            timestamp: Math.round(i * frameDuration),
+            duration: Math.round(frameDuration)
+        });
+        encoder.encode(frame, { keyFrame: i % (fps * 2) === 0 });
+        frame.close();
+        onProgress((i + 1) / frameCount);
+
+        // Let the encoder drain so memory stays flat on long clips
+        while (encoder.encodeQueueSize > 4) await nextTask();
+        await nextTask();
+        if (encodeError) throw encodeError;
+    }
+
+    await encoder.flush();
+    encoder.close();
+    if (encodeError) throw encodeError;
+    return muxer.finish();
+}
+
+function nextTask() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
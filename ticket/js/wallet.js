@@ -0,0 +1,116 @@
+/**
+ * Ticket wallet: the visitor's downloaded tickets, kept in IndexedDB.
+ *
+ * A record holds only what it takes to redraw the ticket (artwork id, name,
+ * enter time, layout, poster crop) plus a small PNG thumbnail for the list. Serials are
+ * deterministic for those three fields, so the serial doubles as the key:
+ * downloading the same ticket again updates its record instead of adding a
+ * duplicate.
+ */
+
+import { CANVAS_WIDTH, CANVAS_HEIGHT, drawTicketFront } from './render.js';
+import { canvasToBlob } from './export.js';
+
+const DB_NAME = 'mediaart-ticket-wallet';
+const DB_VERSION = 1;
+const STORE = 'tickets';
+const THUMBNAIL_WIDTH = 320;
+
+/**
+ * @typedef {object} WalletTicket
+ * @property {string} serial
+ * @property {string} artworkId
+ * @property {string} username
+ * @property {number} enterTime - Epoch ms, as in the ticket page's ?t=.
+ * @property {object|null} layout - Layout template the ticket was drawn with.
+ * @property {string|null} layoutId - Its id, when it was a saved or curated one.
+ * @property {object|null} posterCrop - Crop-tool pan/zoom, see TicketState.
+ * @property {number} savedAt - Epoch ms of the latest download.
+ * @property {Blob} thumbnail - PNG of the front face.
+ */
+
+let dbPromise = null;
+
+function openWallet() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'serial' });
+                store.createIndex('artworkId', 'artworkId');
+                store.createIndex('savedAt', 'savedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Ticket wallet is open in an older tab'));
+        });
+        // Let a later call retry (e.g. after the user leaves private browsing)
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+async function withStore(mode, action) {
+    const db = await openWallet();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE, mode);
+        const request = action(transaction.objectStore(STORE));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Wallet transaction aborted'));
+    });
+}
+
+/**
+ * Add or refresh a ticket.
+ * @param {import('./render.js').TicketState} ticket - Must have a serial.
+ * @param {{ artworkId: string, enterTime: Date, layoutId?: string|null }} fields - Not part of TicketState.
+ * @returns {Promise<WalletTicket>}
+ */
+export async function saveToWallet(ticket, { artworkId, enterTime, layoutId = null }) {
+    if (!ticket.serial) throw new Error('Cannot save a ticket without a serial');
+    const record = {
+        serial: ticket.serial,
+        artworkId,
+        username: ticket.username,
+        enterTime: enterTime.getTime(),
+        // Kept whole: a saved layout can be deleted after the download
+        layout: ticket.layout || null,
+        layoutId,
+        posterCrop: ticket.posterCrop || null,
+        savedAt: Date.now(),
+        thumbnail: await createThumbnail(ticket)
+    };
+    await withStore('readwrite', store => store.put(record));
+    return record;
+}
+
+/**
+ * All tickets, newest download first.
+ * @returns {Promise<WalletTicket[]>}
+ */
+export async function listWallet() {
+    const records = await withStore('readonly', store => store.getAll());
+    return records.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * @param {string} serial
+ */
+export function removeFromWallet(serial) {
+    return withStore('readwrite', store => store.delete(serial));
+}
+
+function createThumbnail(ticket) {
+    const output = document.createElement('canvas');
+    output.width = THUMBNAIL_WIDTH;
+    output.height = Math.round(THUMBNAIL_WIDTH * CANVAS_HEIGHT / CANVAS_WIDTH);
+    const context = output.getContext('2d');
+    context.scale(output.width / CANVAS_WIDTH, output.height / CANVAS_HEIGHT);
+    drawTicketFront(context, ticket);
+    return canvasToBlob(output, 'image/png');
+}
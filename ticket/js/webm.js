@@ -0,0 +1,203 @@
+/**
+ * Minimal WebM muxer for a single VP8/VP9 video track.
+ *
+ * Takes EncodedVideoChunks from a WebCodecs VideoEncoder and writes them into
+ * SimpleBlocks. Frame timestamps come from the caller, so a clip captured at
+ * a fixed timestep plays back at exactly that rate regardless of how long each
+ * frame took to render.
+ */
+
+const EBML_ID = {
+    EBML: [0x1A, 0x45, 0xDF, 0xA3],
+    EBMLVersion: [0x42, 0x86],
+    EBMLReadVersion: [0x42, 0xF7],
+    EBMLMaxIDLength: [0x42, 0xF2],
+    EBMLMaxSizeLength: [0x42, 0xF3],
+    DocType: [0x42, 0x82],
+    DocTypeVersion: [0x42, 0x87],
+    DocTypeReadVersion: [0x42, 0x85],
+    Segment: [0x18, 0x53, 0x80, 0x67],
+    Info: [0x15, 0x49, 0xA9, 0x66],
+    TimecodeScale: [0x2A, 0xD7, 0xB1],
+    Duration: [0x44, 0x89],
+    MuxingApp: [0x4D, 0x80],
+    WritingApp: [0x57, 0x41],
+    Tracks: [0x16, 0x54, 0xAE, 0x6B],
+    TrackEntry: [0xAE],
+    TrackNumber: [0xD7],
+    TrackUID: [0x73, 0xC5],
+    CodecID: [0x86],
+    TrackType: [0x83],
+    Video: [0xE0],
+    PixelWidth: [0xB0],
+    PixelHeight: [0xBA],
+    Cluster: [0x1F, 0x43, 0xB6, 0x75],
+    Timecode: [0xE7],
+    SimpleBlock: [0xA3]
+};
+
+const CODEC_IDS = {
+    vp8: 'V_VP8',
+    vp09: 'V_VP9'
+};
+
+// Cluster-relative block timecodes are signed 16-bit milliseconds
+const MAX_CLUSTER_MS = 30000;
+
+export class WebmMuxer {
+    /**
+     * @param {object} options
+     * @param {number} options.width
+     * @param {number} options.height
+     * @param {string} options.codec - WebCodecs codec string ('vp8', 'vp09.00.10.08'...).
+     */
+    constructor({ width, height, codec }) {
+        const codecId = CODEC_IDS[codec.split('.')[0]];
+        if (!codecId) throw new Error(`Unsupported WebM codec: ${codec}`);
+        this.width = width;
+        this.height = height;
+        this.codecId = codecId;
+        this.frames = [];
+    }
+
+    /**
+     * @param {EncodedVideoChunk} chunk
+     */
+    addChunk(chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        this.frames.push({
+            data,
+            timestampMs: Math.round(chunk.timestamp / 1000),
+            durationMs: (chunk.duration || 0) / 1000,
+            isKey: chunk.type === 'key'
+        });
+    }
+
+    /**
+     * @returns {Blob}
+     */
+    finish() {
+        const last = this.frames[this.frames.length - 1];
+        const durationMs = last ? last.timestampMs + last.durationMs : 0;
+
+        const header = element(EBML_ID.EBML, [
+            uintElement(EBML_ID.EBMLVersion, 1),
+            uintElement(EBML_ID.EBMLReadVersion, 1),
+            uintElement(EBML_ID.EBMLMaxIDLength, 4),
+            uintElement(EBML_ID.EBMLMaxSizeLength, 8),
+            stringElement(EBML_ID.DocType, 'webm'),
+            uintElement(EBML_ID.DocTypeVersion, 2),
+            uintElement(EBML_ID.DocTypeReadVersion, 2)
+        ]);
+
+        const info = element(EBML_ID.Info, [
+            uintElement(EBML_ID.TimecodeScale, 1000000), // 1 ms
+            floatElement(EBML_ID.Duration, durationMs),
+            stringElement(EBML_ID.MuxingApp, 'mediaArt ticket'),
+            stringElement(EBML_ID.WritingApp, 'mediaArt ticket')
+        ]);
+
+        const tracks = element(EBML_ID.Tracks, [
+            element(EBML_ID.TrackEntry, [
+                uintElement(EBML_ID.TrackNumber, 1),
+                uintElement(EBML_ID.TrackUID, 1),
+                stringElement(EBML_ID.CodecID, this.codecId),
+                uintElement(EBML_ID.TrackType, 1), // video
+                element(EBML_ID.Video, [
+                    uintElement(EBML_ID.PixelWidth, this.width),
+                    uintElement(EBML_ID.PixelHeight, this.height)
+                ])
+            ])
+        ]);
+
+        const segment = element(EBML_ID.Segment, [info, tracks, ...this.buildClusters()]);
+        return new Blob([header, segment], { type: 'video/webm' });
+    }
+
+    buildClusters() {
+        const clusters = [];
+        let current = null;
+
+        const flush = () => {
+            if (!current) return;
+            clusters.push(element(EBML_ID.Cluster, [
+                uintElement(EBML_ID.Timecode, current.timecode),
+                ...current.blocks
+            ]));
+        };
+
+        this.frames.forEach(frame => {
+            // Start a cluster on every keyframe (and before the offset would overflow)
+            if (!current || frame.isKey || frame.timestampMs - current.timecode > MAX_CLUSTER_MS) {
+                flush();
+                current = { timecode: frame.timestampMs, blocks: [] };
+            }
+            const relative = frame.timestampMs - current.timecode;
+            const blockHeader = new Uint8Array([
+                0x81, // track number 1 as a 1-byte vint
+                (relative >> 8) & 0xFF,
+                relative & 0xFF,
+                frame.isKey ? 0x80 : 0x00
+            ]);
+            current.blocks.push(element(EBML_ID.SimpleBlock, [blockHeader, frame.data]));
+        });
+        flush();
+
+        return clusters;
+    }
+}
+
+// --- EBML encoding ---
+
+function element(id, children) {
+    const size = children.reduce((sum, child) => sum + child.length, 0);
+    return concat([new Uint8Array(id), encodeSize(size), ...children]);
+}
+
+function uintElement(id, value) {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return element(id, [new Uint8Array(bytes)]);
+}
+
+function floatElement(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return element(id, [bytes]);
+}
+
+function stringElement(id, value) {
+    return element(id, [new TextEncoder().encode(value)]);
+}
+
+// Variable-length size with the shortest width that fits
+function encodeSize(size) {
+    for (let length = 1; length <= 8; length++) {
+        if (size < Math.pow(2, 7 * length) - 1) {
+            const bytes = new Uint8Array(length);
+            let value = size;
+            for (let i = length - 1; i >= 0; i--) {
+                bytes[i] = value % 256;
+                value = Math.floor(value / 256);
+            }
+            bytes[0] |= 0x80 >> (length - 1);
+            return bytes;
+        }
+    }
+    throw new Error('EBML element too large');
+}
+
+function concat(arrays) {
+    const total = arrays.reduce((sum, array) => sum + array.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    arrays.forEach(array => {
+        result.set(array, offset);
+        offset += array.length;
+    });
+    return result;
+}
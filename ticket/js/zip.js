@@ -0,0 +1,127 @@
+/**
+ * Store-only ZIP writer.
+ *
+ * PNG and PDF are already compressed, so entries are stored as-is: no deflate
+ * implementation to carry, and file blobs go into the archive without being
+ * copied. Filenames are flagged as UTF-8 so Korean guest names survive.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034B50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014B50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054B50;
+const FLAG_UTF8 = 0x0800;
+const ZIP_VERSION = 20; // 2.0: enough for stored entries
+const MAX_ENTRIES = 0xFFFF;
+const MAX_SIZE = 0xFFFFFFFF;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+export class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+    }
+
+    /**
+     * @param {string} name - Path inside the archive.
+     * @param {Blob|Uint8Array} data
+     * @param {Date} [date] - Modification time (local time, 2-second precision).
+     */
+    async addFile(name, data, date = new Date()) {
+        if (this.entries.length >= MAX_ENTRIES) throw new Error('Too many files for a ZIP archive');
+
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(await data.arrayBuffer());
+        if (bytes.length > MAX_SIZE || this.offset > MAX_SIZE) throw new Error('ZIP archive too large');
+
+        const nameBytes = new TextEncoder().encode(name);
+        const entry = {
+            nameBytes,
+            crc: crc32(bytes),
+            size: bytes.length,
+            offset: this.offset,
+            ...dosDateTime(date)
+        };
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+        header.setUint16(4, ZIP_VERSION, true);
+        header.setUint16(6, FLAG_UTF8, true);
+        header.setUint16(8, 0, true); // stored
+        header.setUint16(10, entry.time, true);
+        header.setUint16(12, entry.date, true);
+        header.setUint32(14, entry.crc, true);
+        header.setUint32(18, entry.size, true); // compressed
+        header.setUint32(22, entry.size, true); // uncompressed
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true); // extra field length
+
+        // Keep the caller's Blob if there was one; it's the same bytes
+        this.parts.push(header.buffer, nameBytes, data instanceof Blob ? data : bytes);
+        this.offset += 30 + nameBytes.length + bytes.length;
+        this.entries.push(entry);
+    }
+
+    /**
+     * @returns {Blob}
+     */
+    finish() {
+        const centralStart = this.offset;
+        const central = [];
+        let centralSize = 0;
+
+        this.entries.forEach(entry => {
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+            header.setUint16(4, ZIP_VERSION, true); // made by
+            header.setUint16(6, ZIP_VERSION, true); // needed to extract
+            header.setUint16(8, FLAG_UTF8, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, entry.time, true);
+            header.setUint16(14, entry.date, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.size, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, entry.nameBytes.length, true);
+            // Extra, comment, disk number, internal/external attributes: all zero
+            header.setUint32(42, entry.offset, true);
+            central.push(header.buffer, entry.nameBytes);
+            centralSize += 46 + entry.nameBytes.length;
+        });
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+        end.setUint16(8, this.entries.length, true); // entries on this disk
+        end.setUint16(10, this.entries.length, true); // entries in total
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, centralStart, true);
+
+        return new Blob([...this.parts, ...central, end.buffer], { type: 'application/zip' });
+    }
+}
+
+function dosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
@@ -1,17 +1,45 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+import { encodeQR } from './js/qr.js';
+import { issueTicketSerial, isSerialTime, ticketVerifyUrl, UNSIGNED_NOTICE } from './js/serial.js';
+import { formatDate } from './js/format.js';
+import { TICKET_RATIO, CANVAS_WIDTH, CANVAS_HEIGHT, drawTicketFront, drawTicketBack, drawTicketError, drawTicketMask, describeTicket } from './js/render.js';
+import { createTicketPngs, createTicketSvgs, createTicketPdf, downloadBlob, canvasToBlob, DEFAULT_PRINT_OPTIONS } from './js/export.js';
+import { recordTurntable } from './js/turntable.js';
+import { validateCatalog, validateLayouts, formatValidationErrors, resolveArtwork } from './js/catalog.js';
+import { parseGuestList } from './js/guest-list.js';
+import { createBatchTickets, batchFileStem } from './js/batch.js';
+import { ZipWriter } from './js/zip.js';
+import { resolveTheme } from './js/theme.js';
+import { limitGraphemes, loadFontsFor } from './js/text-fit.js';
+import { saveToWallet } from './js/wallet.js';
+import { layoutFromTheme, layoutId, loadSavedLayouts, saveLayout, removeSavedLayout, exportLayout } from './js/layouts.js';
+import { LayoutEditor } from './js/layout-editor.js';
+import { PosterCropper } from './js/poster-crop.js';
+import { drawNormalMap } from './js/relief.js';
+import { TearOffStub } from './js/stub.js';
+import { KeyboardView } from './js/keyboard-view.js';
+import { mountTicketView } from './js/flip-view.js';
 
 // Configuration
-const TICKET_RATIO = 36 / 14;
 const TICKET_WIDTH = 4;
 const TICKET_HEIGHT = TICKET_WIDTH / TICKET_RATIO;
 const TICKET_DEPTH = 0.02; // Thinner ticket
-const CANVAS_WIDTH = 1024;
-const CANVAS_HEIGHT = Math.floor(CANVAS_WIDTH / TICKET_RATIO);
+const MAX_NAME_GRAPHEMES = 20; // counted in user-perceived characters, not UTF-16 units
+
+// Front surface maps. The foil mask packs three material maps into one canvas:
+// R iridescence, G roughness, B metalness. Paper keeps the old 0.2 / 0.6 finish.
+const PAPER_SURFACE = 'rgb(0, 51, 153)';
+const FOIL_SURFACE = 'rgb(255, 20, 230)';
+const EMBOSS_STRENGTH = 3;
+const SURFACE_MAP_DELAY = 150; // ms after the last edit; the normal map is too slow for every keystroke
+const DESCRIPTION_DELAY = 800; // ms; screen readers would otherwise read every keystroke
 
 // Artwork Configuration - Initial state, to be populated from JSON
 let ARTWORKS = {};
 let currentArtwork = {
+    id: null,
     displayName: 'LOADING...',
     posterPath: '',
     color: '#CCFF00',
@@ -22,28 +50,102 @@ let currentArtwork = {
 const urlParams = new URLSearchParams(window.location.search);
 const artworkId = urlParams.get('artwork') || 'just-vibe';
 
+// Layout templates: curated ones from layouts.json, plus any saved in this browser
+let LAYOUTS = {};
+let savedLayouts = loadSavedLayouts();
+let catalogSchema = null;
+let currentLayoutId = urlParams.get('layout');
+let currentLayout = null; // null draws the artwork's own theme
+const UNSAVED_LAYOUT = '(unsaved)'; // select value; can't collide with a kebab-case id
+let layoutEditorBase = null; // what the editor's reset button goes back to
+let posterCrop = null; // visitor's pan/zoom from the crop tool, over the theme's
+
+// Shown on the ticket and in the UI; the ticket can't be downloaded while one is set
+const TICKET_ERRORS = {
+    'unknown-artwork': {
+        title: 'UNKNOWN ARTWORK',
+        message: 'unknown artwork',
+        detail: (id) => `?artwork=${id}`
+    },
+    'invalid-artwork': {
+        title: 'INVALID ARTWORK',
+        message: 'artwork entry is incomplete',
+        detail: (id) => `${id} needs posterPath and serialCode`
+    },
+    'catalog-unavailable': {
+        title: 'CATALOG UNAVAILABLE',
+        message: 'artwork catalog unavailable, try reloading',
+        detail: () => 'artworks.json could not be loaded'
+    },
+    'poster-missing': {
+        title: 'POSTER MISSING',
+        message: 'poster missing',
+        detail: (path) => path
+    }
+};
+let ticketError = null;
+
 // Fetch Configuration
-fetch('/ticket/data/artworks.json')
-    .then(response => response.json())
-    .then(data => {
+Promise.all([
+    fetchJSON('/data/artworks.json'),
+    // The schema only feeds diagnostics; a catalog without it is still usable
+    fetchJSON('/data/artworks.schema.json').catch(error => {
+        console.warn('Skipping artworks.json validation:', error);
+        return null;
+    }),
+    // Without templates the ticket still has its classic layout
+    fetchJSON('/ticket/data/layouts.json').catch(error => {
+        console.warn('Skipping layout templates:', error);
+        return {};
+    })
+])
+    .then(([data, schema, layouts]) => {
         ARTWORKS = data;
-        // Merge with default if missing
-        const config = ARTWORKS[artworkId] || ARTWORKS['just-vibe'];
-        currentArtwork = {
-            ...config,
-            color: '#CCFF00' // Force unified Neon Green as requested
-        };
-        
-        // Initialize after config is loaded
-        initializeApp();
+        catalogSchema = schema;
+
+        // Report schema problems by field path
+        const errors = schema ? validateCatalog(data, schema) : [];
+        if (errors.length > 0) {
+            console.error(`artworks.json failed validation:\n${formatValidationErrors(errors)}`);
+        }
+        const layoutErrors = schema ? validateLayouts(layouts, schema) : [];
+        if (layoutErrors.length > 0) {
+            console.error(`layouts.json failed validation:\n${formatValidationErrors(layoutErrors)}`);
+        }
+        LAYOUTS = layouts;
+        selectLayout(currentLayoutId);
+        return resolveArtwork(ARTWORKS, artworkId);
     })
     .catch(error => {
         console.error('Error loading artwork config:', error);
-        // Fallback initialization
+        return resolveArtwork(null, artworkId);
+    })
+    .then(({ artwork, error }) => {
+        if (error) {
+            setTicketError(error, artworkId);
+        } else {
+            currentArtwork = artwork;
+        }
+        
+        // Initialize after config is loaded
         initializeApp();
     });
 
+function fetchJSON(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+        return response.json();
+    });
+}
+
 function initializeApp() {
+    if (ticketError) {
+        // Nothing to load; show the error card straight away
+        document.title = `Ticket - ${ticketError.title}`;
+        initTicket();
+        return;
+    }
+
     // Update page title
     document.title = `Ticket - ${currentArtwork.displayName}`;
 
@@ -58,16 +160,24 @@ function initializeApp() {
 
     // Update poster source
     posterImage.src = currentArtwork.posterPath;
-    
-    // If ticket mesh already exists (race condition), update texture
-    if (ticketMesh) {
-        updateTicketTexture();
-    } else {
-        // Or if scene setup was waiting
-        // Actually scene setup runs immediately, initTicket runs on poster load.
-        // If poster load happens before config load, we might have issues.
-        // We set posterImage.src here, so posterImage.onload will trigger initTicket.
-    }
+
+    refreshSerial();
+    loadTicketFonts(username).then(updateTicketTexture);
+
+    // The poster's onload runs initTicket; if the ticket is already up, just redraw
+    if (ticketMesh) updateTicketTexture();
+}
+
+function setTicketError(code, detail) {
+    const { title, message, detail: describe } = TICKET_ERRORS[code];
+    ticketError = { code, title, detail: describe(detail) };
+
+    ticketErrorDisplay.textContent = message;
+    ticketErrorDisplay.hidden = false;
+    downloadBtn.disabled = true;
+    downloadBtn.title = `Download unavailable: ${message}`;
+    layoutEditBtn.disabled = true;
+    cropBtn.disabled = true;
 }
 
 
@@ -78,24 +188,6 @@ scene.background = new THREE.Color(0x000000);
 const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
 camera.position.z = 5;
 
-const renderer = new THREE.WebGLRenderer({ antialias: true });
-renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setPixelRatio(window.devicePixelRatio);
-document.getElementById('canvas-container').appendChild(renderer.domElement);
-
-// Controls
-const controls = new OrbitControls(camera, renderer.domElement);
-controls.enableDamping = true;
-controls.dampingFactor = 0.05;
-
-// Lighting
-const ambientLight = new THREE.AmbientLight(0xffffff, 5);
-scene.add(ambientLight);
-
-const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
-directionalLight.position.set(5, 5, 5);
-scene.add(directionalLight);
-
 // Texture Canvas (Front)
 const canvas = document.createElement('canvas');
 canvas.width = CANVAS_WIDTH;
@@ -108,6 +200,76 @@ backCanvas.width = CANVAS_WIDTH;
 backCanvas.height = CANVAS_HEIGHT;
 const backCtx = backCanvas.getContext('2d');
 
+// Renderer is null without WebGL (old devices, disabled GPU, kiosk browsers):
+// the page then shows the 2D canvases in a FlipView, and everything but the
+// turntable exports keeps working. ?view=2d forces it, for checking the fallback.
+const { renderer, flipView } = mountTicketView({
+    container: document.getElementById('canvas-container'),
+    front: canvas,
+    back: backCanvas,
+    createRenderer: () => (urlParams.get('view') === '2d' ? null : new THREE.WebGLRenderer({ antialias: true })),
+    onFaceChange: announceFace
+});
+let controls = null;
+let keyboardView = null;
+
+if (renderer) {
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    renderer.setPixelRatio(window.devicePixelRatio);
+    document.getElementById('canvas-container').appendChild(renderer.domElement);
+
+    // The 3D view takes keys when focused; its help text is read on focus
+    renderer.domElement.tabIndex = 0;
+    renderer.domElement.setAttribute('role', 'application');
+    renderer.domElement.setAttribute('aria-roledescription', '3D ticket');
+    renderer.domElement.setAttribute('aria-label', 'Ticket');
+    renderer.domElement.setAttribute('aria-describedby', 'ticket-view-help');
+
+    // Controls
+    controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.05;
+
+    keyboardView = new KeyboardView({
+        element: renderer.domElement,
+        camera,
+        controls,
+        getMesh: () => ticketMesh,
+        onFaceChange: announceFace
+    });
+}
+
+// Lighting
+const ambientLight = new THREE.AmbientLight(0xffffff, 5);
+scene.add(ambientLight);
+
+const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
+directionalLight.position.set(5, 5, 5);
+scene.add(directionalLight);
+
+if (!renderer) {
+    document.getElementById('ticket-view-help').textContent = 'Press Enter, Space or F to flip the ticket over.';
+    // Turntable clips are rendered with WebGL
+    document.querySelectorAll('#export-format option[value="gif"], #export-format option[value="webm"]').forEach(option => {
+        option.disabled = true;
+    });
+}
+
+// Foil mask, emboss height field and the normal map made from it
+const foilCanvas = document.createElement('canvas');
+foilCanvas.width = CANVAS_WIDTH;
+foilCanvas.height = CANVAS_HEIGHT;
+const foilCtx = foilCanvas.getContext('2d');
+
+const heightCanvas = document.createElement('canvas');
+heightCanvas.width = CANVAS_WIDTH;
+heightCanvas.height = CANVAS_HEIGHT;
+const heightCtx = heightCanvas.getContext('2d');
+
+const reliefCanvas = document.createElement('canvas');
+reliefCanvas.width = CANVAS_WIDTH;
+reliefCanvas.height = CANVAS_HEIGHT;
+
 // Load Assets
 const imageLoader = new THREE.ImageLoader();
 const posterImage = new Image();
@@ -115,41 +277,173 @@ posterImage.crossOrigin = "anonymous";
     // Use dynamic poster path
     // posterImage.src = currentArtwork.posterPath; // Moved to initializeApp
 
-const qrImage = new Image();
-qrImage.crossOrigin = "anonymous";
-// Adjusted path for root ticket folder
-qrImage.src = '../public/images/mediaArtQRcode.png'; 
-let isQRLoaded = false;
-
-qrImage.onload = () => {
-    isQRLoaded = true;
-    updateTicketTexture();
-};
-
 let texture;
 let backTexture;
+let foilTexture;
+let reliefTexture;
+let frontMaterial;
 let material;
 let ticketMesh;
+let ticketStub = null;
+let surfaceMapsDueAt = 0; // when to redraw the foil and emboss maps, 0 when they're current
+let descriptionTimer = null;
+let imageViewUrls = [];
 
 // State
-let username = "";
-const enterTime = new Date();
+// The verify page links back here with name/time so the same ticket re-renders
+let username = limitGraphemes(urlParams.get('name') || "", MAX_NAME_GRAPHEMES);
+const enterTime = parseEnterTime(urlParams.get('t'));
 const formattedTime = formatDate(enterTime);
+let ticketSerial = null;
+let ticketSerialSigned = true;
+let serialPromise = Promise.resolve(null);
+let qrCache = { payload: null, qr: null };
+let isRecording = false;
+let isBatchRunning = false;
 
 // DOM Elements
 const usernameInput = document.getElementById('username-input');
 const timestampDisplay = document.getElementById('timestamp');
 const downloadBtn = document.getElementById('download-btn');
+const serialDisplay = document.getElementById('serial');
+const exportFormatSelect = document.getElementById('export-format');
+const exportWidthInput = document.getElementById('export-width');
+const exportDpiInput = document.getElementById('export-dpi');
+const exportLayoutSelect = document.getElementById('export-layout');
+const exportSheetOptions = document.getElementById('export-sheet-options');
+const exportPaperSelect = document.getElementById('export-paper');
+const exportCopiesInput = document.getElementById('export-copies');
+const exportPrintOptions = document.getElementById('export-print-options');
+const exportStatus = document.getElementById('export-status');
+const batchReport = document.getElementById('batch-report');
+const ticketErrorDisplay = document.getElementById('ticket-error');
+const batchBtn = document.getElementById('batch-btn');
+const batchFileInput = document.getElementById('batch-file');
+const ticketDescription = document.getElementById('ticket-description');
+const imageViewBtn = document.getElementById('image-view-btn');
+const imageView = document.getElementById('ticket-image-view');
+const imageViewFront = document.getElementById('ticket-image-front');
+const imageViewBack = document.getElementById('ticket-image-back');
+const imageViewCloseBtn = document.getElementById('ticket-image-close');
+const layoutSelect = document.getElementById('layout-select');
+const layoutEditBtn = document.getElementById('layout-edit-btn');
+const layoutEditorPanel = document.getElementById('layout-editor');
+const layoutNameInput = document.getElementById('layout-name');
+const layoutSaveBtn = document.getElementById('layout-save');
+const layoutExportBtn = document.getElementById('layout-export');
+const layoutImportBtn = document.getElementById('layout-import');
+const layoutFileInput = document.getElementById('layout-file');
+const layoutDeleteBtn = document.getElementById('layout-delete');
+const layoutResetBtn = document.getElementById('layout-reset');
+const layoutDoneBtn = document.getElementById('layout-done');
+const cropBtn = document.getElementById('crop-btn');
+const posterCropPanel = document.getElementById('poster-crop');
+const posterCropStage = document.getElementById('poster-crop-stage');
+const posterCropResetBtn = document.getElementById('poster-crop-reset');
+const posterCropDoneBtn = document.getElementById('poster-crop-done');
+
+const layoutStage = document.getElementById('layout-stage');
+const layoutEditor = new LayoutEditor({
+    stage: layoutStage,
+    form: document.getElementById('layout-form'),
+    getTicket: getTicketState,
+    onChange: (layout) => {
+        currentLayout = layout;
+        // Edits detach the ticket from the saved template until saved again
+        if (currentLayoutId !== null) {
+            currentLayoutId = null;
+            populateLayoutSelect();
+        }
+        updateTicketTexture();
+    }
+});
 
 timestampDisplay.textContent = formattedTime;
+usernameInput.value = username;
 
 usernameInput.addEventListener('input', (e) => {
-    username = e.target.value;
-    updateTicketTexture();
+    // Leave Hangul IME composition alone; compositionend re-runs this
+    if (e.isComposing) return;
+    setUsername(e.target.value);
 });
 
+usernameInput.addEventListener('compositionend', (e) => {
+    setUsername(e.target.value);
+});
+
+// Draw with the web fonts once they arrive (canvas doesn't wait for them)
+loadTicketFonts(username).then(updateTicketTexture);
+
 downloadBtn.addEventListener('click', downloadTicketImage);
 
+batchBtn.addEventListener('click', () => batchFileInput.click());
+
+batchFileInput.addEventListener('change', () => {
+    const [file] = batchFileInput.files;
+    batchFileInput.value = ''; // so the same file can be picked again after fixing it
+    if (file) downloadBatch(file);
+});
+
+layoutSelect.addEventListener('change', () => {
+    if (layoutSelect.value === UNSAVED_LAYOUT) return;
+    selectLayout(layoutSelect.value || null);
+    updateTicketTexture();
+    if (!layoutEditorPanel.hidden) openLayoutEditor();
+});
+
+const posterCropper = new PosterCropper({
+    stage: posterCropStage,
+    zoomInput: document.getElementById('poster-crop-zoom'),
+    getTicket: getTicketState,
+    onChange: (crop) => {
+        posterCrop = crop;
+        updateTicketTexture();
+    }
+});
+
+imageViewBtn.addEventListener('click', openImageView);
+imageViewCloseBtn.addEventListener('click', closeImageView);
+imageView.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeImageView();
+});
+
+cropBtn.addEventListener('click', openPosterCrop);
+posterCropDoneBtn.addEventListener('click', closePosterCrop);
+posterCropResetBtn.addEventListener('click', () => {
+    posterCrop = null;
+    updateTicketTexture();
+    posterCropper.open();
+});
+
+layoutEditBtn.addEventListener('click', openLayoutEditor);
+layoutDoneBtn.addEventListener('click', closeLayoutEditor);
+layoutResetBtn.addEventListener('click', resetLayoutEditor);
+layoutSaveBtn.addEventListener('click', saveCurrentLayout);
+layoutDeleteBtn.addEventListener('click', deleteCurrentLayout);
+
+layoutExportBtn.addEventListener('click', () => {
+    const name = layoutNameInput.value.trim() || 'Custom';
+    const id = currentLayoutId || layoutId(name);
+    downloadBlob(exportLayout(id, { ...layoutEditor.layout, name }), `ticket-layout-${id}.json`);
+});
+
+layoutImportBtn.addEventListener('click', () => layoutFileInput.click());
+
+layoutFileInput.addEventListener('change', () => {
+    const [file] = layoutFileInput.files;
+    layoutFileInput.value = '';
+    if (file) importLayouts(file);
+});
+
+exportLayoutSelect.addEventListener('change', () => {
+    exportSheetOptions.hidden = exportLayoutSelect.value !== 'sheet';
+});
+
+// Turntable clips have no print layout/size
+exportFormatSelect.addEventListener('change', () => {
+    exportPrintOptions.hidden = ['gif', 'webm'].includes(exportFormatSelect.value);
+});
+
 posterImage.onload = () => {
     initTicket();
 };
@@ -157,12 +451,17 @@ posterImage.onload = () => {
 // Handle image load error (fallback)
 posterImage.onerror = () => {
     console.warn(`Failed to load poster: ${currentArtwork.posterPath}`);
-    // Maybe load a default or placeholder?
-    // For now we continue, it will just be blank/black where image should be
+    setTicketError('poster-missing', currentArtwork.posterPath);
     initTicket();
 };
 
 function initTicket() {
+    if (!renderer) {
+        // 2D fallback: the canvases are all there is
+        updateTicketTexture();
+        return;
+    }
+
     texture = new THREE.CanvasTexture(canvas);
     texture.colorSpace = THREE.SRGBColorSpace;
     texture.minFilter = THREE.LinearFilter;
@@ -173,11 +472,26 @@ function initTicket() {
     backTexture.minFilter = THREE.LinearFilter;
     backTexture.magFilter = THREE.LinearFilter;
 
-    // Front material with dynamic texture
-    const frontMaterial = new THREE.MeshStandardMaterial({ 
+    // Data maps, read as-is (no sRGB decoding)
+    foilTexture = new THREE.CanvasTexture(foilCanvas);
+    reliefTexture = new THREE.CanvasTexture(reliefCanvas);
+
+    // Front material with dynamic texture; the foil mask scales roughness,
+    // metalness and iridescence, the relief map embosses the text
+    frontMaterial = new THREE.MeshPhysicalMaterial({
         map: texture,
-        roughness: 0.2,
-        metalness: 0.6
+        roughness: 1,
+        roughnessMap: foilTexture,
+        metalness: 1,
+        metalnessMap: foilTexture,
+        iridescence: 1,
+        iridescenceMap: foilTexture,
+        iridescenceIOR: 1.6,
+        iridescenceThicknessRange: [150, 1200],
+        normalMap: reliefTexture,
+        // Something for the foil to reflect; the scene itself is black
+        envMap: createFoilEnvironment(),
+        envMapIntensity: 0.5
     });
 
     // Back material with dynamic texture
@@ -209,190 +523,534 @@ function initTicket() {
     ticketMesh.rotation.y = -Math.PI / 6; // Rotate 30 degrees
     scene.add(ticketMesh);
 
+    if (!ticketError) {
+        ticketStub = new TearOffStub({
+            ticket: ticketMesh,
+            size: { width: TICKET_WIDTH, height: TICKET_HEIGHT, depth: TICKET_DEPTH },
+            edgeMaterial: bodyMaterial,
+            camera,
+            domElement: renderer.domElement,
+            controls
+        });
+    }
+
     updateTicketTexture();
+    updateSurfaceMaps();
     animate();
 }
 
+function createFoilEnvironment() {
+    const pmremGenerator = new THREE.PMREMGenerator(renderer);
+    const envMap = pmremGenerator.fromScene(new RoomEnvironment(), 0.04).texture;
+    pmremGenerator.dispose();
+    return envMap;
+}
+
+// Foil and emboss follow the text layout, so they're redrawn with it
+function updateSurfaceMaps() {
+    surfaceMapsDueAt = 0;
+    if (!foilTexture) return;
+    const ticket = getTicketState();
+    const { foil, emboss } = resolveTheme(currentArtwork, currentLayout);
+    // The error card is plain paper
+    const plain = !currentArtwork.id;
+
+    drawTicketMask(foilCtx, ticket, { slots: plain ? [] : foil, background: PAPER_SURFACE, fill: FOIL_SURFACE });
+    drawTicketMask(heightCtx, ticket, { slots: plain ? [] : emboss, background: '#000000', fill: '#ffffff' });
+    drawNormalMap(reliefCanvas, heightCanvas, { strength: EMBOSS_STRENGTH });
+    foilTexture.needsUpdate = true;
+    reliefTexture.needsUpdate = true;
+}
+
 function updateTicketTexture() {
     if (!ctx) return;
-    drawTicket(ctx, false);
+    surfaceMapsDueAt = performance.now() + SURFACE_MAP_DELAY;
+    scheduleDescription();
+    if (!currentArtwork.id) {
+        // No artwork to issue a ticket for: error card on both faces
+        drawTicketError(ctx, getTicketState());
+        drawTicketError(backCtx, getTicketState());
+        if (texture) texture.needsUpdate = true;
+        if (backTexture) backTexture.needsUpdate = true;
+        if (flipView) flipView.refresh();
+        return;
+    }
+    drawTicketFront(ctx, getTicketState());
     if (texture) texture.needsUpdate = true;
+    if (ticketStub) ticketStub.draw(getTicketState());
+    layoutEditor.refresh();
+    posterCropper.refresh();
     updateBackTicketTexture();
+    if (flipView) flipView.refresh();
+}
+
+function setUsername(value) {
+    const limited = limitGraphemes(value, MAX_NAME_GRAPHEMES);
+    if (limited !== value) usernameInput.value = limited;
+    username = limited;
+    updateTicketTexture();
+    refreshSerial();
+    loadTicketFonts(username).then(updateTicketTexture);
+}
+
+// Fetches the Hangul/emoji subsets a name needs before it is drawn again
+function loadTicketFonts(text) {
+    const { fonts } = resolveTheme(currentArtwork);
+    return loadFontsFor(Object.values(fonts), `${text}${currentArtwork.displayName}`);
+}
+
+function refreshSerial() {
+    if (!currentArtwork.serialCode) return serialPromise;
+
+    const request = issueTicketSerial({
+        artworkId: currentArtwork.id,
+        serialCode: currentArtwork.serialCode,
+        username,
+        enterTime
+    })
+        .then(({ serial, signed }) => {
+            // Drop results for a name that has since been edited
+            if (serialPromise !== request) return serial;
+            ticketSerial = serial;
+            ticketSerialSigned = signed;
+            serialDisplay.textContent = serial;
+            // crypto.subtle is missing outside secure contexts (e.g. plain http on a LAN IP)
+            if (!signed) exportStatus.textContent = UNSIGNED_NOTICE;
+            updateTicketTexture();
+            return serial;
+        })
+        .catch(error => {
+            console.error('Error creating ticket serial:', error);
+            exportStatus.textContent = `serial failed: ${error.message}`;
+            return null;
+        });
+    serialPromise = request;
+    return request;
+}
+
+function getTicketPayload() {
+    return ticketVerifyUrl(ticketSerial, window.location.origin);
+}
+
+function getTicketQR() {
+    if (!ticketSerial) return null;
+    const payload = getTicketPayload();
+    if (qrCache.payload !== payload) {
+        qrCache = { payload, qr: encodeQR(payload, { ecl: 'L' }) };
+    }
+    return qrCache.qr;
+}
+
+function getTicketState() {
+    return {
+        artwork: currentArtwork,
+        username,
+        formattedTime,
+        serial: ticketSerial,
+        qr: getTicketQR(),
+        poster: posterImage,
+        error: ticketError,
+        layout: currentLayout,
+        posterCrop
+    };
 }
 
-function drawTicket(context, useRealQR = false) {
-    // Background
-    context.fillStyle = currentArtwork.color;
-    context.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
-
-    // Image (Left side)
-    const circleX = CANVAS_HEIGHT / 2 + 50; // Padding from left
-    const circleY = CANVAS_HEIGHT / 2;
-    const circleRadius = CANVAS_HEIGHT * 0.45;
-
-    context.save();
-    context.beginPath();
-    context.arc(circleX, circleY, circleRadius, 0, Math.PI * 2);
-    context.closePath();
-    context.clip();
-    
-    // Draw image centered in the circle
-    if (posterImage.complete && posterImage.naturalWidth > 0) {
-        const imgAspect = posterImage.width / posterImage.height;
-        let drawWidth = circleRadius * 2;
-        let drawHeight = drawWidth / imgAspect;
-        if (drawHeight < circleRadius * 2) {
-            drawHeight = circleRadius * 2;
-            drawWidth = drawHeight * imgAspect;
+async function downloadTicketImage() {
+    if (ticketError) return;
+
+    // Make sure the QR/serial match the name currently typed
+    await serialPromise;
+    updateTicketTexture();
+
+    const format = exportFormatSelect.value;
+    if (format === 'gif' || format === 'webm') {
+        await downloadTurntable(format);
+        return;
+    }
+
+    const options = getPrintOptions();
+    const tickets = [getTicketState()];
+    const baseName = `${currentArtwork.id || artworkId}-ticket-${ticketSerial || new Date().getTime()}`;
+
+    exportStatus.textContent = `exporting ${format}`;
+    try {
+        if (format === 'pdf') {
+            downloadBlob(await createTicketPdf(tickets, options), `${baseName}-${options.layout}.pdf`);
+        } else {
+            const files = format === 'svg'
+                ? createTicketSvgs(tickets, options)
+                : await createTicketPngs(tickets, options);
+            files.forEach(file => {
+                // Plain front downloads keep the old filename
+                const suffix = options.layout === 'front' ? '' : `-${file.name}`;
+                downloadBlob(file.blob, `${baseName}${suffix}.${format}`);
+            });
         }
-        context.drawImage(posterImage, circleX - drawWidth/2, circleY - drawHeight/2, drawWidth, drawHeight);
-    } else {
-        // Placeholder if image missing
-        context.fillStyle = '#000000';
-        context.fillRect(circleX - circleRadius, circleY - circleRadius, circleRadius * 2, circleRadius * 2);
+        clearExportStatus();
+        recordInWallet();
+    } catch (error) {
+        console.error('Error exporting ticket:', error);
+        exportStatus.textContent = `export failed: ${error.message}`;
+    }
+}
+
+// Progress is done; an unsigned serial stays worth pointing out
+function clearExportStatus() {
+    exportStatus.textContent = ticketSerialSigned ? '' : UNSIGNED_NOTICE;
+}
+
+// Every ticket the visitor downloads is kept for the wallet page
+function recordInWallet() {
+    if (!ticketSerial || !currentArtwork.id) return;
+    saveToWallet(getTicketState(), { artworkId: currentArtwork.id, enterTime, layoutId: currentLayoutId })
+        .catch(error => console.warn('Could not save ticket to wallet:', error));
+}
+
+function getPrintOptions() {
+    return {
+        widthMm: Number(exportWidthInput.value) || DEFAULT_PRINT_OPTIONS.widthMm,
+        dpi: Number(exportDpiInput.value) || DEFAULT_PRINT_OPTIONS.dpi,
+        layout: exportLayoutSelect.value,
+        paper: exportPaperSelect.value,
+        copies: Number(exportCopiesInput.value) || DEFAULT_PRINT_OPTIONS.copies
+    };
+}
+
+// Guest list -> ZIP of PNG/SVG files, or one PDF, in the current format and layout
+async function downloadBatch(file) {
+    if (isBatchRunning) return;
+
+    const format = exportFormatSelect.value;
+    if (!['png', 'svg', 'pdf'].includes(format)) {
+        exportStatus.textContent = 'batch export needs png, svg or pdf';
+        return;
     }
-    context.restore();
-
-    // Text styling
-    context.fillStyle = '#000000';
-    context.font = 'bold 24px "Share Tech Mono", monospace';
-    context.textBaseline = 'top';
-
-    // Top Right: Display Name
-    context.textAlign = 'right';
-    context.fillText(currentArtwork.displayName, CANVAS_WIDTH - 50, 40);
-
-    // Right Middle: username
-    const rightCenterX = CANVAS_WIDTH * 0.75;
-    const centerY = CANVAS_HEIGHT / 2 - 20;
-
-    context.textAlign = 'center';
-    
-    // User input
-    context.font = '40px "Share Tech Mono", monospace';
-    // Center the block vertically
-    context.fillText(username || 'YOUR NAME', rightCenterX, centerY - 15);
-
-    // Timestamp under name
-    context.font = '20px "Share Tech Mono", monospace';
-    context.fillText(formattedTime.replace('\n', ' '), rightCenterX, centerY + 35);
-    
-    // QR Code
-    const qrSize = 60;
-    const qrX = CANVAS_WIDTH - qrSize - 30;
-    const qrY = CANVAS_HEIGHT - qrSize - 30;
-
-    if (useRealQR && isQRLoaded) {
-        context.drawImage(qrImage, qrX, qrY, qrSize, qrSize);
-    } else {
-        context.fillStyle = '#000000';
-        context.fillRect(qrX, qrY, qrSize, qrSize);
-        // Fake QR pattern
-        context.fillStyle = currentArtwork.color; // Use artwork color
-        for(let i=0; i<4; i++) {
-            for(let j=0; j<4; j++) {
-                if(Math.random() > 0.5) {
-                    context.fillRect(qrX + i*13 + 3, qrY + j*13 + 3, 10, 10);
+
+    isBatchRunning = true;
+    batchBtn.disabled = true;
+    exportStatus.textContent = 'batch: reading guest list';
+    showBatchReport(file.name, []);
+    try {
+        const { guests, errors: rowErrors } = parseGuestList(await file.text(), file.name);
+        const { tickets, errors, signed } = await createBatchTickets(guests, {
+            catalog: ARTWORKS,
+            defaultArtworkId: currentArtwork.id,
+            enterTime: new Date(),
+            origin: window.location.origin,
+            maxNameGraphemes: MAX_NAME_GRAPHEMES,
+            layout: currentLayout,
+            onProgress: (done, total) => {
+                exportStatus.textContent = `batch: preparing ${done}/${total}`;
+            }
+        });
+
+        const problems = [...rowErrors.map(error => ({ ...error, skipped: true })), ...errors].sort((a, b) => a.line - b.line);
+        showBatchReport(file.name, problems);
+        if (tickets.length === 0) throw new Error('no printable guests in the list');
+
+        const options = getPrintOptions();
+        const states = tickets.map(ticket => ticket.state);
+        await Promise.all(states.map(state => loadFontsFor(
+            Object.values(resolveTheme(state.artwork).fonts),
+            `${state.username}${state.artwork.displayName}`
+        )));
+        const baseName = `${file.name.replace(/\.[^.]+$/, '')}-tickets`;
+        const onProgress = (progress) => {
+            exportStatus.textContent = `batch: rendering ${Math.round(progress * 100)}%`;
+        };
+
+        if (format === 'pdf') {
+            downloadBlob(await createTicketPdf(states, options, onProgress), `${baseName}-${options.layout}.pdf`);
+        } else {
+            const files = format === 'svg'
+                ? createTicketSvgs(states, options)
+                : await createTicketPngs(states, options, onProgress);
+            const zip = new ZipWriter();
+            for (const output of files) {
+                // Sheets hold many guests and keep their sheetN names
+                let stem = output.name;
+                if (output.ticketIndex !== undefined) {
+                    stem = batchFileStem(output.ticketIndex, states.length, states[output.ticketIndex]);
+                    if (options.layout !== 'front') stem += `-${output.name}`;
                 }
+                await zip.addFile(`${stem}.${format}`, output.blob);
             }
+            downloadBlob(zip.finish(), `${baseName}-${format}.zip`);
         }
+
+        const skipped = problems.filter(problem => problem.skipped).length;
+        const shortened = problems.length - skipped;
+        exportStatus.textContent = [
+            `batch: ${tickets.length} tickets`,
+            skipped > 0 ? `${skipped} skipped` : '',
+            shortened > 0 ? `${shortened} shortened` : ''
+        ].filter(Boolean).join(', ') + (signed ? '' : `; ${UNSIGNED_NOTICE}`);
+    } catch (error) {
+        console.error('Error exporting batch:', error);
+        exportStatus.textContent = `batch failed: ${error.message}`;
+    } finally {
+        isBatchRunning = false;
+        batchBtn.disabled = false;
     }
+}
 
-    // Bottom Left Details
-    const distFromCenter = qrX - rightCenterX;
-    const textWidth = context.measureText(currentArtwork.createdDate || '260120').width;
-    const textRightEdge = rightCenterX - distFromCenter - textWidth;
-
-    context.fillStyle = '#000000';
-    context.textAlign = 'left'; 
-    context.font = '16px "Share Tech Mono", monospace';
-    
-    // Vertical Alignment
-    const bottomY = qrY + qrSize/2 + 12;
-    
-    context.fillText(currentArtwork.createdDate || '260120', textRightEdge, bottomY - 40);
-    context.fillText('HAEUN', textRightEdge, bottomY - 20);
-    context.fillText('WEB', textRightEdge, bottomY);
-}
-
-function downloadTicketImage() {
-    // Draw with Real QR for download
-    drawTicket(ctx, true);
-    
-    const dataURL = canvas.toDataURL('image/png');
-    
-    // Restore Fake QR for screen
-    drawTicket(ctx, false);
-    if (texture) texture.needsUpdate = true;
+// Every row the batch skipped or changed, under the status line
+function showBatchReport(fileName, problems) {
+    batchReport.replaceChildren(...problems.map(({ line, message, skipped }) => {
+        const item = document.createElement('li');
+        item.textContent = `${fileName} line ${line}: ${message}${skipped ? ' (skipped)' : ''}`;
+        return item;
+    }));
+    batchReport.hidden = problems.length === 0;
+    problems.forEach(({ line, message }) => console.warn(`${fileName} line ${line}: ${message}`));
+}
 
-    const link = document.createElement('a');
-    link.download = `${artworkId}-ticket-${new Date().getTime()}.png`; // Use artwork ID in filename
-    link.href = dataURL;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+async function downloadTurntable(format) {
+    if (!ticketMesh || isRecording) return;
+
+    if (surfaceMapsDueAt) updateSurfaceMaps();
+    isRecording = true;
+    downloadBtn.disabled = true;
+    exportStatus.textContent = 'recording 0%';
+    try {
+        const blob = await recordTurntable({
+            renderer,
+            scene,
+            mesh: ticketMesh,
+            format,
+            onProgress: (progress) => {
+                exportStatus.textContent = `recording ${Math.round(progress * 100)}%`;
+            }
+        });
+        const baseName = `${currentArtwork.id || artworkId}-ticket-${ticketSerial || new Date().getTime()}`;
+        downloadBlob(blob, `${baseName}-turntable.${format}`);
+        clearExportStatus();
+        recordInWallet();
+    } catch (error) {
+        console.error('Error recording turntable:', error);
+        exportStatus.textContent = error.message;
+    } finally {
+        isRecording = false;
+        downloadBtn.disabled = Boolean(ticketError);
+    }
 }
 
-function updateBackTicketTexture() {
-    if (!backCtx) return;
+// Every template by id; saved ones shadow curated ones with the same id
+function findLayout(id) {
+    if (!id) return null;
+    if (Object.prototype.hasOwnProperty.call(savedLayouts, id)) return savedLayouts[id];
+    if (Object.prototype.hasOwnProperty.call(LAYOUTS, id)) return LAYOUTS[id];
+    return null;
+}
+
+function selectLayout(id) {
+    const layout = findLayout(id);
+    if (id && !layout) console.warn(`Unknown ticket layout "${id}", using the classic one`);
+    currentLayoutId = layout ? id : null;
+    currentLayout = layout;
+    populateLayoutSelect();
+}
+
+function populateLayoutSelect() {
+    // Keep ?layout= in the address so a reload (or a shared link) shows the same ticket
+    const params = new URLSearchParams(window.location.search);
+    if (currentLayoutId) params.set('layout', currentLayoutId);
+    else params.delete('layout');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+
+    const option = (value, text) => {
+        const element = document.createElement('option');
+        element.value = value;
+        element.textContent = text;
+        return element;
+    };
+    const options = [option('', 'classic')];
+    Object.entries(LAYOUTS)
+        .filter(([id]) => !Object.prototype.hasOwnProperty.call(savedLayouts, id))
+        .forEach(([id, layout]) => options.push(option(id, layout.name)));
+    Object.entries(savedLayouts).forEach(([id, layout]) => options.push(option(id, `${layout.name} (mine)`)));
+    if (currentLayout && !currentLayoutId) {
+        options.push(option(UNSAVED_LAYOUT, `${currentLayout.name} (unsaved)`));
+    }
+
+    layoutSelect.replaceChildren(...options);
+    layoutSelect.value = currentLayout && !currentLayoutId ? UNSAVED_LAYOUT : currentLayoutId || '';
+    layoutDeleteBtn.disabled = !currentLayoutId || !Object.prototype.hasOwnProperty.call(savedLayouts, currentLayoutId);
+}
 
-    // Background
-    backCtx.fillStyle = currentArtwork.color;
-    backCtx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
-
-    // Flip horizontally to correct for back face mirroring
-    backCtx.save();
-    // backCtx.translate(CANVAS_WIDTH, 0);
-    // backCtx.scale(-1, 1);
-    
-    // Display Name Large Text
-    backCtx.fillStyle = '#000000';
-    backCtx.font = 'bold 60px "Share Tech Mono", monospace'; // Large font size
-    backCtx.textBaseline = 'middle';
-    backCtx.textAlign = 'left';
-    
-    // Position it roughly centered left-ish like the reference image
-    const startX = 100;
-    const startY = CANVAS_HEIGHT / 2 - 50;
-    
-    backCtx.fillText(currentArtwork.displayName, startX, startY);
-
-    // "username" and timestamp below
-    backCtx.font = '30px "Share Tech Mono", monospace';
-    backCtx.textAlign = 'left';
-    
-    // "username" text
-    const nameY = startY + 100;
-    backCtx.fillText(username || 'YOUR NAME', startX, nameY);
-
-    // "timestamp here" text
-    const timeX = startX + 300; // Adjust spacing as needed
-    backCtx.fillText(formattedTime.replace('\n', ' '), timeX, nameY);
-
-    backCtx.restore();
+// Edit from what the ticket shows now: the selected template (or earlier
+// unsaved edits) over the artwork's theme
+function openLayoutEditor() {
+    if (ticketError) return;
+    layoutEditorBase = { id: currentLayoutId, layout: currentLayout };
+    resetLayoutEditor();
+}
+
+function resetLayoutEditor() {
+    const { id, layout } = layoutEditorBase;
+    const name = layout ? layout.name : `${currentArtwork.displayName} custom`;
+    currentLayoutId = id;
+    currentLayout = layout;
+    populateLayoutSelect();
+    updateTicketTexture();
+
+    layoutNameInput.value = name;
+    closePosterCrop();
+    layoutStage.prepend(canvas);
+    layoutEditorPanel.hidden = false;
+    layoutEditor.open(layoutFromTheme(resolveTheme(currentArtwork, layout), name));
+}
+
+// The edits stay on the ticket; save makes them a template
+function closeLayoutEditor() {
+    layoutEditor.close();
+    layoutEditorPanel.hidden = true;
+    canvas.remove();
+}
 
+// Pan/zoom the poster; the crop stays on the ticket and in its downloads
+function openPosterCrop() {
+    if (ticketError) return;
+    closeLayoutEditor();
+    posterCropStage.prepend(canvas);
+    posterCropPanel.hidden = false;
+    posterCropper.open();
+}
+
+function closePosterCrop() {
+    posterCropper.close();
+    posterCropPanel.hidden = true;
+    canvas.remove();
+}
+
+function saveCurrentLayout() {
+    const name = layoutNameInput.value.trim();
+    if (!name) {
+        layoutNameInput.focus();
+        return;
+    }
+    const id = layoutId(name);
+    try {
+        saveLayout(id, { ...layoutEditor.layout, name });
+    } catch (error) {
+        console.error('Error saving ticket layout:', error);
+        exportStatus.textContent = `layout not saved: ${error.message}`;
+        return;
+    }
+    savedLayouts = loadSavedLayouts();
+    selectLayout(id);
+    exportStatus.textContent = `layout saved as "${name}"`;
+}
+
+function deleteCurrentLayout() {
+    if (!currentLayoutId || !window.confirm(`Delete the layout "${currentLayout.name}"?`)) return;
+    removeSavedLayout(currentLayoutId);
+    savedLayouts = loadSavedLayouts();
+    // Keep showing it as unsaved edits, so a mistaken delete can be saved back
+    currentLayoutId = null;
+    layoutEditorBase = { id: null, layout: currentLayout };
+    populateLayoutSelect();
+}
+
+// A layouts.json-shaped file, e.g. from another curator's export
+async function importLayouts(file) {
+    let layouts;
+    try {
+        layouts = JSON.parse(await file.text());
+    } catch (error) {
+        exportStatus.textContent = `layout import failed: ${error.message}`;
+        return;
+    }
+    const errors = catalogSchema ? validateLayouts(layouts, catalogSchema) : [];
+    if (errors.length > 0) {
+        console.error(`${file.name} failed validation:\n${formatValidationErrors(errors)}`);
+        exportStatus.textContent = `layout import failed: ${errors[0].path || 'file'} ${errors[0].message}`;
+        return;
+    }
+    const ids = Object.keys(layouts);
+    if (ids.length === 0) {
+        exportStatus.textContent = 'layout import failed: no layouts in file';
+        return;
+    }
+    try {
+        ids.forEach(id => saveLayout(id, layouts[id]));
+    } catch (error) {
+        console.error('Error saving imported layouts:', error);
+        exportStatus.textContent = `layout import failed: ${error.message}`;
+        return;
+    }
+    savedLayouts = loadSavedLayouts();
+    selectLayout(ids[0]);
+    updateTicketTexture();
+    if (!layoutEditorPanel.hidden) openLayoutEditor();
+    exportStatus.textContent = `imported ${ids.length} layout${ids.length === 1 ? '' : 's'}`;
+}
+
+// Live region: what the ticket says, once typing pauses
+function scheduleDescription() {
+    clearTimeout(descriptionTimer);
+    descriptionTimer = setTimeout(() => announce(describeTicket(getTicketState())), DESCRIPTION_DELAY);
+}
+
+function announceFace(face) {
+    announce(face === 'front' ? 'Showing the front.' : 'Showing the back.');
+}
+
+function announce(text) {
+    if (ticketDescription.textContent !== text) ticketDescription.textContent = text;
+}
+
+// Both faces as plain images, with the description as alt text
+async function openImageView() {
+    const state = getTicketState();
+    const [front, back] = await Promise.all([canvasToBlob(canvas, 'image/png'), canvasToBlob(backCanvas, 'image/png')]);
+    imageViewUrls.forEach(url => URL.revokeObjectURL(url));
+    imageViewUrls = [URL.createObjectURL(front), URL.createObjectURL(back)];
+
+    imageViewFront.src = imageViewUrls[0];
+    imageViewFront.alt = describeTicket(state);
+    imageViewBack.src = imageViewUrls[1];
+    imageViewBack.alt = ticketError && !currentArtwork.id
+        ? imageViewFront.alt
+        : `Back of the ticket: ${currentArtwork.displayName}, ${state.username || 'no name yet'}, ${formattedTime.replace('\n', ' ')}.`;
+
+    imageView.hidden = false;
+    imageViewCloseBtn.focus();
+}
+
+function closeImageView() {
+    imageView.hidden = true;
+    imageViewBtn.focus();
+}
+
+function updateBackTicketTexture() {
+    if (!backCtx) return;
+    drawTicketBack(backCtx, getTicketState());
     if (backTexture) backTexture.needsUpdate = true;
 }
 
-function formatDate(date) {
-    // 2026-01-24 15:45:00 format
-    const yyyy = date.getFullYear();
-    const mm = String(date.getMonth() + 1).padStart(2, '0');
-    const dd = String(date.getDate()).padStart(2, '0');
-    const hh = String(date.getHours()).padStart(2, '0');
-    const min = String(date.getMinutes()).padStart(2, '0');
-    const ss = String(date.getSeconds()).padStart(2, '0');
-    return `${yyyy}-${mm}-${dd}\n${hh}:${min}:${ss}`;
+// ?t= in epoch ms; anything a serial can't carry (before 1970, past 3058) means now
+function parseEnterTime(value) {
+    const date = new Date(value ? Number(value) : NaN);
+    return isSerialTime(date) ? date : new Date();
 }
 
 function animate() {
     requestAnimationFrame(animate);
+    const now = performance.now();
+    if (surfaceMapsDueAt && now >= surfaceMapsDueAt) updateSurfaceMaps();
+    // The turntable recorder drives the renderer itself while capturing
+    if (isRecording) return;
+    if (ticketStub) ticketStub.update(now);
+    keyboardView.update(now);
     controls.update();
     renderer.render(scene, camera);
 }
 
 // Handle resize
 window.addEventListener('resize', () => {
+    if (!renderer) return;
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
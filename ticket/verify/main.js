@@ -0,0 +1,82 @@
+import { verifyTicketSerial } from '../js/serial.js';
+import { formatDate } from '../js/format.js';
+
+// DOM Elements
+const form = document.getElementById('verify-form');
+const serialInput = document.getElementById('serial-input');
+const nameInput = document.getElementById('name-input');
+const resultEl = document.getElementById('verify-result');
+
+// Prefill from the ticket QR (/ticket/verify/?serial=...). Older tickets also
+// carry &name=...; newer ones leave the name for staff to type from the ticket.
+const urlParams = new URLSearchParams(window.location.search);
+serialInput.value = urlParams.get('serial') || '';
+nameInput.value = urlParams.get('name') || '';
+
+const catalogPromise = fetch('/data/artworks.json')
+    .then(response => response.json());
+
+form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    runVerification();
+});
+
+// Pasting a whole scanned URL into the serial field should just work
+serialInput.addEventListener('paste', () => {
+    setTimeout(runVerification, 0);
+});
+
+if (serialInput.value) runVerification();
+
+async function runVerification() {
+    const serial = serialInput.value.trim();
+    const name = nameInput.value.trim();
+    if (!serial) {
+        renderResult(null);
+        return;
+    }
+
+    try {
+        const catalog = await catalogPromise;
+        const result = await verifyTicketSerial(serial, catalog, name);
+        renderResult(result, name);
+    } catch (error) {
+        console.error('Error verifying ticket:', error);
+        renderResult({ genuine: false, reason: 'verification unavailable' });
+    }
+}
+
+function renderResult(result, name) {
+    resultEl.replaceChildren();
+    resultEl.className = 'verify-result';
+    if (!result) return;
+
+    resultEl.classList.add(result.genuine ? 'genuine' : 'invalid');
+    addLine('status', result.genuine ? 'genuine ticket' : `invalid: ${result.reason}`);
+
+    if (result.artwork) addLine('detail', result.artwork.displayName);
+    if (result.issuedAt) addLine('detail', `issued ${formatDate(result.issuedAt).replace('\n', ' ')}`);
+
+    if (result.nameMatches === true) addLine('detail', `name matches: ${name}`);
+    if (result.nameMatches === false) addLine('status', 'name does not match');
+
+    // Re-open the ticket itself (the name can't be recovered from the serial alone)
+    if (result.genuine && name) {
+        const params = new URLSearchParams({
+            artwork: result.artworkId,
+            name,
+            t: String(result.issuedAt.getTime())
+        });
+        const link = document.createElement('a');
+        link.href = `/ticket/?${params}`;
+        link.textContent = 'view ticket';
+        resultEl.appendChild(link);
+    }
+}
+
+function addLine(className, text) {
+    const line = document.createElement('div');
+    line.className = className;
+    line.textContent = text;
+    resultEl.appendChild(line);
+}
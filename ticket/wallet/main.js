@@ -0,0 +1,179 @@
+import { listWallet, removeFromWallet, saveToWallet } from '../js/wallet.js';
+import { createBatchTickets } from '../js/batch.js';
+import { createTicketPngs, createTicketPdf, downloadBlob } from '../js/export.js';
+import { resolveTheme } from '../js/theme.js';
+import { loadFontsFor } from '../js/text-fit.js';
+import { formatDate } from '../js/format.js';
+
+// DOM Elements
+const collectionEl = document.getElementById('collection');
+const statusEl = document.getElementById('wallet-status');
+const listEl = document.getElementById('wallet-list');
+
+// Thumbnail object URLs, revoked on every re-render
+let thumbnailUrls = [];
+
+const catalogPromise = fetch('/data/artworks.json')
+    .then(response => {
+        if (!response.ok) throw new Error(`artworks.json: HTTP ${response.status}`);
+        return response.json();
+    })
+    .catch(error => {
+        console.error('Error loading artwork config:', error);
+        return {};
+    });
+
+render();
+
+async function render() {
+    const catalog = await catalogPromise;
+    let tickets;
+    try {
+        tickets = await listWallet();
+    } catch (error) {
+        console.error('Error opening ticket wallet:', error);
+        statusEl.textContent = 'wallet unavailable in this browser';
+        return;
+    }
+
+    renderCollection(catalog, tickets);
+
+    thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+    thumbnailUrls = [];
+    listEl.replaceChildren(...tickets.map(ticket => renderTicket(ticket, catalog)));
+
+    if (tickets.length === 0) {
+        statusEl.replaceChildren('no tickets yet. ');
+        const link = document.createElement('a');
+        link.href = '/';
+        link.textContent = 'visit an artwork';
+        statusEl.appendChild(link);
+    } else {
+        statusEl.textContent = '';
+    }
+}
+
+// One stamp per artwork in the catalog: the "collect all four" row
+function renderCollection(catalog, tickets) {
+    const collected = new Set(tickets.map(ticket => ticket.artworkId));
+    const ids = Object.keys(catalog);
+
+    const stamps = ids.map(id => {
+        const stamp = document.createElement('a');
+        stamp.className = collected.has(id) ? 'stamp collected' : 'stamp';
+        stamp.href = `/${id}/`;
+        stamp.textContent = catalog[id].displayName;
+        stamp.title = collected.has(id) ? 'collected' : 'not collected yet';
+        return stamp;
+    });
+
+    const count = document.createElement('div');
+    count.className = 'collection-count';
+    count.textContent = `${ids.filter(id => collected.has(id)).length} / ${ids.length} collected`;
+
+    collectionEl.replaceChildren(count, ...stamps);
+}
+
+function renderTicket(ticket, catalog) {
+    const artwork = catalog[ticket.artworkId];
+    const item = document.createElement('li');
+    item.className = 'wallet-ticket';
+
+    const thumbnail = document.createElement('img');
+    const url = URL.createObjectURL(ticket.thumbnail);
+    thumbnailUrls.push(url);
+    thumbnail.src = url;
+    thumbnail.alt = `${artwork ? artwork.displayName : ticket.artworkId} ticket for ${ticket.username || 'YOUR NAME'}`;
+
+    const details = document.createElement('div');
+    details.className = 'details';
+    [
+        ['title', artwork ? artwork.displayName : ticket.artworkId],
+        ['name', ticket.username || 'YOUR NAME'],
+        ['time', formatDate(new Date(ticket.enterTime)).replace('\n', ' ')],
+        ['serial', ticket.serial]
+    ].forEach(([className, text]) => {
+        const line = document.createElement('div');
+        line.className = className;
+        line.textContent = text;
+        details.appendChild(line);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+
+    // The ticket page redraws it in 3D from these fields
+    const params = new URLSearchParams({ artwork: ticket.artworkId, name: ticket.username, t: String(ticket.enterTime) });
+    if (ticket.layoutId) params.set('layout', ticket.layoutId);
+    const open = document.createElement('a');
+    open.href = `/ticket/?${params}`;
+    open.textContent = 'open';
+    actions.appendChild(open);
+
+    if (artwork) {
+        actions.appendChild(actionButton('png', () => redownload(ticket, catalog, 'png')));
+        actions.appendChild(actionButton('pdf', () => redownload(ticket, catalog, 'pdf')));
+    }
+    actions.appendChild(actionButton('remove', async () => {
+        if (!window.confirm(`Remove the ${artwork ? artwork.displayName : ticket.artworkId} ticket?`)) return;
+        await removeFromWallet(ticket.serial);
+        render();
+    }));
+
+    details.appendChild(actions);
+    item.append(thumbnail, details);
+    return item;
+}
+
+function actionButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+        try {
+            await onClick();
+        } catch (error) {
+            console.error(`Error running wallet action "${label}":`, error);
+            statusEl.textContent = `${label} failed: ${error.message}`;
+        } finally {
+            button.disabled = false;
+        }
+    });
+    return button;
+}
+
+// Rebuild the ticket from its record, exactly as the ticket page draws it
+async function redownload(ticket, catalog, format) {
+    statusEl.textContent = 'rendering…';
+    const { tickets, errors } = await createBatchTickets([{
+        line: 1,
+        name: ticket.username,
+        artworkId: ticket.artworkId,
+        enterTime: new Date(ticket.enterTime)
+    }], {
+        catalog,
+        defaultArtworkId: null,
+        enterTime: new Date(ticket.enterTime),
+        origin: window.location.origin,
+        layout: ticket.layout || null
+    });
+    if (tickets.length === 0) throw new Error(errors[0].message);
+
+    const { state } = tickets[0];
+    state.posterCrop = ticket.posterCrop || null;
+    await loadFontsFor(Object.values(resolveTheme(state.artwork).fonts), `${state.username}${state.artwork.displayName}`);
+
+    const baseName = `${ticket.artworkId}-ticket-${state.serial}`;
+    if (format === 'pdf') {
+        downloadBlob(await createTicketPdf([state], { layout: 'duplex' }), `${baseName}-duplex.pdf`);
+    } else {
+        const [file] = await createTicketPngs([state], { layout: 'front' });
+        downloadBlob(file.blob, `${baseName}.png`);
+    }
+
+    // Refresh the thumbnail in case the artwork's theme changed since
+    await saveToWallet(state, { artworkId: ticket.artworkId, enterTime: new Date(ticket.enterTime), layoutId: ticket.layoutId || null });
+    if (state.serial !== ticket.serial) await removeFromWallet(ticket.serial);
+    render();
+}
@@ -3,6 +3,8 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
 import { FontLoader } from 'three/addons/loaders/FontLoader.js';
 import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
+import { warmLoadingManager } from '/shared/prefetch.js';
+import { LoadingOverlay } from '/shared/loading-overlay.js';
 
 // --- CONFIGURATION ---
 const CONFIG = {
@@ -27,26 +29,16 @@ const CONFIG = {
 };
 
 const HDRI_PATH = './assets/studio.hdr';
-const FONT_PATH = 'https://threejs.org/examples/fonts/helvetiker_bold.typeface.json';
+const FONT_PATH = '/vendor/three/examples/fonts/helvetiker_bold.typeface.json';
 
 // --- LOADING MANAGER ---
 const loadingManager = new THREE.LoadingManager();
-const progressBar = document.getElementById('loading-progress-container');
-const loadingOverlay = document.getElementById('loading-overlay');
+const loadingOverlay = new LoadingOverlay();
+loadingOverlay.show('TO-DO');
+loadingOverlay.trackLoadingManager(loadingManager);
 
-loadingManager.onProgress = (url, itemsLoaded, itemsTotal) => {
-    const progress = (itemsLoaded / itemsTotal) * 100;
-    if (progressBar) progressBar.style.width = progress + '%';
-};
-
-loadingManager.onLoad = () => {
-    if (loadingOverlay) {
-        loadingOverlay.style.opacity = '0';
-        setTimeout(() => {
-            loadingOverlay.style.display = 'none';
-        }, 500);
-    }
-};
+// Files the gallery prefetched load from the cache instead of the network
+await warmLoadingManager(loadingManager, 'to-do');
 
 // --- SCENE SETUP ---
 const scene = new THREE.Scene();
@@ -4,6 +4,8 @@
  */
 
 import * as THREE from 'three';
+import { warmLoadingManager } from '/shared/prefetch.js';
+import { LoadingOverlay } from '/shared/loading-overlay.js';
 
 // =============================================================================
 // CONFIGURATION
@@ -105,26 +107,27 @@ const SoundManager = {
     lastHoverIndex: -1,
     
     init() {
+        // Through the loading manager, so prefetched files come from the cache
         // Load turnOver sounds
         for (let i = 1; i <= CONFIG.TURNOVER_SOUND_COUNT; i++) {
-            this.turnOverSounds.push(new Audio(`sfx/turnOver-${i}.wav?v=${cacheBuster}`));
+            this.turnOverSounds.push(new Audio(loadingManager.resolveURL(`sfx/turnOver-${i}.wav?v=${cacheBuster}`)));
         }
         // Load place sounds
         for (let i = 1; i <= CONFIG.PLACE_SOUND_COUNT; i++) {
-            const sound = new Audio(`sfx/place-${i}.wav?v=${cacheBuster}`);
+            const sound = new Audio(loadingManager.resolveURL(`sfx/place-${i}.wav?v=${cacheBuster}`));
             sound.preload = 'auto';
             sound.load();
             this.placeSounds.push(sound);
         }
         // Load hover sounds
         for (let i = 1; i <= CONFIG.HOVER_SOUND_COUNT; i++) {
-            this.hoverSounds.push(new Audio(`sfx/hover-${i}.wav?v=${cacheBuster}`));
+            this.hoverSounds.push(new Audio(loadingManager.resolveURL(`sfx/hover-${i}.wav?v=${cacheBuster}`)));
         }
-        this.introClickSound = new Audio(`sfx/${CONFIG.INTRO_CLICK_SOUND}?v=${cacheBuster}`);
+        this.introClickSound = new Audio(loadingManager.resolveURL(`sfx/${CONFIG.INTRO_CLICK_SOUND}?v=${cacheBuster}`));
         this.introClickSound.preload = 'auto';
         this.introClickSound.load();
         
-        this.slideSound = new Audio(`sfx/slide-1.wav?v=${cacheBuster}`);
+        this.slideSound = new Audio(loadingManager.resolveURL(`sfx/slide-1.wav?v=${cacheBuster}`));
         this.slideSound.preload = 'auto';
         this.slideSound.load();
     },
@@ -312,22 +315,15 @@ function introDropInNoBounce(card, zOffset, onComplete) {
 // LOADING MANAGER
 // =============================================================================
 const loadingManager = new THREE.LoadingManager();
-const progressBar = document.getElementById('loading-progress-container');
-const loadingOverlay = document.getElementById('loading-overlay');
+const loadingOverlay = new LoadingOverlay();
+loadingOverlay.show('Zero Latency');
+// Per-card normal/roughness maps are tried first and fall back when missing
+loadingOverlay.trackLoadingManager(loadingManager, {
+    isOptional: (url) => /(^|\/)images\/(normal|roughness)\//.test(url)
+});
 
-loadingManager.onProgress = (url, itemsLoaded, itemsTotal) => {
-    const progress = (itemsLoaded / itemsTotal) * 100;
-    if (progressBar) progressBar.style.width = progress + '%';
-};
-
-loadingManager.onLoad = () => {
-    if (loadingOverlay) {
-        loadingOverlay.style.opacity = '0';
-        setTimeout(() => {
-            loadingOverlay.style.display = 'none';
-        }, 500);
-    }
-};
+// Files the gallery prefetched load from the cache instead of the network
+await warmLoadingManager(loadingManager, 'zero-latency');
 
 // =============================================================================
 // TEXTURE LOADER